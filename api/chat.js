@@ -1,24 +1,61 @@
-import GeminiService from '../lib/geminiService.js';
+import { createLlmProvider } from '../lib/llm/index.js';
+import { assemblePrompt } from '../lib/llm/prompt.js';
+import { HistoryManager } from '../lib/llm/history.js';
+import { STRICT_INSTRUCTIONS, findUnsupportedFacts, isConfident, loadGroundingPolicy } from '../lib/llm/grounding.js';
+import { createSessionStore } from '../lib/sessions/index.js';
+import { createTicketStore } from '../lib/handoff/index.js';
+import { HANDOFF_MESSAGE, getEscalationReason, loadEscalationPolicy } from '../lib/handoff/escalation.js';
+import { appendMessage, createTicket, toHandoffStatus } from '../lib/handoff/tickets.js';
+import { createLeadStore } from '../lib/leads/index.js';
+import { advanceLeadCapture, detectLeadIntent, startLeadCapture } from '../lib/leads/capture.js';
+import { createLead } from '../lib/leads/leads.js';
+import PromptSettings from '../lib/llm/promptSettings.js';
 import KnowledgeBase from '../lib/knowledgeBase.js';
+import { SSE_HEADERS, createEventStream } from '../lib/sse.js';
 
 // Initialize services
-let geminiService;
+let llmProvider;
 let knowledgeBase;
-const chatHistories = {};
+let promptSettings;
+let historyManager;
+let sessionStore;
+let groundingPolicy;
+let ticketStore;
+let escalationPolicy;
+let leadStore;
 
 function initializeServices() {
-  if (!geminiService) {
-    geminiService = new GeminiService();
+  if (!llmProvider) {
+    llmProvider = createLlmProvider();
+    historyManager = new HistoryManager({ provider: llmProvider });
   }
   if (!knowledgeBase) {
     knowledgeBase = new KnowledgeBase();
   }
+  if (!promptSettings) {
+    promptSettings = new PromptSettings();
+  }
+  if (!sessionStore) {
+    sessionStore = createSessionStore();
+  }
+  if (!groundingPolicy) {
+    groundingPolicy = loadGroundingPolicy();
+  }
+  if (!ticketStore) {
+    ticketStore = createTicketStore();
+  }
+  if (!escalationPolicy) {
+    escalationPolicy = loadEscalationPolicy();
+  }
+  if (!leadStore) {
+    leadStore = createLeadStore();
+  }
 }
 
 export default async function handler(req) {
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
     'Access-Control-Allow-Headers': 'Content-Type',
   };
 
@@ -30,6 +67,29 @@ export default async function handler(req) {
     };
   }
 
+  // Model health lives in this function's memory, so it is reported here
+  if (req.method === 'GET') {
+    try {
+      initializeServices();
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          ...llmProvider.getStatus(),
+          timestamp: new Date().toISOString()
+        })
+      };
+    } catch (error) {
+      console.error('Chat API Error:', error);
+      const { statusCode, body } = describeError(error);
+      return {
+        statusCode,
+        headers,
+        body: JSON.stringify(body)
+      };
+    }
+  }
+
   if (req.method !== 'POST') {
     return {
       statusCode: 405,
@@ -42,10 +102,13 @@ export default async function handler(req) {
     };
   }
 
+  // Counts a failed reply towards escalation, once the session is known
+  let recordFailure = null;
+
   try {
     initializeServices();
 
-    const { message, sessionId } = JSON.parse(req.body);
+    const { message, sessionId, stream, debug } = JSON.parse(req.body);
 
     if (!message || typeof message !== 'string' || message.trim() === '') {
       return {
@@ -59,28 +122,214 @@ export default async function handler(req) {
       };
     }
 
+    // The assembled prompt includes the system prompt, so it is opt-in per deployment
+    if (debug === true && process.env.CHAT_DEBUG !== 'true') {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'Prompt debugging is disabled. Set CHAT_DEBUG=true to enable it.',
+          code: 'DEBUG_DISABLED'
+        })
+      };
+    }
+
     const userMessage = message.trim();
     const chatSessionId = sessionId || generateSessionId();
 
-    const history = chatHistories[chatSessionId] || [];
+    const stored = await sessionStore.get(chatSessionId);
 
-    const knowledgeContext = await knowledgeBase.getRelevantContext(userMessage, 3);
-    
-    const aiResult = await geminiService.generateChatResponse(userMessage, history, knowledgeContext);
+    // A handed-off session talks to the support team until its ticket is closed
+    const openTicket = stored?.handoff ? await ticketStore.get(stored.handoff.ticketId) : null;
+    if (openTicket && openTicket.status !== 'closed') {
+      const ticket = await ticketStore.update(openTicket.id, (current) =>
+        appendMessage(current, { from: 'customer', text: userMessage })
+      );
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          forwarded: true,
+          handoff: toHandoffStatus(ticket),
+          timestamp: new Date().toISOString(),
+          sessionId: chatSessionId
+        })
+      };
+    }
 
-    chatHistories[chatSessionId] = [
-      ...history,
-      { role: "user", parts: [{ text: userMessage }] },
-      { role: "model", parts: [{ text: aiResult.response }] },
-    ];
+    // Older turns are folded into a summary once the history outgrows its token budget
+    const conversation = await historyManager.compact(stored || undefined);
+    const history = conversation.turns;
 
-    const response = {
-      response: aiResult.response,
+    recordFailure = async () => {
+      try {
+        await sessionStore.update(chatSessionId, (current) => {
+          const base = current || conversation;
+          return { ...base, failures: (base.failures || 0) + 1 };
+        });
+      } catch (error) {
+        console.error('Error saving chat session:', error);
+      }
+    };
+
+    const { context: knowledgeContext, sources } = await knowledgeBase.retrieveContext(userMessage, 3);
+    const confident = isConfident(sources, groundingPolicy);
+    const strict = groundingPolicy.mode === 'strict';
+    const systemPrompt = await promptSettings.getSystemPrompt();
+    const modelOptions = {
+      systemPrompt: strict ? `${systemPrompt}\n\n${STRICT_INSTRUCTIONS}` : systemPrompt,
+      summary: conversation.summary
+    };
+
+    // In strict mode a question the knowledge base cannot answer gets the
+    // fallback message instead of a model reply that might be made up
+    const useFallback = strict && !confident;
+
+    // Quote and consultation requests collect the customer's contact details
+    // over the next turns; the answers are not questions for the model
+    const leadStep = conversation.leadCapture
+      ? advanceLeadCapture(conversation.leadCapture, userMessage)
+      : detectLeadIntent(userMessage) ? startLeadCapture(userMessage) : null;
+
+    // Customers who ask for a person, or who keep getting no answer, are
+    // handed off to the support team with a ticket holding the transcript
+    // (failures count fallback replies and model errors; lead capture answers
+    // without the model, so they do not hold it up)
+    const escalationReason = getEscalationReason({
+      message: userMessage,
+      failures: leadStep ? 0 : conversation.failures || 0,
+      failing: useFallback && !leadStep
+    }, escalationPolicy);
+
+    // Replies that do not come from the model
+    const getCannedReply = async () => {
+      if (escalationReason) {
+        const ticket = await ticketStore.create(createTicket({
+          sessionId: chatSessionId,
+          reason: escalationReason,
+          conversation,
+          message: userMessage
+        }));
+        return { response: HANDOFF_MESSAGE, modelUsed: null, tier: null, handoff: toHandoffStatus(ticket) };
+      }
+      if (leadStep) {
+        const lead = leadStep.status === 'completed'
+          ? await leadStore.create(createLead({
+            sessionId: chatSessionId,
+            request: conversation.leadCapture.request,
+            values: leadStep.values,
+            conversation,
+            message: userMessage
+          }))
+          : null;
+        return {
+          response: leadStep.reply,
+          modelUsed: null,
+          tier: null,
+          leadCapture: { status: leadStep.status, slot: leadStep.slot, leadId: lead ? lead.id : null }
+        };
+      }
+      return { response: await promptSettings.getFallbackMessage(), modelUsed: null, tier: null, fallback: true };
+    };
+    const useCannedReply = Boolean(escalationReason || leadStep) || useFallback;
+    const isCanned = (aiResult) => Boolean(aiResult.fallback || aiResult.handoff || aiResult.leadCapture);
+
+    // Facts the customer gave or the knowledge base supplied, this turn or earlier
+    const groundingText = [
+      knowledgeContext,
+      userMessage,
+      conversation.summary || '',
+      ...history.filter(turn => turn.role === 'user').flatMap(turn => [turn.content, turn.context || ''])
+    ].join('\n');
+
+    const checkGrounding = (aiResult) => {
+      const unsupported = isCanned(aiResult) ? [] : findUnsupportedFacts(aiResult.response, groundingText);
+      if (unsupported.length > 0) {
+        console.warn(
+          `Reply in session ${chatSessionId} has facts not found in the knowledge base context:`,
+          unsupported.map(fact => fact.value).join(', ')
+        );
+      }
+      return { mode: groundingPolicy.mode, confident, unsupported };
+    };
+
+    // User turns keep the context retrieved for them, so later turns see it too
+    const saveExchange = async (aiResult) => {
+      try {
+        await sessionStore.update(chatSessionId, (current) => {
+          // Another request of this session saved in the meantime: append to
+          // what it stored rather than overwrite it
+          const base = current && current.revision !== conversation.revision ? current : conversation;
+          return {
+            ...base,
+            turns: [
+              ...base.turns,
+              { role: 'user', content: userMessage, context: knowledgeContext },
+              { role: 'assistant', content: aiResult.response },
+            ],
+            revision: (base.revision || 0) + 1,
+            failures: aiResult.fallback ? (base.failures || 0) + 1 : 0,
+            ...(aiResult.handoff && { handoff: { ticketId: aiResult.handoff.ticketId } }),
+            // Any other reply (e.g. a handoff) ends an unfinished lead capture
+            leadCapture: aiResult.leadCapture ? leadStep.state : null
+          };
+        });
+      } catch (error) {
+        // The reply is still delivered; only the history misses this exchange
+        console.error('Error saving chat session:', error);
+      }
+    };
+
+    const getMetadata = (aiResult) => ({
       timestamp: new Date().toISOString(),
       sessionId: chatSessionId,
       modelUsed: aiResult.modelUsed,
       tier: aiResult.tier,
-      knowledgeUsed: knowledgeContext ? true : false
+      knowledgeUsed: knowledgeContext && !isCanned(aiResult) ? true : false,
+      // The entries the reply was given, and whether the model cited them
+      sources: isCanned(aiResult) ? [] : sources.map(source => ({
+        ...source,
+        cited: aiResult.response.includes(`[${source.ref}]`)
+      })),
+      ...(aiResult.fallback && { fallback: true }),
+      ...(aiResult.handoff && { handoff: aiResult.handoff }),
+      ...(aiResult.leadCapture && { leadCapture: aiResult.leadCapture }),
+      ...(groundingPolicy.mode !== 'off' && { grounding: checkGrounding(aiResult) }),
+      ...(debug === true && {
+        debug: {
+          provider: llmProvider.name,
+          ...assemblePrompt(userMessage, history, knowledgeContext, modelOptions)
+        }
+      })
+    });
+
+    // A ReadableStream body is only sent as it is produced by runtimes that
+    // support it (the dev API server sets req.streamingSupported); elsewhere
+    // streaming requests get the JSON response, which clients also accept
+    const accept = req.headers?.accept || req.headers?.Accept || '';
+    const canStream = req.streamingSupported === true || process.env.CHAT_STREAMING === 'true';
+    if (canStream && (stream === true || accept.includes('text/event-stream'))) {
+      const generate = useCannedReply
+        ? async (onToken) => {
+          const aiResult = await getCannedReply();
+          onToken(aiResult.response);
+          return aiResult;
+        }
+        : (onToken) => llmProvider.streamChatResponse(userMessage, history, knowledgeContext, onToken, modelOptions);
+
+      return await streamResponse(headers, { generate, saveExchange, getMetadata, recordFailure });
+    }
+    
+    const aiResult = useCannedReply
+      ? await getCannedReply()
+      : await llmProvider.generateChatResponse(userMessage, history, knowledgeContext, modelOptions);
+
+    await saveExchange(aiResult);
+
+    const response = {
+      response: aiResult.response,
+      ...getMetadata(aiResult)
     };
 
     return {
@@ -91,43 +340,113 @@ export default async function handler(req) {
 
   } catch (error) {
     console.error('Chat API Error:', error);
-
-    if (error.message.includes('All Gemini model tiers have reached their limits')) {
-      return {
-        statusCode: 503,
-        headers,
-        body: JSON.stringify({
-          error: true,
-          message: 'AI service is temporarily unavailable due to usage limits. Please try again later.',
-          code: 'SERVICE_UNAVAILABLE',
-          retryAfter: 3600
-        })
-      };
+    const { statusCode, body } = describeError(error);
+    if (recordFailure && statusCode >= 500) {
+      await recordFailure();
     }
 
-    if (error.message.includes('GEMINI_API_KEY')) {
-      return {
-        statusCode: 500,
-        headers,
-        body: JSON.stringify({
-          error: true,
-          message: 'AI service configuration error. Please contact support.',
-          code: 'CONFIGURATION_ERROR'
-        })
-      };
+    return {
+      statusCode,
+      headers,
+      body: JSON.stringify(body)
+    };
+  }
+}
+
+/**
+ * Stream the reply generate(onToken) produces as Server-Sent Events: a
+ * `token` event per chunk of text, then a `done` event with the metadata the
+ * JSON response carries (or an `error` event). The response is only returned once the first chunk has
+ * arrived, so failures before that (e.g. every model tier over quota) still
+ * get a normal JSON error response with the right status code.
+ */
+async function streamResponse(headers, { generate, saveExchange, getMetadata, recordFailure }) {
+  const events = createEventStream();
+  let markStarted;
+  const started = new Promise(resolve => { markStarted = resolve; });
+
+  const generation = generate((text) => {
+    markStarted();
+    events.send('token', { text });
+  });
+
+  // Throws (to the caller's JSON error handling) if generation fails before any output
+  await Promise.race([started, generation]);
+
+  generation.then(
+    async (aiResult) => {
+      try {
+        await saveExchange(aiResult);
+        events.send('done', getMetadata(aiResult));
+      } catch (error) {
+        console.error('Chat API Error:', error);
+        events.send('error', describeError(error).body);
+      }
+      events.close();
+    },
+    async (error) => {
+      console.error('Chat API Error:', error);
+      await recordFailure();
+      events.send('error', describeError(error).body);
+      events.close();
     }
+  );
+
+  return {
+    statusCode: 200,
+    headers: { ...headers, ...SSE_HEADERS },
+    body: events.stream
+  };
+}
+
+/**
+ * Map an error to the status code and body the chat API responds with
+ */
+function describeError(error) {
+  if (error.code === 'QUOTA_EXHAUSTED') {
+    return {
+      statusCode: 503,
+      body: {
+        error: true,
+        message: 'AI service is temporarily unavailable due to usage limits. Please try again later.',
+        code: 'SERVICE_UNAVAILABLE',
+        retryAfter: error.retryAfter || 3600
+      }
+    };
+  }
+
+  if (error.code === 'MODEL_UNAVAILABLE') {
+    return {
+      statusCode: 503,
+      body: {
+        error: true,
+        message: 'AI service is temporarily unavailable. Please try again shortly.',
+        code: 'SERVICE_UNAVAILABLE',
+        retryAfter: error.retryAfter || 30
+      }
+    };
+  }
 
+  if (error.code === 'CONFIGURATION_ERROR') {
     return {
       statusCode: 500,
-      headers,
-      body: JSON.stringify({
+      body: {
         error: true,
-        message: 'An unexpected error occurred. Please try again.',
-        code: 'INTERNAL_ERROR',
-        timestamp: new Date().toISOString()
-      })
+        message: 'AI service configuration error. Please contact support.',
+        code: 'CONFIGURATION_ERROR'
+      }
     };
   }
+
+  return {
+    statusCode: 500,
+    body: {
+      error: true,
+      message: 'An unexpected error occurred. Please try again.',
+      code: 'INTERNAL_ERROR',
+      timestamp: new Date().toISOString()
+    }
+  };
 }
 
 function generateSessionId() {
@@ -0,0 +1,148 @@
+import { createTicketStore } from '../../lib/handoff/index.js';
+import { checkAdminToken } from '../../lib/adminAuth.js';
+import { TICKET_STATUSES, setStatus } from '../../lib/handoff/tickets.js';
+
+let ticketStore;
+
+function initializeTicketStore() {
+  if (!ticketStore) {
+    ticketStore = createTicketStore();
+  }
+}
+
+/**
+ * GET /api/handoff/[id] returns a ticket with its transcript and messages.
+ * PUT /api/handoff/[id] with { "status": "closed" } closes it (or reopens
+ * it with "open"); the customer's chat goes back to the assistant once closed.
+ */
+export default async function handler(req) {
+  // Admin only: no CORS headers, so other sites cannot call it from a browser
+  const headers = {};
+
+  const unauthorized = checkAdminToken(req, headers);
+  if (unauthorized) {
+    return unauthorized;
+  }
+
+  const { id } = req.queryStringParameters;
+
+  if (!id) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Ticket ID is required',
+        code: 'MISSING_ID'
+      })
+    };
+  }
+
+  try {
+    initializeTicketStore();
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGetTicket(id, headers);
+      case 'PUT':
+        return await handleUpdateTicket(req, id, headers);
+      default:
+        return {
+          statusCode: 405,
+          headers,
+          body: JSON.stringify({ 
+            error: true, 
+            message: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+          })
+        };
+    }
+  } catch (error) {
+    console.error('Handoff API Error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Failed to process handoff ticket',
+        code: 'HANDOFF_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+}
+
+function notFound(headers) {
+  return {
+    statusCode: 404,
+    headers,
+    body: JSON.stringify({
+      error: true,
+      message: 'Handoff ticket not found',
+      code: 'TICKET_NOT_FOUND'
+    })
+  };
+}
+
+async function handleGetTicket(id, headers) {
+  const ticket = await ticketStore.get(id);
+  if (!ticket) {
+    return notFound(headers);
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      ticket,
+      timestamp: new Date().toISOString()
+    })
+  };
+}
+
+async function handleUpdateTicket(req, id, headers) {
+  let body;
+  try {
+    body = JSON.parse(req.body || '{}');
+  } catch (error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Request body must be valid JSON',
+        code: 'INVALID_JSON'
+      })
+    };
+  }
+
+  const { status } = body || {};
+
+  // "active" follows from an agent reply, so it cannot be set directly
+  if (status !== 'open' && status !== 'closed') {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: `Status must be "open" or "closed" (ticket statuses: ${TICKET_STATUSES.join(', ')})`,
+        code: 'INVALID_STATUS'
+      })
+    };
+  }
+
+  const ticket = await ticketStore.update(id, (current) => setStatus(current, status));
+  if (!ticket) {
+    return notFound(headers);
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      ticket,
+      message: status === 'closed' ? 'Handoff ticket closed' : 'Handoff ticket reopened',
+      timestamp: new Date().toISOString()
+    })
+  };
+}
@@ -0,0 +1,144 @@
+import { createTicketStore } from '../../../lib/handoff/index.js';
+import { checkAdminToken } from '../../../lib/adminAuth.js';
+import { appendMessage, validateMessageText } from '../../../lib/handoff/tickets.js';
+
+let ticketStore;
+
+function initializeTicketStore() {
+  if (!ticketStore) {
+    ticketStore = createTicketStore();
+  }
+}
+
+/**
+ * POST /api/handoff/[id]/reply with { "text": "...", "author": "Jane" }
+ * sends an agent reply to the customer of the ticket.
+ */
+export default async function handler(req) {
+  // Admin only: no CORS headers, so other sites cannot call it from a browser
+  const headers = {};
+
+  const unauthorized = checkAdminToken(req, headers);
+  if (unauthorized) {
+    return unauthorized;
+  }
+
+  if (req.method !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ 
+        error: true, 
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED'
+      })
+    };
+  }
+
+  const { id } = req.queryStringParameters;
+
+  if (!id) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Ticket ID is required',
+        code: 'MISSING_ID'
+      })
+    };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(req.body || '{}');
+  } catch (error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Request body must be valid JSON',
+        code: 'INVALID_JSON'
+      })
+    };
+  }
+
+  const { text, author } = body || {};
+  const invalid = validateMessageText(text);
+
+  if (invalid) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: invalid,
+        code: 'INVALID_MESSAGE'
+      })
+    };
+  }
+
+  try {
+    initializeTicketStore();
+
+    let closed = false;
+    const ticket = await ticketStore.update(id, (current) => {
+      if (current.status === 'closed') {
+        closed = true;
+        return current;
+      }
+      return appendMessage(current, {
+        from: 'agent',
+        author: typeof author === 'string' && author.trim() ? author.trim() : 'Support',
+        text: text.trim()
+      });
+    });
+
+    if (!ticket) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'Handoff ticket not found',
+          code: 'TICKET_NOT_FOUND'
+        })
+      };
+    }
+
+    if (closed) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'The ticket is closed. Reopen it to reply.',
+          code: 'TICKET_CLOSED'
+        })
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        ticket,
+        message: 'Reply sent',
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    console.error('Error replying to handoff ticket:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Failed to send reply',
+        code: 'HANDOFF_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+}
@@ -0,0 +1,84 @@
+import { createTicketStore } from '../../lib/handoff/index.js';
+import { checkAdminToken } from '../../lib/adminAuth.js';
+import { TICKET_STATUSES, toTicketSummary } from '../../lib/handoff/tickets.js';
+
+let ticketStore;
+
+function initializeTicketStore() {
+  if (!ticketStore) {
+    ticketStore = createTicketStore();
+  }
+}
+
+/**
+ * GET /api/handoff lists handoff tickets, most recently updated first,
+ * without their transcripts. ?status=open,active narrows the list.
+ */
+export default async function handler(req) {
+  // Admin only: no CORS headers, so other sites cannot call it from a browser
+  const headers = {};
+
+  const unauthorized = checkAdminToken(req, headers);
+  if (unauthorized) {
+    return unauthorized;
+  }
+
+  if (req.method !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ 
+        error: true, 
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED'
+      })
+    };
+  }
+
+  const { status } = req.queryStringParameters || {};
+  const statuses = status ? status.split(',').map(value => value.trim()) : TICKET_STATUSES;
+
+  if (statuses.some(value => !TICKET_STATUSES.includes(value))) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: `Status must be one of: ${TICKET_STATUSES.join(', ')}`,
+        code: 'INVALID_STATUS'
+      })
+    };
+  }
+
+  try {
+    initializeTicketStore();
+
+    const tickets = await ticketStore.list();
+    const counts = Object.fromEntries(TICKET_STATUSES.map(value => [
+      value,
+      tickets.filter(ticket => ticket.status === value).length
+    ]));
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        tickets: tickets.filter(ticket => statuses.includes(ticket.status)).map(toTicketSummary),
+        counts,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    console.error('Error listing handoff tickets:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Failed to load handoff tickets',
+        code: 'HANDOFF_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+}
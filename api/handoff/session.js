@@ -0,0 +1,114 @@
+import { createTicketStore } from '../../lib/handoff/index.js';
+import { toHandoffStatus } from '../../lib/handoff/tickets.js';
+
+let ticketStore;
+
+function initializeTicketStore() {
+  if (!ticketStore) {
+    ticketStore = createTicketStore();
+  }
+}
+
+/**
+ * GET /api/handoff/session?sessionId=...&ticketId=...&after=<ISO time>
+ * is polled by the customer's chat while a handoff is open. It returns the
+ * ticket status and the agent replies sent after `after`.
+ */
+export default async function handler(req) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  };
+
+  if (req.method === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  if (req.method !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ 
+        error: true, 
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED'
+      })
+    };
+  }
+
+  const { sessionId, ticketId, after } = req.queryStringParameters || {};
+
+  if (!sessionId || !ticketId) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Session ID and ticket ID are required',
+        code: 'MISSING_ID'
+      })
+    };
+  }
+
+  if (after && Number.isNaN(Date.parse(after))) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'After must be an ISO date',
+        code: 'INVALID_DATE'
+      })
+    };
+  }
+
+  try {
+    initializeTicketStore();
+
+    // The session ID acts as the customer's credential for the ticket
+    const ticket = await ticketStore.get(ticketId);
+    if (!ticket || ticket.sessionId !== sessionId) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'Handoff ticket not found',
+          code: 'TICKET_NOT_FOUND'
+        })
+      };
+    }
+
+    const since = after ? Date.parse(after) : 0;
+    const messages = ticket.messages
+      .filter(message => message.from === 'agent' && Date.parse(message.createdAt) > since)
+      .map(({ id, author, text, createdAt }) => ({ id, author, text, createdAt }));
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        handoff: toHandoffStatus(ticket),
+        messages,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    console.error('Error polling handoff ticket:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Failed to load handoff messages',
+        code: 'HANDOFF_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+}
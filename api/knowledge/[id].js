@@ -12,7 +12,8 @@ export default async function handler(req) {
   const headers = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, If-Match',
+    'Access-Control-Expose-Headers': 'ETag',
   };
 
   if (req.method === 'OPTIONS') {
@@ -91,7 +92,7 @@ async function handleGetEntry(req, id, headers) {
 
     return {
       statusCode: 200,
-      headers,
+      headers: { ...headers, ETag: knowledgeBase.getEtag(entry) },
       body: JSON.stringify({
         entry,
         timestamp: new Date().toISOString()
@@ -112,7 +113,7 @@ async function handleGetEntry(req, id, headers) {
 }
 
 async function handleUpdateEntry(req, id, headers) {
-  const { key, value, tags } = JSON.parse(req.body);
+  const { key, value, tags, author } = JSON.parse(req.body);
 
   const updates = {};
   
@@ -173,12 +174,17 @@ async function handleUpdateEntry(req, id, headers) {
     };
   }
 
+  const ifMatch = req.headers && (req.headers['if-match'] || req.headers['If-Match']);
+
   try {
-    const updatedEntry = await knowledgeBase.updateEntry(id, updates);
+    const updatedEntry = await knowledgeBase.updateEntry(id, updates, {
+      ifMatch,
+      author: typeof author === 'string' ? author.trim() : null
+    });
     
     return {
       statusCode: 200,
-      headers,
+      headers: { ...headers, ETag: knowledgeBase.getEtag(updatedEntry) },
       body: JSON.stringify({
         entry: updatedEntry,
         message: 'Knowledge entry updated successfully',
@@ -198,6 +204,19 @@ async function handleUpdateEntry(req, id, headers) {
       };
     }
 
+    if (error.code === 'REVISION_CONFLICT') {
+      return {
+        statusCode: 409,
+        headers: { ...headers, ETag: knowledgeBase.getEtag(error.currentEntry) },
+        body: JSON.stringify({
+          error: true,
+          message: 'This entry was changed by someone else. Reload it and apply your changes again.',
+          code: 'REVISION_CONFLICT',
+          entry: error.currentEntry
+        })
+      };
+    }
+
     console.error('Error updating entry:', error);
     return {
       statusCode: 500,
@@ -213,14 +232,15 @@ async function handleUpdateEntry(req, id, headers) {
 
 async function handleDeleteEntry(req, id, headers) {
   try {
-    const deletedEntry = await knowledgeBase.deleteEntry(id);
+    const { author } = req.queryStringParameters || {};
+    const deletedEntry = await knowledgeBase.deleteEntry(id, { author });
     
     return {
       statusCode: 200,
       headers,
       body: JSON.stringify({
         entry: deletedEntry,
-        message: 'Knowledge entry deleted successfully',
+        message: 'Knowledge entry moved to trash',
         timestamp: new Date().toISOString()
       })
     };
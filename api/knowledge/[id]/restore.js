@@ -0,0 +1,92 @@
+import KnowledgeBase from '../../../lib/knowledgeBase.js';
+
+let knowledgeBase;
+
+function initializeKnowledgeBase() {
+  if (!knowledgeBase) {
+    knowledgeBase = new KnowledgeBase();
+  }
+}
+
+export default async function handler(req) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Expose-Headers': 'ETag',
+  };
+
+  if (req.method === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  if (req.method !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ 
+        error: true, 
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED'
+      })
+    };
+  }
+
+  const { id } = req.queryStringParameters;
+
+  if (!id) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Entry ID is required',
+        code: 'MISSING_ID'
+      })
+    };
+  }
+
+  try {
+    initializeKnowledgeBase();
+
+    const entry = await knowledgeBase.restoreEntry(id);
+
+    return {
+      statusCode: 200,
+      headers: { ...headers, ETag: knowledgeBase.getEtag(entry) },
+      body: JSON.stringify({
+        entry,
+        message: 'Knowledge entry restored from trash',
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'Entry not found in trash',
+          code: 'ENTRY_NOT_FOUND'
+        })
+      };
+    }
+
+    console.error('Error restoring entry:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Failed to restore knowledge entry',
+        code: 'RESTORE_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+}
@@ -0,0 +1,140 @@
+import KnowledgeBase from '../../../lib/knowledgeBase.js';
+
+let knowledgeBase;
+
+function initializeKnowledgeBase() {
+  if (!knowledgeBase) {
+    knowledgeBase = new KnowledgeBase();
+  }
+}
+
+export default async function handler(req) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, If-Match',
+    'Access-Control-Expose-Headers': 'ETag',
+  };
+
+  if (req.method === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  if (req.method !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ 
+        error: true, 
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED'
+      })
+    };
+  }
+
+  const { id } = req.queryStringParameters;
+
+  if (!id) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Entry ID is required',
+        code: 'MISSING_ID'
+      })
+    };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(req.body || '{}');
+  } catch (error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Request body must be valid JSON',
+        code: 'INVALID_JSON'
+      })
+    };
+  }
+
+  const { revision, author } = body || {};
+
+  if (!Number.isInteger(revision) || revision < 1) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Revision must be a positive integer',
+        code: 'INVALID_REVISION'
+      })
+    };
+  }
+
+  const ifMatch = req.headers && (req.headers['if-match'] || req.headers['If-Match']);
+
+  try {
+    initializeKnowledgeBase();
+
+    const entry = await knowledgeBase.revertEntry(id, revision, {
+      ifMatch,
+      author: typeof author === 'string' ? author.trim() : null
+    });
+
+    return {
+      statusCode: 200,
+      headers: { ...headers, ETag: knowledgeBase.getEtag(entry) },
+      body: JSON.stringify({
+        entry,
+        message: `Knowledge entry reverted to revision ${revision}`,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      const revisionMissing = error.message.startsWith('Revision');
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: revisionMissing ? 'Revision not found' : 'Knowledge entry not found',
+          code: revisionMissing ? 'REVISION_NOT_FOUND' : 'ENTRY_NOT_FOUND'
+        })
+      };
+    }
+
+    if (error.code === 'REVISION_CONFLICT') {
+      return {
+        statusCode: 409,
+        headers: { ...headers, ETag: knowledgeBase.getEtag(error.currentEntry) },
+        body: JSON.stringify({
+          error: true,
+          message: 'This entry was changed by someone else. Reload it and try again.',
+          code: 'REVISION_CONFLICT',
+          entry: error.currentEntry
+        })
+      };
+    }
+
+    console.error('Error reverting entry:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Failed to revert knowledge entry',
+        code: 'REVERT_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+}
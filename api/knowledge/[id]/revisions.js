@@ -0,0 +1,123 @@
+import KnowledgeBase from '../../../lib/knowledgeBase.js';
+
+let knowledgeBase;
+
+function initializeKnowledgeBase() {
+  if (!knowledgeBase) {
+    knowledgeBase = new KnowledgeBase();
+  }
+}
+
+export default async function handler(req) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  };
+
+  if (req.method === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  if (req.method !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ 
+        error: true, 
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED'
+      })
+    };
+  }
+
+  const { id, from, to } = req.queryStringParameters;
+
+  if (!id) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Entry ID is required',
+        code: 'MISSING_ID'
+      })
+    };
+  }
+
+  // Either both or neither of the diff parameters must be given
+  const fromRevision = from !== undefined ? parseInt(from) : null;
+  const toRevision = to !== undefined ? parseInt(to) : null;
+
+  if ((from !== undefined || to !== undefined) && (!Number.isInteger(fromRevision) || !Number.isInteger(toRevision))) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Both "from" and "to" must be revision numbers to compare revisions',
+        code: 'INVALID_REVISION'
+      })
+    };
+  }
+
+  try {
+    initializeKnowledgeBase();
+
+    if (fromRevision !== null) {
+      const diff = await knowledgeBase.diffRevisions(id, fromRevision, toRevision);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          entryId: id,
+          diff,
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    const revisions = await knowledgeBase.getRevisions(id);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        entryId: id,
+        revisions,
+        total: revisions.length,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      const revisionMissing = error.message.startsWith('Revision');
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: revisionMissing ? 'Revision not found' : 'Knowledge entry not found',
+          code: revisionMissing ? 'REVISION_NOT_FOUND' : 'ENTRY_NOT_FOUND'
+        })
+      };
+    }
+
+    console.error('Error retrieving revisions:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Failed to retrieve revision history',
+        code: 'RETRIEVAL_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+}
@@ -13,6 +13,7 @@ export default async function handler(req) {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
     'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Expose-Headers': 'ETag',
   };
 
   if (req.method === 'OPTIONS') {
@@ -58,28 +59,42 @@ export default async function handler(req) {
 }
 
 async function handleGetEntries(req, headers) {
-  const { q: query, limit } = req.queryStringParameters;
+  const { q: query, tags, created, updated, sort, order, limit, offset } = req.queryStringParameters;
 
   try {
-    let entries;
-    
-    if (query) {
-      const searchLimit = limit ? parseInt(limit) : 10;
-      entries = await knowledgeBase.searchEntries(query, searchLimit);
-    } else {
-      entries = await knowledgeBase.getAllEntries();
-    }
+    const result = await knowledgeBase.listEntries({
+      query,
+      tags: tags ? tags.split(',') : [],
+      created,
+      updated,
+      sort,
+      order,
+      // Searches return the top 10 by default, plain listings everything
+      limit: limit ? parseInt(limit) : (query ? 10 : undefined),
+      offset: offset ? parseInt(offset) : 0
+    });
 
     return {
       statusCode: 200,
       headers,
       body: JSON.stringify({
-        entries,
-        total: entries.length,
+        ...result,
         timestamp: new Date().toISOString()
       })
     };
   } catch (error) {
+    if (error.code === 'INVALID_QUERY' || error.code === 'INVALID_PARAMETER') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: error.message,
+          code: error.code
+        })
+      };
+    }
+
     console.error('Error retrieving entries:', error);
     return {
       statusCode: 500,
@@ -94,7 +109,7 @@ async function handleGetEntries(req, headers) {
 }
 
 async function handleCreateEntry(req, headers) {
-  const { key, value, tags } = JSON.parse(req.body);
+  const { key, value, tags, author } = JSON.parse(req.body);
 
   if (!key || typeof key !== 'string' || key.trim() === '') {
     return {
@@ -124,12 +139,13 @@ async function handleCreateEntry(req, headers) {
     const newEntry = await knowledgeBase.createEntry(
       key.trim(),
       value.trim(),
-      tags || []
+      tags || [],
+      { author: typeof author === 'string' ? author.trim() : null }
     );
 
     return {
       statusCode: 201,
-      headers,
+      headers: { ...headers, ETag: knowledgeBase.getEtag(newEntry) },
       body: JSON.stringify({
         entry: newEntry,
         message: 'Knowledge entry created successfully',
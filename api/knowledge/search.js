@@ -35,7 +35,7 @@ export default async function handler(req) {
     };
   }
 
-  const { q: query, limit } = req.queryStringParameters;
+  const { q: query, tags, created, updated, sort, order, limit, offset } = req.queryStringParameters;
 
   if (!query || query.trim() === '') {
     return {
@@ -52,20 +52,40 @@ export default async function handler(req) {
   try {
     initializeKnowledgeBase();
 
-    const searchLimit = limit ? parseInt(limit) : 10;
-    const results = await knowledgeBase.searchEntries(query, searchLimit);
+    const { entries, ...page } = await knowledgeBase.listEntries({
+      query,
+      tags: tags ? tags.split(',') : [],
+      created,
+      updated,
+      sort,
+      order,
+      limit: limit ? parseInt(limit) : 10,
+      offset: offset ? parseInt(offset) : 0
+    });
 
     return {
       statusCode: 200,
       headers,
       body: JSON.stringify({
         query: query.trim(),
-        results,
-        total: results.length,
+        results: entries,
+        ...page,
         timestamp: new Date().toISOString()
       })
     };
   } catch (error) {
+    if (error.code === 'INVALID_QUERY' || error.code === 'INVALID_PARAMETER') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: error.message,
+          code: error.code
+        })
+      };
+    }
+
     console.error('Search API Error:', error);
     return {
       statusCode: 500,
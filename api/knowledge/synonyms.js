@@ -0,0 +1,129 @@
+import KnowledgeBase from '../../lib/knowledgeBase.js';
+
+let knowledgeBase;
+
+function initializeKnowledgeBase() {
+  if (!knowledgeBase) {
+    knowledgeBase = new KnowledgeBase();
+  }
+}
+
+export default async function handler(req) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  };
+
+  if (req.method === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  try {
+    initializeKnowledgeBase();
+
+    switch (req.httpMethod) {
+      case 'GET':
+        return await handleGetSynonyms(req, headers);
+      case 'PUT':
+        return await handleUpdateSynonyms(req, headers);
+      default:
+        return {
+          statusCode: 405,
+          headers,
+          body: JSON.stringify({ 
+            error: true, 
+            message: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+          })
+        };
+    }
+  } catch (error) {
+    console.error('Synonyms API Error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'An unexpected error occurred',
+        code: 'INTERNAL_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+}
+
+async function handleGetSynonyms(req, headers) {
+  try {
+    const synonyms = await knowledgeBase.getSynonyms();
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        synonyms,
+        total: synonyms.length,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    console.error('Error retrieving synonyms:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Failed to retrieve synonyms',
+        code: 'RETRIEVAL_ERROR'
+      })
+    };
+  }
+}
+
+/**
+ * PUT /api/knowledge/synonyms replaces the whole list: { "synonyms": [["cost", "price"], ...] }
+ */
+async function handleUpdateSynonyms(req, headers) {
+  const { synonyms } = JSON.parse(req.body);
+
+  try {
+    const saved = await knowledgeBase.updateSynonyms(synonyms);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        synonyms: saved,
+        message: 'Synonyms updated successfully',
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    if (error.code === 'INVALID_SYNONYMS') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: error.message,
+          code: 'INVALID_SYNONYMS'
+        })
+      };
+    }
+
+    console.error('Error updating synonyms:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Failed to update synonyms',
+        code: 'UPDATE_ERROR'
+      })
+    };
+  }
+}
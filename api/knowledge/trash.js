@@ -0,0 +1,144 @@
+import KnowledgeBase from '../../lib/knowledgeBase.js';
+
+let knowledgeBase;
+
+function initializeKnowledgeBase() {
+  if (!knowledgeBase) {
+    knowledgeBase = new KnowledgeBase();
+  }
+}
+
+export default async function handler(req) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  };
+
+  if (req.method === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  try {
+    initializeKnowledgeBase();
+
+    switch (req.httpMethod) {
+      case 'GET':
+        return await handleListTrash(req, headers);
+      case 'DELETE':
+        return await handlePurge(req, headers);
+      default:
+        return {
+          statusCode: 405,
+          headers,
+          body: JSON.stringify({ 
+            error: true, 
+            message: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+          })
+        };
+    }
+  } catch (error) {
+    console.error('Trash API Error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'An unexpected error occurred',
+        code: 'INTERNAL_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+}
+
+async function handleListTrash(req, headers) {
+  try {
+    const entries = await knowledgeBase.getTrashedEntries();
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        entries,
+        total: entries.length,
+        retentionDays: knowledgeBase.trashRetentionDays,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    console.error('Error retrieving trash:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Failed to retrieve trashed entries',
+        code: 'RETRIEVAL_ERROR'
+      })
+    };
+  }
+}
+
+/**
+ * DELETE /api/knowledge/trash?id=... purges one entry, without an ID the whole trash is emptied
+ */
+async function handlePurge(req, headers) {
+  const { id } = req.queryStringParameters || {};
+
+  try {
+    if (id) {
+      const entry = await knowledgeBase.purgeEntry(id);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          entry,
+          message: 'Knowledge entry permanently deleted',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    const purged = await knowledgeBase.emptyTrash();
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        purged,
+        message: `${purged} ${purged === 1 ? 'entry' : 'entries'} permanently deleted`,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'Entry not found in trash',
+          code: 'ENTRY_NOT_FOUND'
+        })
+      };
+    }
+
+    console.error('Error purging trash:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Failed to permanently delete entries',
+        code: 'PURGE_ERROR'
+      })
+    };
+  }
+}
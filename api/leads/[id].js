@@ -0,0 +1,87 @@
+import { createLeadStore } from '../../lib/leads/index.js';
+import { checkAdminToken } from '../../lib/adminAuth.js';
+
+let leadStore;
+
+function initializeLeadStore() {
+  if (!leadStore) {
+    leadStore = createLeadStore();
+  }
+}
+
+/**
+ * GET /api/leads/[id] returns a lead with the chat transcript it came from
+ */
+export default async function handler(req) {
+  // Admin only: no CORS headers, so other sites cannot call it from a browser
+  const headers = {};
+
+  const unauthorized = checkAdminToken(req, headers);
+  if (unauthorized) {
+    return unauthorized;
+  }
+
+  if (req.method !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ 
+        error: true, 
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED'
+      })
+    };
+  }
+
+  const { id } = req.queryStringParameters;
+
+  if (!id) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Lead ID is required',
+        code: 'MISSING_ID'
+      })
+    };
+  }
+
+  try {
+    initializeLeadStore();
+
+    const lead = await leadStore.get(id);
+    if (!lead) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'Lead not found',
+          code: 'LEAD_NOT_FOUND'
+        })
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        lead,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    console.error('Error loading lead:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Failed to load lead',
+        code: 'LEADS_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+}
@@ -0,0 +1,92 @@
+import { createLeadStore } from '../../lib/leads/index.js';
+import { checkAdminToken } from '../../lib/adminAuth.js';
+import { leadsToCsv, toLeadSummary } from '../../lib/leads/leads.js';
+
+let leadStore;
+
+function initializeLeadStore() {
+  if (!leadStore) {
+    leadStore = createLeadStore();
+  }
+}
+
+/**
+ * GET /api/leads lists the leads captured in chat, newest first, without
+ * their transcripts. ?format=csv downloads them as a CSV file instead.
+ */
+export default async function handler(req) {
+  // Admin only: no CORS headers, so other sites cannot call it from a browser
+  const headers = {};
+
+  const unauthorized = checkAdminToken(req, headers);
+  if (unauthorized) {
+    return unauthorized;
+  }
+
+  if (req.method !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ 
+        error: true, 
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED'
+      })
+    };
+  }
+
+  const { format = 'json' } = req.queryStringParameters || {};
+
+  if (format !== 'json' && format !== 'csv') {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Format must be "json" or "csv"',
+        code: 'INVALID_PARAMETER'
+      })
+    };
+  }
+
+  try {
+    initializeLeadStore();
+
+    const leads = await leadStore.list();
+
+    if (format === 'csv') {
+      const date = new Date().toISOString().slice(0, 10);
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="leads-${date}.csv"`
+        },
+        body: leadsToCsv(leads)
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        leads: leads.map(toLeadSummary),
+        total: leads.length,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    console.error('Error listing leads:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Failed to load leads',
+        code: 'LEADS_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+}
@@ -0,0 +1,145 @@
+import PromptSettings from '../../lib/llm/promptSettings.js';
+import { checkAdminToken } from '../../lib/adminAuth.js';
+
+let promptSettings;
+
+function initializePromptSettings() {
+  if (!promptSettings) {
+    promptSettings = new PromptSettings();
+  }
+}
+
+export default async function handler(req) {
+  // Admin only: no CORS headers, so other sites cannot call it from a browser
+  const headers = {};
+
+  const unauthorized = checkAdminToken(req, headers);
+  if (unauthorized) {
+    return unauthorized;
+  }
+
+  try {
+    initializePromptSettings();
+
+    switch (req.httpMethod) {
+      case 'GET':
+        return await handleGetPromptConfig(req, headers);
+      case 'PUT':
+        return await handleSaveDraft(req, headers);
+      case 'DELETE':
+        return await handleDiscardDraft(req, headers);
+      default:
+        return {
+          statusCode: 405,
+          headers,
+          body: JSON.stringify({ 
+            error: true, 
+            message: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+          })
+        };
+    }
+  } catch (error) {
+    console.error('Prompt API Error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'An unexpected error occurred',
+        code: 'INTERNAL_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+}
+
+async function handleGetPromptConfig(req, headers) {
+  const promptConfig = await promptSettings.getPromptConfig();
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      ...promptConfig,
+      timestamp: new Date().toISOString()
+    })
+  };
+}
+
+/**
+ * PUT /api/prompt saves the draft: { "config": { personaName, companyName, ... }, "author": "..." }
+ */
+async function handleSaveDraft(req, headers) {
+  let body;
+  try {
+    body = JSON.parse(req.body || '{}');
+  } catch (error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Request body must be valid JSON',
+        code: 'INVALID_JSON'
+      })
+    };
+  }
+
+  const { config, author } = body || {};
+
+  try {
+    const draft = await promptSettings.savePromptDraft(config, {
+      author: typeof author === 'string' ? author.trim() : null
+    });
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        draft,
+        message: 'Draft saved',
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    if (error.code === 'INVALID_PROMPT_CONFIG') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: error.message,
+          code: 'INVALID_PROMPT_CONFIG'
+        })
+      };
+    }
+
+    throw error;
+  }
+}
+
+async function handleDiscardDraft(req, headers) {
+  const discarded = await promptSettings.discardPromptDraft();
+
+  if (!discarded) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'There is no draft',
+        code: 'NO_DRAFT'
+      })
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      message: 'Draft discarded',
+      timestamp: new Date().toISOString()
+    })
+  };
+}
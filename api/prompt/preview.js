@@ -0,0 +1,115 @@
+import KnowledgeBase from '../../lib/knowledgeBase.js';
+import { formatUserTurn } from '../../lib/llm/prompt.js';
+import { normalizePromptConfig, renderSystemPrompt } from '../../lib/llm/promptConfig.js';
+import PromptSettings from '../../lib/llm/promptSettings.js';
+import { checkAdminToken } from '../../lib/adminAuth.js';
+
+let knowledgeBase;
+let promptSettings;
+
+function initializeServices() {
+  if (!knowledgeBase) {
+    knowledgeBase = new KnowledgeBase();
+  }
+  if (!promptSettings) {
+    promptSettings = new PromptSettings();
+  }
+}
+
+/**
+ * POST /api/prompt/preview renders a configuration without saving it:
+ * { "config": {...}, "message": "..." }. Without config the draft (or else the
+ * published version) is rendered; with a message the response also shows the
+ * user turn the model would get for it, knowledge base context included.
+ */
+export default async function handler(req) {
+  // Admin only: no CORS headers, so other sites cannot call it from a browser
+  const headers = {};
+
+  const unauthorized = checkAdminToken(req, headers);
+  if (unauthorized) {
+    return unauthorized;
+  }
+
+  if (req.method !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ 
+        error: true, 
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED'
+      })
+    };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(req.body || '{}');
+  } catch (error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Request body must be valid JSON',
+        code: 'INVALID_JSON'
+      })
+    };
+  }
+
+  const { config, message } = body || {};
+
+  try {
+    initializeServices();
+
+    let normalized;
+    if (config !== undefined) {
+      normalized = normalizePromptConfig(config);
+    } else {
+      const { draft, published } = await promptSettings.getPromptConfig();
+      normalized = draft ? draft.config : published.config;
+    }
+
+    const systemPrompt = renderSystemPrompt(normalized);
+    const preview = { systemPrompt };
+
+    if (typeof message === 'string' && message.trim()) {
+      const knowledgeContext = await knowledgeBase.getRelevantContext(message.trim(), 3);
+      preview.prompt = formatUserTurn(message.trim(), knowledgeContext);
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        ...preview,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    if (error.code === 'INVALID_PROMPT_CONFIG') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: error.message,
+          code: 'INVALID_PROMPT_CONFIG'
+        })
+      };
+    }
+
+    console.error('Error previewing prompt:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Failed to preview prompt',
+        code: 'PREVIEW_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+}
@@ -0,0 +1,109 @@
+import PromptSettings from '../../lib/llm/promptSettings.js';
+import { checkAdminToken } from '../../lib/adminAuth.js';
+
+let promptSettings;
+
+function initializePromptSettings() {
+  if (!promptSettings) {
+    promptSettings = new PromptSettings();
+  }
+}
+
+/**
+ * POST /api/prompt/publish publishes the draft as a new version.
+ * With { "version": n } it publishes a copy of version n instead (rollback).
+ */
+export default async function handler(req) {
+  // Admin only: no CORS headers, so other sites cannot call it from a browser
+  const headers = {};
+
+  const unauthorized = checkAdminToken(req, headers);
+  if (unauthorized) {
+    return unauthorized;
+  }
+
+  if (req.method !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ 
+        error: true, 
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED'
+      })
+    };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(req.body || '{}');
+  } catch (error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Request body must be valid JSON',
+        code: 'INVALID_JSON'
+      })
+    };
+  }
+
+  const { version, author, note } = body || {};
+
+  if (version !== undefined && !(Number.isInteger(version) && version >= 0)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Version must be a non-negative integer',
+        code: 'INVALID_VERSION'
+      })
+    };
+  }
+
+  try {
+    initializePromptSettings();
+
+    const published = await promptSettings.publishPromptConfig({
+      version,
+      author: typeof author === 'string' ? author.trim() : null,
+      note: typeof note === 'string' ? note.trim() : null
+    });
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        published,
+        message: `Prompt version ${published.version} published`,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    if (error.code === 'NO_DRAFT' || error.code === 'VERSION_NOT_FOUND') {
+      return {
+        statusCode: error.code === 'NO_DRAFT' ? 409 : 404,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: error.message,
+          code: error.code
+        })
+      };
+    }
+
+    console.error('Error publishing prompt:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Failed to publish prompt',
+        code: 'PUBLISH_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+}
@@ -12,7 +12,9 @@ const url = require('url');
 const path = require('path');
 
 // Import API handlers
-let chatHandler, knowledgeHandler, knowledgeSearchHandler;
+let chatHandler, knowledgeHandler, knowledgeSearchHandler, knowledgeTrashHandler, knowledgeSynonymsHandler;
+let promptHandler, promptPreviewHandler, promptPublishHandler;
+let handoffHandler, handoffSessionHandler, leadsHandler;
 
 // Load handlers function
 async function loadHandlers() {
@@ -20,6 +22,14 @@ async function loadHandlers() {
     chatHandler = (await import('./api/chat.js')).default;
     knowledgeHandler = (await import('./api/knowledge/index.js')).default;
     knowledgeSearchHandler = (await import('./api/knowledge/search.js')).default;
+    knowledgeTrashHandler = (await import('./api/knowledge/trash.js')).default;
+    knowledgeSynonymsHandler = (await import('./api/knowledge/synonyms.js')).default;
+    promptHandler = (await import('./api/prompt/index.js')).default;
+    promptPreviewHandler = (await import('./api/prompt/preview.js')).default;
+    promptPublishHandler = (await import('./api/prompt/publish.js')).default;
+    handoffHandler = (await import('./api/handoff/index.js')).default;
+    handoffSessionHandler = (await import('./api/handoff/session.js')).default;
+    leadsHandler = (await import('./api/leads/index.js')).default;
     
     console.log('✅ API handlers loaded successfully');
   } catch (error) {
@@ -30,6 +40,10 @@ async function loadHandlers() {
 
 const PORT = 3001;
 
+// Endpoints that require the admin token and are not offered to other origins
+// (the customer's /api/handoff/session stays public)
+const ADMIN_ONLY_ROUTE = /^\/api\/(handoff(\/(?!session\/?$)|\/?$)|leads(\/|$)|prompt(\/|$))/;
+
 // Simple request/response wrapper to match Vercel's format
 function createVercelRequest(req) {
   const parsedUrl = url.parse(req.url, true);
@@ -38,11 +52,32 @@ function createVercelRequest(req) {
     method: req.method,
     url: req.url,
     query: parsedUrl.query,
+    // Handlers written as Netlify functions read these
+    httpMethod: req.method,
+    queryStringParameters: parsedUrl.query,
     body: null, // Will be populated for POST requests
-    headers: req.headers
+    headers: req.headers,
+    // sendHandlerResult writes ReadableStream bodies as they are produced
+    streamingSupported: true
   };
 }
 
+// Send a handler's { statusCode, headers, body } result; a ReadableStream
+// body (e.g. Server-Sent Events) is written chunk by chunk as it is produced
+async function sendHandlerResult(res, result) {
+  res.writeHead(result.statusCode || 200, result.headers || {});
+
+  if (result.body && typeof result.body.getReader === 'function') {
+    for await (const chunk of result.body) {
+      res.write(chunk);
+    }
+    res.end();
+    return;
+  }
+
+  res.end(result.body || '');
+}
+
 function createVercelResponse(res) {
   let statusCode = 200;
   let responseBody = '';
@@ -81,7 +116,15 @@ function getRoutes() {
   return {
     '/api/chat': chatHandler.default || chatHandler,
     '/api/knowledge': knowledgeHandler.default || knowledgeHandler,
-    '/api/knowledge/search': knowledgeSearchHandler.default || knowledgeSearchHandler
+    '/api/knowledge/search': knowledgeSearchHandler.default || knowledgeSearchHandler,
+    '/api/knowledge/trash': knowledgeTrashHandler.default || knowledgeTrashHandler,
+    '/api/knowledge/synonyms': knowledgeSynonymsHandler.default || knowledgeSynonymsHandler,
+    '/api/prompt': promptHandler.default || promptHandler,
+    '/api/prompt/preview': promptPreviewHandler.default || promptPreviewHandler,
+    '/api/prompt/publish': promptPublishHandler.default || promptPublishHandler,
+    '/api/handoff': handoffHandler.default || handoffHandler,
+    '/api/handoff/session': handoffSessionHandler.default || handoffSessionHandler,
+    '/api/leads': leadsHandler.default || leadsHandler
   };
 }
 
@@ -94,8 +137,46 @@ async function findHandler(pathname) {
     return routes[pathname];
   }
   
+  // Check for entry sub-resources like /api/knowledge/123/revisions
+  const subResource = pathname.match(/^\/api\/knowledge\/[^/]+\/(revisions|revert|restore)$/);
+  if (subResource) {
+    try {
+      return (await import(`./api/knowledge/[id]/${subResource[1]}.js`)).default;
+    } catch (error) {
+      console.error('Error loading dynamic route handler:', error);
+      return null;
+    }
+  }
+  
+  if (/^\/api\/handoff\/[^/]+\/reply$/.test(pathname)) {
+    try {
+      return (await import('./api/handoff/[id]/reply.js')).default;
+    } catch (error) {
+      console.error('Error loading dynamic route handler:', error);
+      return null;
+    }
+  }
+  
   // Check for dynamic routes
-  if (pathname.startsWith('/api/knowledge/') && pathname !== '/api/knowledge/search') {
+  if (/^\/api\/handoff\/[^/]+$/.test(pathname)) {
+    try {
+      return (await import('./api/handoff/[id].js')).default;
+    } catch (error) {
+      console.error('Error loading dynamic route handler:', error);
+      return null;
+    }
+  }
+  
+  if (/^\/api\/leads\/[^/]+$/.test(pathname)) {
+    try {
+      return (await import('./api/leads/[id].js')).default;
+    } catch (error) {
+      console.error('Error loading dynamic route handler:', error);
+      return null;
+    }
+  }
+  
+  if (pathname.startsWith('/api/knowledge/') && !routes[pathname]) {
     // This is a dynamic route like /api/knowledge/123
     try {
       const knowledgeIdHandler = (await import('./api/knowledge/[id].js')).default;
@@ -122,12 +203,9 @@ function parseBody(req) {
       body += chunk.toString();
     });
     
+    // Handlers parse JSON bodies themselves
     req.on('end', () => {
-      try {
-        resolve(JSON.parse(body));
-      } catch (e) {
-        resolve(body);
-      }
+      resolve(body);
     });
   });
 }
@@ -139,10 +217,13 @@ const server = http.createServer(async (req, res) => {
   
   console.log(`${req.method} ${pathname}`);
   
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  // Enable CORS, except on admin-only endpoints
+  if (!ADMIN_ONLY_ROUTE.test(pathname)) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-Match');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag');
+  }
   
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -169,8 +250,8 @@ const server = http.createServer(async (req, res) => {
     vercelReq.body = body;
     
     // Extract dynamic route parameters
-    if (pathname.startsWith('/api/knowledge/') && pathname !== '/api/knowledge/search') {
-      const id = pathname.split('/').pop();
+    if (/^\/api\/(knowledge|handoff|leads)\//.test(pathname) && !getRoutes()[pathname]) {
+      const id = pathname.split('/')[3];
       vercelReq.query.id = id;
     }
     
@@ -178,7 +259,10 @@ const server = http.createServer(async (req, res) => {
     const vercelRes = createVercelResponse(res);
     
     // Call the handler
-    await handler(vercelReq, vercelRes);
+    const result = await handler(vercelReq, vercelRes);
+    if (result && !res.headersSent) {
+      await sendHandlerResult(res, result);
+    }
     
   } catch (error) {
     console.error('API Error:', error);
@@ -197,10 +281,24 @@ async function startServer() {
   server.listen(PORT, () => {
     console.log(`🚀 Development API server running on http://localhost:${PORT}`);
     console.log('   Available endpoints:');
-    console.log('   - POST /api/chat');
+    console.log('   - GET/POST /api/chat');
     console.log('   - GET/POST /api/knowledge');
     console.log('   - GET /api/knowledge/search');
     console.log('   - GET/PUT/DELETE /api/knowledge/[id]');
+    console.log('   - GET /api/knowledge/[id]/revisions');
+    console.log('   - POST /api/knowledge/[id]/revert');
+    console.log('   - POST /api/knowledge/[id]/restore');
+    console.log('   - GET/DELETE /api/knowledge/trash');
+    console.log('   - GET/PUT /api/knowledge/synonyms');
+    console.log('   - GET/PUT/DELETE /api/prompt');
+    console.log('   - POST /api/prompt/preview');
+    console.log('   - POST /api/prompt/publish');
+    console.log('   - GET /api/handoff');
+    console.log('   - GET/PUT /api/handoff/[id]');
+    console.log('   - POST /api/handoff/[id]/reply');
+    console.log('   - GET /api/handoff/session');
+    console.log('   - GET /api/leads');
+    console.log('   - GET /api/leads/[id]');
   });
 }
 
@@ -4,6 +4,7 @@ class KnowledgeAdmin {
         this.filteredEntries = [];
         this.currentEditingId = null;
         this.currentDeleteId = null;
+        this.trashedEntries = [];
         
         // DOM elements
         this.entriesList = document.getElementById('entriesList');
@@ -15,6 +16,9 @@ class KnowledgeAdmin {
         // Modal elements
         this.entryModal = document.getElementById('entryModal');
         this.deleteModal = document.getElementById('deleteModal');
+        this.trashModal = document.getElementById('trashModal');
+        this.trashList = document.getElementById('trashList');
+        this.trashRetentionInfo = document.getElementById('trashRetentionInfo');
         this.entryForm = document.getElementById('entryForm');
         this.modalTitle = document.getElementById('modalTitle');
         
@@ -30,6 +34,9 @@ class KnowledgeAdmin {
         this.saveBtn = document.getElementById('saveBtn');
         this.cancelDeleteBtn = document.getElementById('cancelDeleteBtn');
         this.confirmDeleteBtn = document.getElementById('confirmDeleteBtn');
+        this.openTrashBtn = document.getElementById('openTrashBtn');
+        this.closeTrashBtn = document.getElementById('closeTrashBtn');
+        this.emptyTrashBtn = document.getElementById('emptyTrashBtn');
         
         // Toast container
         this.toastContainer = document.getElementById('toastContainer');
@@ -52,6 +59,9 @@ class KnowledgeAdmin {
         this.closeModalBtn.addEventListener('click', () => this.closeModal());
         this.cancelBtn.addEventListener('click', () => this.closeModal());
         this.cancelDeleteBtn.addEventListener('click', () => this.closeDeleteModal());
+        this.openTrashBtn.addEventListener('click', () => this.openTrashModal());
+        this.closeTrashBtn.addEventListener('click', () => this.closeTrashModal());
+        this.emptyTrashBtn.addEventListener('click', () => this.handleEmptyTrash());
         
         // Form submission
         this.entryForm.addEventListener('submit', (e) => this.handleFormSubmit(e));
@@ -64,12 +74,16 @@ class KnowledgeAdmin {
         this.deleteModal.addEventListener('click', (e) => {
             if (e.target === this.deleteModal) this.closeDeleteModal();
         });
+        this.trashModal.addEventListener('click', (e) => {
+            if (e.target === this.trashModal) this.closeTrashModal();
+        });
         
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this.closeModal();
                 this.closeDeleteModal();
+                this.closeTrashModal();
             }
         });
         
@@ -140,29 +154,58 @@ class KnowledgeAdmin {
     }
     
     handleSearch(query) {
-        const trimmedQuery = query.trim().toLowerCase();
+        const trimmedQuery = query.trim();
+        clearTimeout(this.searchTimer);
         
         if (trimmedQuery === '') {
             this.clearSearch();
             return;
         }
         
-        this.filteredEntries = this.entries.filter(entry => {
-            const keyMatch = entry.key.toLowerCase().includes(trimmedQuery);
-            const valueMatch = entry.value.toLowerCase().includes(trimmedQuery);
-            const tagMatch = entry.tags && entry.tags.some(tag => 
-                tag.toLowerCase().includes(trimmedQuery)
-            );
-            
-            return keyMatch || valueMatch || tagMatch;
-        });
+        // Wait for a pause in typing before asking the server
+        this.searchTimer = setTimeout(() => this.runSearch(trimmedQuery), 250);
+    }
+    
+    async runSearch(query) {
+        // Responses to superseded searches are ignored
+        const requestId = this.searchRequestId = (this.searchRequestId || 0) + 1;
         
-        this.renderEntries();
-        this.updateSearchResults(trimmedQuery);
-        this.clearSearchBtn.style.display = 'block';
+        try {
+            const params = new URLSearchParams({ q: query, limit: String(Math.max(this.entries.length, 1)) });
+            const response = await fetch(`/api/knowledge/search?${params}`, {
+                signal: AbortSignal.timeout(15000)
+            });
+            const data = await response.json().catch(() => ({}));
+            
+            if (requestId !== this.searchRequestId) {
+                return;
+            }
+            
+            this.clearSearchBtn.style.display = 'block';
+            
+            if (!response.ok) {
+                // Malformed queries come back as 400 with a message saying what is wrong
+                this.filteredEntries = [];
+                this.renderEntries();
+                this.searchResultsInfo.textContent = data.message || `Search failed (${response.status})`;
+                return;
+            }
+            
+            this.filteredEntries = data.results || [];
+            this.renderEntries();
+            this.updateSearchResults(query);
+            
+        } catch (error) {
+            if (requestId === this.searchRequestId) {
+                console.error('Search failed:', error);
+                this.showError('Search Failed', 'Please check your connection and try again.');
+            }
+        }
     }
     
     clearSearch() {
+        clearTimeout(this.searchTimer);
+        this.searchRequestId = (this.searchRequestId || 0) + 1;
         this.searchInput.value = '';
         this.filteredEntries = [...this.entries];
         this.renderEntries();
@@ -197,10 +240,21 @@ class KnowledgeAdmin {
     }
     
     createEntryHTML(entry) {
+        const { highlights } = entry;
         const tagsHTML = entry.tags && entry.tags.length > 0 
-            ? entry.tags.map(tag => `<span class="tag">${this.escapeHtml(tag)}</span>`).join('')
+            ? entry.tags.map(tag => {
+                const matched = highlights && highlights.tags.includes(tag);
+                return `<span class="tag${matched ? ' tag-matched' : ''}">${this.escapeHtml(tag)}</span>`;
+            }).join('')
             : '<span class="tag">No tags</span>';
         
+        // Search results show the matched words and a snippet of the value around them
+        const titleHTML = highlights ? this.highlightHtml(highlights.key) : this.escapeHtml(entry.key);
+        const contentHTML = highlights ? this.highlightHtml(highlights.value) : this.escapeHtml(entry.value);
+        const matchedHTML = entry.matchedFields && entry.matchedFields.length > 0
+            ? `<div class="entry-matched">Matched in: ${entry.matchedFields.map(field => this.escapeHtml(field)).join(', ')}</div>`
+            : '';
+        
         const createdDate = new Date(entry.createdAt).toLocaleDateString();
         const updatedDate = new Date(entry.updatedAt).toLocaleDateString();
         const isUpdated = entry.createdAt !== entry.updatedAt;
@@ -208,7 +262,7 @@ class KnowledgeAdmin {
         return `
             <div class="entry-card" data-id="${entry.id}">
                 <div class="entry-header">
-                    <h3 class="entry-title">${this.escapeHtml(entry.key)}</h3>
+                    <h3 class="entry-title">${titleHTML}</h3>
                     <div class="entry-actions">
                         <button class="action-button edit-button" data-id="${entry.id}" title="Edit entry">
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -227,9 +281,10 @@ class KnowledgeAdmin {
                     </div>
                 </div>
                 <div class="entry-content" data-id="${entry.id}">
-                    ${this.escapeHtml(entry.value)}
+                    ${contentHTML}
                 </div>
-                ${entry.value.length > 200 ? `<button class="expand-button" data-id="${entry.id}">Show more</button>` : ''}
+                ${!highlights && entry.value.length > 200 ? `<button class="expand-button" data-id="${entry.id}">Show more</button>` : ''}
+                ${matchedHTML}
                 <div class="entry-footer">
                     <div class="entry-tags">
                         ${tagsHTML}
@@ -365,10 +420,14 @@ class KnowledgeAdmin {
             
             let response;
             if (this.currentEditingId) {
-                // Update existing entry
+                // Update existing entry, rejecting the save if it changed since we loaded it
+                const currentEntry = this.entries.find(e => e.id === this.currentEditingId);
                 response = await fetch(`/api/knowledge/${this.currentEditingId}`, {
                     method: 'PUT',
-                    headers: { 'Content-Type': 'application/json' },
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'If-Match': `"${(currentEntry && currentEntry.revision) || 1}"`
+                    },
                     body: JSON.stringify(data)
                 });
             } else {
@@ -382,6 +441,19 @@ class KnowledgeAdmin {
             
             if (!response.ok) {
                 const errorData = await response.json();
+                
+                if (response.status === 409 && errorData.entry) {
+                    // Someone else saved first - show their version and keep the modal open
+                    const index = this.entries.findIndex(e => e.id === this.currentEditingId);
+                    if (index !== -1) {
+                        this.entries[index] = errorData.entry;
+                    }
+                    this.filteredEntries = [...this.entries];
+                    this.renderEntries();
+                    this.showWarning('Entry Changed', 'Someone else updated this entry while you were editing. Review the latest version and save again.');
+                    return;
+                }
+                
                 throw new Error(errorData.message || 'Failed to save entry');
             }
             
@@ -437,7 +509,7 @@ class KnowledgeAdmin {
             this.updateEntriesCount();
             this.closeDeleteModal();
             
-            this.showSuccess('Entry Deleted', 'The knowledge entry has been deleted successfully.');
+            this.showSuccess('Moved to Trash', 'The knowledge entry can be restored from the trash.');
             
         } catch (error) {
             console.error('Error deleting entry:', error);
@@ -447,6 +519,167 @@ class KnowledgeAdmin {
         }
     }
     
+    async openTrashModal() {
+        this.trashModal.classList.add('show');
+        this.trashList.innerHTML = `
+            <div class="loading-entries">
+                <div class="typing-dots">
+                    <span></span>
+                    <span></span>
+                    <span></span>
+                </div>
+                <span>Loading trash...</span>
+            </div>
+        `;
+        
+        try {
+            const response = await fetch('/api/knowledge/trash');
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to load trash');
+            }
+            
+            this.trashedEntries = data.entries || [];
+            this.trashRetentionInfo.textContent = `Deleted entries are kept for ${data.retentionDays} days before they are purged.`;
+            this.renderTrash();
+            
+        } catch (error) {
+            console.error('Error loading trash:', error);
+            this.closeTrashModal();
+            this.showError('Failed to load trash', error.message);
+        }
+    }
+    
+    closeTrashModal() {
+        this.trashModal.classList.remove('show');
+    }
+    
+    renderTrash() {
+        this.emptyTrashBtn.disabled = this.trashedEntries.length === 0;
+        
+        if (this.trashedEntries.length === 0) {
+            this.trashList.innerHTML = `
+                <div class="no-entries">
+                    <h3>The trash is empty</h3>
+                </div>
+            `;
+            return;
+        }
+        
+        this.trashList.innerHTML = this.trashedEntries.map(entry => `
+            <div class="trash-item">
+                <div>
+                    <h4>${this.escapeHtml(entry.key)}</h4>
+                    <p>${this.escapeHtml(entry.value.substring(0, 150))}${entry.value.length > 150 ? '...' : ''}</p>
+                    <div class="entry-meta">
+                        Deleted: ${new Date(entry.deletedAt).toLocaleString()}${entry.deletedBy ? ` by ${this.escapeHtml(entry.deletedBy)}` : ''}
+                        <br>Purged after: ${new Date(entry.purgeAt).toLocaleDateString()}
+                    </div>
+                </div>
+                <div class="entry-actions">
+                    <button class="action-button restore-button" data-id="${entry.id}" title="Restore entry">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="1,4 1,10 7,10"></polyline>
+                            <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+                        </svg>
+                    </button>
+                    <button class="action-button purge-button" data-id="${entry.id}" title="Delete permanently">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                        </svg>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+        
+        this.trashList.querySelectorAll('.restore-button').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleRestore(e.currentTarget.getAttribute('data-id')));
+        });
+        this.trashList.querySelectorAll('.purge-button').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handlePurge(e.currentTarget.getAttribute('data-id')));
+        });
+    }
+    
+    async handleRestore(id) {
+        try {
+            const response = await fetch(`/api/knowledge/${id}/restore`, {
+                method: 'POST'
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to restore entry');
+            }
+            
+            this.trashedEntries = this.trashedEntries.filter(e => e.id !== id);
+            this.renderTrash();
+            
+            this.entries.unshift(data.entry);
+            this.filteredEntries = [...this.entries];
+            this.renderEntries();
+            this.updateEntriesCount();
+            
+            this.showSuccess('Entry Restored', 'The knowledge entry has been restored from the trash.');
+            
+        } catch (error) {
+            console.error('Error restoring entry:', error);
+            this.showError('Restore Failed', error.message);
+        }
+    }
+    
+    async handlePurge(id) {
+        if (!confirm('Permanently delete this entry? This cannot be undone.')) return;
+        
+        try {
+            const response = await fetch(`/api/knowledge/trash?id=${encodeURIComponent(id)}`, {
+                method: 'DELETE'
+            });
+            
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.message || 'Failed to delete entry');
+            }
+            
+            this.trashedEntries = this.trashedEntries.filter(e => e.id !== id);
+            this.renderTrash();
+            
+            this.showSuccess('Entry Deleted', 'The knowledge entry has been permanently deleted.');
+            
+        } catch (error) {
+            console.error('Error purging entry:', error);
+            this.showError('Delete Failed', error.message);
+        }
+    }
+    
+    async handleEmptyTrash() {
+        if (!confirm(`Permanently delete all ${this.trashedEntries.length} entries in the trash? This cannot be undone.`)) return;
+        
+        try {
+            this.setButtonLoading(this.emptyTrashBtn, true);
+            
+            const response = await fetch('/api/knowledge/trash', {
+                method: 'DELETE'
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to empty trash');
+            }
+            
+            this.trashedEntries = [];
+            this.showSuccess('Trash Emptied', data.message);
+            
+        } catch (error) {
+            console.error('Error emptying trash:', error);
+            this.showError('Delete Failed', error.message);
+        } finally {
+            this.setButtonLoading(this.emptyTrashBtn, false);
+            this.renderTrash();
+        }
+    }
+    
     setButtonLoading(button, loading) {
         const text = button.querySelector('.button-text');
         const loader = button.querySelector('.button-loading');
@@ -592,6 +825,20 @@ class KnowledgeAdmin {
         this.showToast('warning', title, message);
     }
     
+    // Escape highlighted text and wrap its matched ranges in <mark>
+    highlightHtml({ text, matches }) {
+        let html = '';
+        let position = 0;
+        
+        for (const [start, end] of matches) {
+            html += this.escapeHtml(text.slice(position, start));
+            html += `<mark>${this.escapeHtml(text.slice(start, end))}</mark>`;
+            position = end;
+        }
+        
+        return html + this.escapeHtml(text.slice(position));
+    }
+    
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -89,14 +89,36 @@ class ChatInterface {
         // Show loading indicator
         this.showLoading();
         
+        // Streamed replies appear with their first token and grow as more arrive
+        let streamedContent = null;
+        let streamedText = '';
+        
         try {
             // Send message to API
-            const response = await this.sendToAPI(message);
+            const reply = await this.sendToAPI(message, (token) => {
+                if (!streamedContent) {
+                    this.loadingIndicator.classList.remove('show');
+                    streamedContent = this.addMessageToDOM('', 'ai', new Date().toISOString());
+                }
+                streamedText += token;
+                streamedContent.textContent = streamedText;
+                this.scrollToBottom();
+            });
             
             // Add AI response to chat
-            this.addMessage(response, 'ai');
+            if (streamedContent) {
+                this.addSourcesToDOM(streamedContent.parentNode, reply.sources);
+                this.recordMessage(reply.text, 'ai', false, reply.sources);
+            } else {
+                this.addMessage(reply.text, 'ai', false, reply.sources);
+            }
             
         } catch (error) {
+            // Keep whatever part of a streamed reply arrived before the error
+            if (streamedText) {
+                this.recordMessage(streamedText, 'ai');
+            }
+            
             console.error('Error sending message:', error);
             
             // Show specific error message based on error type
@@ -121,9 +143,10 @@ class ChatInterface {
         }
     }
     
-    async sendToAPI(message) {
+    async sendToAPI(message, onToken) {
         const maxRetries = 3;
         let lastError = null;
+        let streamStarted = false;
         
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
             try {
@@ -131,8 +154,9 @@ class ChatInterface {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
+                        'Accept': 'text/event-stream, application/json',
                     },
-                    body: JSON.stringify({ message }),
+                    body: JSON.stringify({ message, stream: true }),
                     signal: AbortSignal.timeout(30000) // 30 second timeout
                 });
                 
@@ -153,13 +177,18 @@ class ChatInterface {
                     }
                 }
                 
+                if ((response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+                    streamStarted = true;
+                    return await this.readEventStream(response, onToken);
+                }
+                
                 const data = await response.json();
                 
                 if (data.error) {
                     throw new Error(data.message || 'An error occurred while processing your request.');
                 }
                 
-                return data.response;
+                return { text: data.response, sources: data.sources || [] };
                 
             } catch (error) {
                 lastError = error;
@@ -169,6 +198,11 @@ class ChatInterface {
                     throw new Error('Request timed out. Please try again with a shorter message.');
                 }
                 
+                // Retrying a reply that already started streaming would repeat it
+                if (streamStarted) {
+                    throw error;
+                }
+                
                 if (error.message.includes('usage limits') || 
                     error.message.includes('Invalid request') ||
                     error.message.includes('timed out')) {
@@ -187,35 +221,62 @@ class ChatInterface {
         throw lastError || new Error('Failed to send message after multiple attempts.');
     }
     
-    addMessage(content, sender, isError = false) {
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `message ${sender}-message`;
+    // Read a Server-Sent Events reply: `token` events carry text, `done` ends
+    // the reply with its sources and `error` reports a failure part-way through
+    async readEventStream(response, onToken) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+        let sources = [];
         
-        const messageContent = document.createElement('div');
-        messageContent.className = 'message-content';
-        messageContent.textContent = content;
-        
-        if (isError) {
-            messageContent.style.color = '#e74c3c';
-            messageContent.style.fontStyle = 'italic';
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const block = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+                
+                let event = 'message';
+                let data = '';
+                block.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    else if (line.startsWith('data:')) data += line.slice(5).trimStart();
+                });
+                
+                const payload = data ? JSON.parse(data) : {};
+                
+                if (event === 'token') {
+                    text += payload.text;
+                    onToken(payload.text);
+                } else if (event === 'done') {
+                    sources = payload.sources || [];
+                } else if (event === 'error') {
+                    throw new Error(payload.message || 'The reply was interrupted. Please try again.');
+                }
+            }
         }
         
-        const messageTime = document.createElement('div');
-        messageTime.className = 'message-time';
-        messageTime.textContent = this.formatTime(new Date());
-        
-        messageDiv.appendChild(messageContent);
-        messageDiv.appendChild(messageTime);
-        
-        this.chatMessages.appendChild(messageDiv);
+        return { text, sources };
+    }
+    
+    addMessage(content, sender, isError = false, sources = []) {
+        this.addMessageToDOM(content, sender, new Date().toISOString(), isError, sources);
         this.scrollToBottom();
-        
-        // Save to chat history
+        this.recordMessage(content, sender, isError, sources);
+    }
+    
+    // Save a message to chat history
+    recordMessage(content, sender, isError = false, sources = []) {
         this.chatHistory.push({
             content,
             sender,
             timestamp: new Date().toISOString(),
-            isError
+            isError,
+            sources
         });
         this.saveChatHistory();
     }
@@ -297,13 +358,13 @@ class ChatInterface {
         
         // Restore messages
         this.chatHistory.forEach(msg => {
-            this.addMessageToDOM(msg.content, msg.sender, msg.timestamp, msg.isError);
+            this.addMessageToDOM(msg.content, msg.sender, msg.timestamp, msg.isError, msg.sources);
         });
         
         this.scrollToBottom();
     }
     
-    addMessageToDOM(content, sender, timestamp, isError = false) {
+    addMessageToDOM(content, sender, timestamp, isError = false, sources = []) {
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${sender}-message`;
         
@@ -322,8 +383,45 @@ class ChatInterface {
         
         messageDiv.appendChild(messageContent);
         messageDiv.appendChild(messageTime);
+        this.addSourcesToDOM(messageDiv, sources);
         
         this.chatMessages.appendChild(messageDiv);
+        return messageContent;
+    }
+    
+    // Source chips under an AI reply; clicking one shows the entry it came from
+    addSourcesToDOM(messageDiv, sources = []) {
+        if (!sources || sources.length === 0) return;
+        
+        const container = document.createElement('div');
+        container.className = 'message-sources';
+        
+        const excerpt = document.createElement('div');
+        excerpt.className = 'source-excerpt';
+        
+        sources.forEach(source => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = source.cited ? 'source-chip' : 'source-chip uncited';
+            chip.textContent = `[${source.ref}] ${source.key}`;
+            chip.title = `Relevance ${source.score}${source.cited ? '' : ' · not cited in the answer'}`;
+            
+            chip.addEventListener('click', () => {
+                const wasActive = chip.classList.contains('active');
+                container.querySelectorAll('.source-chip').forEach(other => other.classList.remove('active'));
+                excerpt.classList.toggle('show', !wasActive);
+                
+                if (!wasActive) {
+                    chip.classList.add('active');
+                    excerpt.textContent = `${source.key}: ${source.excerpt}`;
+                }
+            });
+            
+            container.appendChild(chip);
+        });
+        
+        container.appendChild(excerpt);
+        messageDiv.insertBefore(container, messageDiv.querySelector('.message-time'));
     }
     
     clearChatHistory() {
@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+
+/**
+ * Authentication of admin-only API endpoints (handoff tickets, leads), which
+ * expose customer conversations and contact details. Requests must carry
+ * `Authorization: Bearer <ADMIN_API_TOKEN>`; without ADMIN_API_TOKEN set,
+ * the endpoints are disabled.
+ */
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Check the admin token of a request. Returns null when it is accepted;
+ * otherwise returns the { statusCode, headers, body } error response.
+ *
+ * @param {Object} req - Request with lowercase or capitalized header names
+ * @param {Object} headers - Headers to send with an error response
+ * @param {string} [token] - Expected token; ADMIN_API_TOKEN by default
+ */
+function checkAdminToken(req, headers, token = process.env.ADMIN_API_TOKEN) {
+  if (!token) {
+    return {
+      statusCode: 403,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'The admin API is disabled. Set ADMIN_API_TOKEN to enable it.',
+        code: 'ADMIN_API_DISABLED'
+      })
+    };
+  }
+
+  const authorization = req.headers?.authorization || req.headers?.Authorization || '';
+  const [scheme, provided] = authorization.split(' ');
+
+  // Hashing first gives equal lengths, which timingSafeEqual requires
+  if (scheme !== 'Bearer' || !provided || !crypto.timingSafeEqual(sha256(provided), sha256(token))) {
+    return {
+      statusCode: 401,
+      headers: { ...headers, 'WWW-Authenticate': 'Bearer' },
+      body: JSON.stringify({
+        error: true,
+        message: 'A valid admin token is required',
+        code: 'UNAUTHORIZED'
+      })
+    };
+  }
+
+  return null;
+}
+
+export { checkAdminToken };
@@ -0,0 +1,73 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Acquire an exclusive lock backed by a lock file, shared between processes.
+ * The lock file is created with O_EXCL so only one holder can exist at a time;
+ * lock files older than `staleAfter` are assumed to belong to a crashed process
+ * and are removed.
+ *
+ * @returns {Promise<Function>} Async function that releases the lock
+ */
+async function acquireFileLock(lockPath, options = {}) {
+  const {
+    timeout = 10000,
+    staleAfter = 30000,
+    retryInterval = 50
+  } = options;
+
+  const startTime = Date.now();
+  await fs.mkdir(path.dirname(lockPath), { recursive: true });
+
+  while (true) {
+    try {
+      const handle = await fs.open(lockPath, 'wx');
+      try {
+        await handle.writeFile(JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() }));
+      } finally {
+        await handle.close();
+      }
+
+      let released = false;
+      return async function release() {
+        if (released) return;
+        released = true;
+        try {
+          await fs.unlink(lockPath);
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            console.warn('Could not release lock file:', error.message);
+          }
+        }
+      };
+
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    // Lock is held by someone else - clear it if stale, otherwise wait
+    try {
+      const stats = await fs.stat(lockPath);
+      if (Date.now() - stats.mtimeMs > staleAfter) {
+        console.warn(`Removing stale lock file: ${lockPath}`);
+        await fs.unlink(lockPath);
+        continue;
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        continue; // Released between our attempts
+      }
+      throw error;
+    }
+
+    if (Date.now() - startTime > timeout) {
+      throw new Error(`Timed out waiting for lock: ${lockPath}`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, retryInterval + Math.random() * retryInterval));
+  }
+}
+
+export { acquireFileLock };
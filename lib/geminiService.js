@@ -1,161 +1,317 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import { assemblePrompt } from './llm/prompt.js';
+import { classifyError, getErrorKind, loadModelTiers } from './llm/modelTiers.js';
+import { CircuitBreaker, getRetryAfterMs } from './llm/circuitBreaker.js';
+import { createTimeout, getBackoffDelay, sleep } from './llm/retry.js';
 
+/**
+ * Model provider backed by the Google Gemini API (see lib/llm for the
+ * provider interface and the other implementations)
+ */
 class GeminiService {
   constructor() {
+    this.name = 'gemini';
     this.apiKey = process.env.GEMINI_API_KEY;
     if (!this.apiKey) {
-      throw new Error('GEMINI_API_KEY environment variable is required');
+      const error = new Error('GEMINI_API_KEY environment variable is required');
+      error.code = 'CONFIGURATION_ERROR';
+      throw error;
     }
     
     this.genAI = new GoogleGenerativeAI(this.apiKey);
     
-    // Model tier configuration with fallback order
-    this.modelTiers = [
-      { name: 'gemini-2.0-flash-exp', tier: 'pro' },
-      { name: 'gemini-1.5-flash', tier: 'flash' },
-      { name: 'gemini-1.5-flash-8b', tier: 'flash-lite' }
-    ];
+    // Model tier configuration with fallback order (see lib/llm/modelTiers.js)
+    const { tiers, errorPatterns, retry } = loadModelTiers();
+    this.modelTiers = tiers;
+    this.errorPatterns = errorPatterns;
+    this.retryPolicy = retry;
     
-    this.currentModelIndex = 0;
+    // One circuit breaker per tier tracks the health of its model
+    this.breakers = this.modelTiers.map(tier => new CircuitBreaker({ cooldownMs: tier.cooldownMs }));
     this.lastFailureTime = null;
-    this.retryDelay = 60000; // 1 minute retry delay
   }
 
   /**
-   * Get the current model instance
+   * Get the model instance of a tier, configured with its generation settings
+   * and the system instruction
    */
-  getCurrentModel() {
-    const currentTier = this.modelTiers[this.currentModelIndex];
-    return this.genAI.getGenerativeModel({ model: currentTier.name });
+  getModel(index, systemInstruction) {
+    const currentTier = this.modelTiers[index];
+    const generationConfig = {};
+    if (currentTier.temperature !== undefined) generationConfig.temperature = currentTier.temperature;
+    if (currentTier.maxOutputTokens !== undefined) generationConfig.maxOutputTokens = currentTier.maxOutputTokens;
+
+    return this.genAI.getGenerativeModel({
+      model: currentTier.name,
+      generationConfig,
+      ...(systemInstruction && { systemInstruction }),
+      ...(currentTier.safetySettings && { safetySettings: currentTier.safetySettings })
+    });
   }
 
   /**
-   * Switch to next available model tier
+   * Generate AI response with automatic model tier switching
    */
-  switchToNextTier() {
-    if (this.currentModelIndex < this.modelTiers.length - 1) {
-      this.currentModelIndex++;
-      console.log(`Switched to model tier: ${this.modelTiers[this.currentModelIndex].name}`);
-      return true;
-    }
-    return false;
+  async generateChatResponse(prompt, history, knowledgeContext = '', options = {}) {
+    return this.sendWithTierFallback(prompt, history, knowledgeContext, options, async (chat, message, timeout) => {
+      const result = await chat.sendMessage(message, { signal: timeout.signal });
+      const response = await result.response;
+      return response.text();
+    });
   }
 
   /**
-   * Reset to highest tier model (called periodically or on successful request)
+   * Generate AI response as a stream, calling onToken with each chunk of text
+   * as it arrives. Resolves with the same result as generateChatResponse once
+   * the reply is complete. Tiers are only switched before the first chunk, so a
+   * reply is never stitched together from two models. The request timeout
+   * covers the wait for the first chunk, so long replies are not cut off.
    */
-  resetToHighestTier() {
-    if (this.currentModelIndex > 0) {
-      this.currentModelIndex = 0;
-      console.log(`Reset to highest tier model: ${this.modelTiers[0].name}`);
-    }
+  async streamChatResponse(prompt, history, knowledgeContext = '', onToken, options = {}) {
+    return this.sendWithTierFallback(prompt, history, knowledgeContext, options, async (chat, message, timeout) => {
+      const result = await chat.sendMessageStream(message, { signal: timeout.signal });
+      let text = '';
+
+      try {
+        for await (const chunk of result.stream) {
+          const token = chunk.text();
+          if (token) {
+            timeout.clear();
+            text += token;
+            onToken(token);
+          }
+        }
+      } catch (error) {
+        // Part of the reply has already been sent; switching tiers would repeat it
+        error.partialResponse = text || undefined;
+        throw error;
+      }
+
+      return text;
+    });
   }
 
   /**
-   * Generate AI response with automatic model tier switching
+   * Send a prompt to the first tier whose circuit lets requests through.
+   * Transient errors (overloaded, server errors, timeouts, network failures)
+   * are retried on the same tier with backoff; a tier that keeps failing, or
+   * fails with a quota error, hands over to the next tier if its failoverOn
+   * allows. Fatal errors are thrown straight away. All attempts share the
+   * retry policy's time budget.
    */
-  async generateChatResponse(prompt, history, knowledgeContext = '') {
-    const maxRetries = this.modelTiers.length;
+  async sendWithTierFallback(prompt, history, knowledgeContext, options, send) {
+    const { maxAttempts, timeoutMs, budgetMs } = this.retryPolicy;
+    const deadline = Date.now() + budgetMs;
+    const assembled = assemblePrompt(prompt, history, knowledgeContext, options);
     let lastError = null;
 
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-      try {
-        const model = this.getCurrentModel();
-        
-        // Construct the full prompt with knowledge context
-        const fullPrompt = this.constructPrompt(prompt, knowledgeContext);
-
-        const chat = model.startChat({ history });
-        
-        const result = await chat.sendMessage(fullPrompt);
-        const response = await result.response;
-        const text = response.text();
-
-        // Success - reset to highest tier for next request
-        if (this.currentModelIndex > 0) {
-          setTimeout(() => this.resetToHighestTier(), this.retryDelay);
-        }
+    for (let index = 0; index < this.modelTiers.length && Date.now() < deadline; index++) {
+      const tier = this.modelTiers[index];
+      const breaker = this.breakers[index];
 
-        return {
-          response: text,
-          modelUsed: this.modelTiers[this.currentModelIndex].name,
-          tier: this.modelTiers[this.currentModelIndex].tier
-        };
+      for (let attempt = 1; breaker.allowRequest(); attempt++) {
+        const startedAt = Date.now();
+        const timeout = createTimeout(Math.max(1, Math.min(timeoutMs, deadline - startedAt)));
 
-      } catch (error) {
-        lastError = error;
-        console.error(`Error with model ${this.modelTiers[this.currentModelIndex].name}:`, error.message);
-
-        // Check if it's a quota/rate limit error
-        if (this.isQuotaError(error)) {
-          if (!this.switchToNextTier()) {
-            // All models exhausted
-            this.lastFailureTime = Date.now();
-            throw new Error('All Gemini model tiers have reached their limits. Please try again later.');
+        try {
+          const model = this.getModel(index, assembled.systemInstruction);
+
+          const chat = model.startChat({ history: this.toGeminiHistory(assembled.history) });
+          
+          const text = await send(chat, assembled.message, timeout);
+
+          breaker.recordSuccess(Date.now() - startedAt);
+
+          return {
+            response: text,
+            modelUsed: tier.name,
+            tier: tier.tier
+          };
+
+        } catch (caught) {
+          const error = timeout.timedOut
+            ? new Error(`Model ${tier.name} timed out after ${timeout.ms}ms`)
+            : caught;
+          const kind = getErrorKind(classifyError(error, this.errorPatterns));
+          lastError = error;
+          console.error(`Error with model ${tier.name} (attempt ${attempt}, ${kind}):`, error.message);
+
+          if (kind === 'fatal') {
+            // The model answered; the request itself was at fault
+            breaker.recordSuccess(Date.now() - startedAt);
+            throw error;
           }
-          // Continue to next iteration with new model
-          continue;
-        } else {
-          // Non-quota error, don't switch tiers
-          throw error;
+
+          if (kind === 'transient' && !error.code) {
+            error.code = 'MODEL_UNAVAILABLE';
+          }
+
+          const retryAfterMs = getRetryAfterMs(error);
+          this.lastFailureTime = Date.now();
+          breaker.recordFailure(error, {
+            latencyMs: Date.now() - startedAt,
+            retryAfterMs,
+            // An exhausted quota will not recover within the window
+            trip: kind === 'quota'
+          });
+
+          if (error.partialResponse) {
+            // Part of the reply has been sent; trying again would repeat it
+            throw error;
+          }
+
+          if (kind === 'transient' && attempt < maxAttempts) {
+            const delay = getBackoffDelay(attempt, this.retryPolicy, retryAfterMs);
+            if (Date.now() + delay < deadline) {
+              await sleep(delay);
+              continue;
+            }
+          }
+
+          // Check if the tier fails over on this kind of error
+          if (!this.shouldFailOver(tier, error)) {
+            throw error;
+          }
+
+          console.log(`Model ${tier.name} failed over (circuit ${breaker.state})`);
+          break;
+        } finally {
+          timeout.clear();
         }
       }
     }
 
-    throw lastError || new Error('Failed to generate response after all retries');
+    // Every tier failed, has an open circuit, or the time budget ran out
+    if (lastError && !this.isQuotaError(lastError)) {
+      throw lastError;
+    }
+
+    const exhausted = new Error('All Gemini model tiers have reached their limits. Please try again later.');
+    exhausted.code = 'QUOTA_EXHAUSTED';
+    exhausted.retryAfter = this.getRetryAfterSeconds();
+    throw exhausted;
+  }
+
+  /**
+   * Count the tokens of a text with the cheapest tier's model
+   */
+  async countTokens(text) {
+    const timeout = createTimeout(this.retryPolicy.timeoutMs);
+    try {
+      const result = await this.getModel(this.modelTiers.length - 1).countTokens(text, { signal: timeout.signal });
+      return result.totalTokens;
+    } finally {
+      timeout.clear();
+    }
+  }
+
+  /**
+   * Complete a one-off prompt, such as a conversation summary, with the
+   * cheapest tier whose circuit lets requests through. There is no retry or
+   * failover; callers are expected to cope without the text.
+   */
+  async generateSummary(prompt) {
+    const index = this.modelTiers.findLastIndex((tier, tierIndex) => this.breakers[tierIndex].allowRequest());
+    if (index === -1) {
+      const error = new Error('No Gemini model tier is available for summarizing');
+      error.code = 'MODEL_UNAVAILABLE';
+      throw error;
+    }
+
+    const breaker = this.breakers[index];
+    const startedAt = Date.now();
+    const timeout = createTimeout(this.retryPolicy.timeoutMs);
+
+    try {
+      const result = await this.getModel(index).generateContent(prompt, { signal: timeout.signal });
+      const text = result.response.text();
+      breaker.recordSuccess(Date.now() - startedAt);
+      return text;
+    } catch (caught) {
+      const error = timeout.timedOut
+        ? new Error(`Model ${this.modelTiers[index].name} timed out after ${timeout.ms}ms`)
+        : caught;
+      const kind = getErrorKind(classifyError(error, this.errorPatterns));
+
+      if (kind === 'fatal') {
+        breaker.recordSuccess(Date.now() - startedAt);
+      } else {
+        this.lastFailureTime = Date.now();
+        breaker.recordFailure(error, {
+          latencyMs: Date.now() - startedAt,
+          retryAfterMs: getRetryAfterMs(error),
+          trip: kind === 'quota'
+        });
+      }
+      throw error;
+    } finally {
+      timeout.clear();
+    }
+  }
+
+  /**
+   * Seconds until the first open circuit lets a probe through
+   */
+  getRetryAfterSeconds() {
+    const openUntil = this.breakers
+      .filter(breaker => breaker.state === 'open')
+      .map(breaker => breaker.openUntil);
+
+    return openUntil.length > 0
+      ? Math.max(1, Math.ceil((Math.min(...openUntil) - Date.now()) / 1000))
+      : undefined;
+  }
+
+  /**
+   * Convert provider-neutral history ({ role: 'user' | 'assistant', content })
+   * to Gemini chat history
+   */
+  toGeminiHistory(history = []) {
+    return history.map(({ role, content }) => ({
+      role: role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: content }]
+    }));
   }
 
   /**
    * Check if error is related to quota/rate limits
    */
   isQuotaError(error) {
-    const quotaErrorMessages = [
-      'quota exceeded',
-      'rate limit',
-      'too many requests',
-      'resource exhausted',
-      'RATE_LIMIT_EXCEEDED',
-      'QUOTA_EXCEEDED'
-    ];
-    
-    const errorMessage = error.message?.toLowerCase() || '';
-    return quotaErrorMessages.some(msg => errorMessage.includes(msg));
+    return classifyError(error, this.errorPatterns) === 'quota';
   }
 
   /**
-   * Construct the full prompt with system instructions and knowledge context
+   * Check if a tier is configured to fail over on this error's class
    */
-  constructPrompt(userMessage, knowledgeContext) {
-    const systemInstructions = `You are a helpful AI assistant for an architectural company's customer support. 
-Your role is to provide accurate, professional, and friendly responses to customer inquiries.
-
-Guidelines:
-- Use the provided knowledge base information when relevant
-- If you don't have specific information, politely suggest contacting human support
-- Keep responses concise but informative
-- Maintain a professional yet friendly tone
-- Focus on architectural services, pricing, processes, and general company information`;
-
-    let prompt = systemInstructions + '\n\n';
-    
-    if (knowledgeContext) {
-      prompt += `Relevant company information:\n${knowledgeContext}\n\n`;
-    }
-    
-    prompt += `Customer question: ${userMessage}\n\nResponse:`;
-    
-    return prompt;
+  shouldFailOver(tier, error) {
+    const errorClass = classifyError(error, this.errorPatterns);
+    return errorClass !== null && tier.failoverOn.includes(errorClass);
   }
 
   /**
    * Get current model status
    */
   getStatus() {
+    // The tier the next request would start with
+    const index = this.breakers.findIndex(breaker => breaker.isAvailable());
+    const current = this.modelTiers[index] || null;
+
     return {
-      currentModel: this.modelTiers[this.currentModelIndex].name,
-      currentTier: this.modelTiers[this.currentModelIndex].tier,
-      modelIndex: this.currentModelIndex,
+      provider: this.name,
+      currentModel: current && current.name,
+      currentTier: current && current.tier,
+      modelIndex: index,
       totalTiers: this.modelTiers.length,
+      chain: this.modelTiers.map(({ name, tier, temperature, maxOutputTokens, cooldownMs, failoverOn }, tierIndex) => ({
+        name,
+        tier,
+        temperature,
+        maxOutputTokens,
+        cooldownMs,
+        failoverOn,
+        active: tierIndex === index,
+        circuit: this.breakers[tierIndex].getStatus()
+      })),
       lastFailureTime: this.lastFailureTime
     };
   }
@@ -0,0 +1,71 @@
+/**
+ * Deciding when a chat is handed off to the support team.
+ *
+ * A session is escalated when the customer asks for a person, or when the
+ * assistant failed to answer HANDOFF_FAILURE_THRESHOLD times in a row
+ * (fallback replies in strict grounding mode, or model errors). A fallback
+ * reply is known before it is sent, so the turn that would reach the
+ * threshold is handed off instead; after model errors the customer's next
+ * message is handed off without calling the model again.
+ */
+
+const HANDOFF_MESSAGE = `I'm connecting you with our support team. An agent will reply here as soon as possible — you can keep adding details in the meantime.`;
+
+const INTENT_PATTERNS = [
+  // "talk to a human", "speak with someone", "chat to a real person"
+  /\b(talk|speak|chat)\s+(to|with)\s+(a|an|the|some|your)?\s*(real\s+|live\s+)?(human|person|people|someone|somebody|agent|representative|rep|operator|manager|staff)\b/i,
+  // "live agent", "real person", "human support"
+  /\b(live|real|human)\s+(agent|person|being|support|representative|operator)\b/i,
+  // "I want a human", "get me an agent", "need a representative"
+  /\b(want|need|get\s+me|give\s+me)\s+(a|an|to\s+reach\s+a)?\s*(human|agent|representative|operator)\b/i,
+  /\b(connect|transfer)\s+me\b/i,
+  /\bescalate\b/i
+];
+
+function configurationError(message) {
+  const error = new Error(message);
+  error.code = 'CONFIGURATION_ERROR';
+  return error;
+}
+
+/**
+ * Read the escalation policy from the environment.
+ * Throws an Error with code CONFIGURATION_ERROR for invalid values.
+ *
+ * @returns {{ failureThreshold: number }} 0 disables escalation on failures
+ */
+function loadEscalationPolicy(env = process.env) {
+  const failureThreshold = parseInt(env.HANDOFF_FAILURE_THRESHOLD || '2');
+  if (!Number.isInteger(failureThreshold) || failureThreshold < 0) {
+    throw configurationError('HANDOFF_FAILURE_THRESHOLD must be a whole number of 0 or more');
+  }
+  return { failureThreshold };
+}
+
+/**
+ * Check whether a customer message asks for a person
+ */
+function detectEscalationIntent(message) {
+  return INTENT_PATTERNS.some(pattern => pattern.test(message));
+}
+
+/**
+ * Decide whether this turn hands the session off.
+ *
+ * @param {Object} turn
+ * @param {string} turn.message - The customer message
+ * @param {number} turn.failures - Failed replies in a row before this turn
+ * @param {boolean} turn.failing - Whether this turn's reply would fail as well
+ * @returns {string|null} The ticket reason, or null to answer normally
+ */
+function getEscalationReason({ message, failures, failing }, policy) {
+  if (detectEscalationIntent(message)) {
+    return 'customer_request';
+  }
+  if (policy.failureThreshold > 0 && failures + (failing ? 1 : 0) >= policy.failureThreshold) {
+    return 'repeated_failures';
+  }
+  return null;
+}
+
+export { HANDOFF_MESSAGE, loadEscalationPolicy, detectEscalationIntent, getEscalationReason };
@@ -0,0 +1,91 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { acquireFileLock } from '../fileLock.js';
+
+/**
+ * Ticket store that keeps every handoff ticket in one JSON file. Writes
+ * take a lock file, so the chat and agent endpoints can share it on one host.
+ */
+class FileTicketStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - JSON file holding the tickets
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'handoff-tickets.json');
+    this.lockPath = `${this.filePath}.lock`;
+  }
+
+  /**
+   * Read all tickets: { [id]: ticket }
+   */
+  async load() {
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      return parsed.tickets || {};
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async save(tickets) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    // Write to temporary file first, then rename (atomic operation)
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ tickets }, null, 2), 'utf8');
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  async withLock(operation) {
+    const release = await acquireFileLock(this.lockPath);
+    try {
+      return await operation();
+    } finally {
+      await release();
+    }
+  }
+
+  async create(ticket) {
+    return this.withLock(async () => {
+      const tickets = await this.load();
+      tickets[ticket.id] = ticket;
+      await this.save(tickets);
+      return ticket;
+    });
+  }
+
+  async get(id) {
+    return (await this.load())[id] || null;
+  }
+
+  /**
+   * All tickets, most recently updated first
+   */
+  async list() {
+    return Object.values(await this.load())
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Replace a ticket with updater(ticket). Resolves with the updated ticket,
+   * or null when there is no such ticket. The updater must be synchronous.
+   */
+  async update(id, updater) {
+    return this.withLock(async () => {
+      const tickets = await this.load();
+      if (!tickets[id]) {
+        return null;
+      }
+
+      tickets[id] = updater(tickets[id]);
+      await this.save(tickets);
+      return tickets[id];
+    });
+  }
+}
+
+export default FileTicketStore;
@@ -0,0 +1,43 @@
+import FileTicketStore from './fileTicketStore.js';
+import SqliteTicketStore from './sqliteTicketStore.js';
+import MemoryTicketStore from './memoryTicketStore.js';
+
+/**
+ * A ticket store keeps the handoff tickets of chat sessions escalated to the
+ * support team. Every store implements:
+ *
+ * - create(ticket) -> the stored ticket
+ * - get(id) -> ticket, or null for an unknown ticket
+ * - list() -> all tickets, most recently updated first
+ * - update(id, updater) -> stores and returns updater(ticket), run
+ *     atomically so a customer message and an agent reply do not collide;
+ *     null for an unknown ticket
+ */
+const stores = {
+  file: FileTicketStore,
+  sqlite: SqliteTicketStore,
+  memory: MemoryTicketStore
+};
+
+/**
+ * Create the handoff ticket store selected by configuration.
+ *
+ * Environment variables:
+ * - HANDOFF_STORE: "file" (default), "sqlite" or "memory"
+ * - HANDOFF_PATH: path of the JSON file or database of the store
+ */
+function createTicketStore(options = {}) {
+  const type = (options.type || process.env.HANDOFF_STORE || 'file').toLowerCase();
+  const Store = stores[type];
+
+  if (!Store) {
+    throw new Error(`Unknown handoff ticket store "${type}". Expected one of: ${Object.keys(stores).join(', ')}`);
+  }
+
+  return new Store({
+    ...options,
+    filePath: options.filePath || process.env.HANDOFF_PATH
+  });
+}
+
+export { createTicketStore, FileTicketStore, SqliteTicketStore, MemoryTicketStore };
@@ -0,0 +1,49 @@
+/**
+ * Ticket store that keeps handoff tickets in process memory. Tickets are
+ * lost on restart and not shared between functions, which makes it suitable
+ * for tests only: the chat and the agent endpoints must see the same tickets.
+ */
+class MemoryTicketStore {
+  constructor() {
+    this.tickets = new Map();
+  }
+
+  clone(value) {
+    return value == null ? value : JSON.parse(JSON.stringify(value));
+  }
+
+  async create(ticket) {
+    this.tickets.set(ticket.id, this.clone(ticket));
+    return this.clone(ticket);
+  }
+
+  async get(id) {
+    return this.clone(this.tickets.get(id) || null);
+  }
+
+  /**
+   * All tickets, most recently updated first
+   */
+  async list() {
+    return [...this.tickets.values()]
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(ticket => this.clone(ticket));
+  }
+
+  /**
+   * Replace a ticket with updater(ticket). Resolves with the updated ticket,
+   * or null when there is no such ticket. The updater must be synchronous.
+   */
+  async update(id, updater) {
+    const current = this.tickets.get(id);
+    if (!current) {
+      return null;
+    }
+
+    const ticket = this.clone(updater(this.clone(current)));
+    this.tickets.set(id, ticket);
+    return this.clone(ticket);
+  }
+}
+
+export default MemoryTicketStore;
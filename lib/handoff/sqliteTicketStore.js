@@ -0,0 +1,131 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Schema migrations, applied in order and tracked with PRAGMA user_version
+const MIGRATIONS = [
+  `CREATE TABLE IF NOT EXISTS tickets (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    ticket TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS tickets_updated_at ON tickets (updated_at);`
+];
+
+/**
+ * Ticket store backed by an embedded SQLite database (better-sqlite3).
+ * Each write touches one row inside a transaction, so any number of
+ * processes can share the database file.
+ */
+class SqliteTicketStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - Database file, or ":memory:"
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'handoff-tickets.sqlite');
+    this.db = null;
+    this.initPromise = null;
+  }
+
+  /**
+   * Open the database and run pending migrations (once per instance)
+   */
+  async ready() {
+    if (!this.initPromise) {
+      this.initPromise = this.initialize().catch(error => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+    await this.initPromise;
+    return this.db;
+  }
+
+  async initialize() {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error('SQLite ticket storage requires the "better-sqlite3" package. Install it with: npm install better-sqlite3');
+    }
+
+    if (this.filePath !== ':memory:') {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    }
+
+    const db = new Database(this.filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+
+    const currentVersion = db.pragma('user_version', { simple: true });
+    for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+      db.transaction(() => {
+        db.exec(MIGRATIONS[version]);
+        db.pragma(`user_version = ${version + 1}`);
+      })();
+    }
+
+    this.db = db;
+  }
+
+  toRow(ticket) {
+    return {
+      id: ticket.id,
+      session_id: ticket.sessionId,
+      status: ticket.status,
+      updated_at: ticket.updatedAt,
+      ticket: JSON.stringify(ticket)
+    };
+  }
+
+  async create(ticket) {
+    const db = await this.ready();
+    db.prepare(`
+      INSERT INTO tickets (id, session_id, status, updated_at, ticket)
+      VALUES (@id, @session_id, @status, @updated_at, @ticket)
+    `).run(this.toRow(ticket));
+    return ticket;
+  }
+
+  async get(id) {
+    const db = await this.ready();
+    const row = db.prepare('SELECT ticket FROM tickets WHERE id = ?').get(id);
+    return row ? JSON.parse(row.ticket) : null;
+  }
+
+  /**
+   * All tickets, most recently updated first
+   */
+  async list() {
+    const db = await this.ready();
+    return db.prepare('SELECT ticket FROM tickets ORDER BY updated_at DESC').all()
+      .map(row => JSON.parse(row.ticket));
+  }
+
+  /**
+   * Replace a ticket with updater(ticket). Resolves with the updated ticket,
+   * or null when there is no such ticket. The updater must be synchronous.
+   */
+  async update(id, updater) {
+    const db = await this.ready();
+
+    // IMMEDIATE takes the write lock before reading, so concurrent updates queue up
+    return db.transaction(() => {
+      const row = db.prepare('SELECT ticket FROM tickets WHERE id = ?').get(id);
+      if (!row) {
+        return null;
+      }
+
+      const ticket = updater(JSON.parse(row.ticket));
+      db.prepare(`
+        UPDATE tickets SET session_id = @session_id, status = @status, updated_at = @updated_at, ticket = @ticket
+        WHERE id = @id
+      `).run(this.toRow(ticket));
+      return ticket;
+    }).immediate();
+  }
+}
+
+export default SqliteTicketStore;
@@ -0,0 +1,113 @@
+/**
+ * Handoff tickets: a chat session escalated to the support team.
+ *
+ * A ticket holds the transcript of the conversation up to the handoff and
+ * the messages exchanged with the agent after it:
+ *
+ *   {
+ *     id, sessionId,
+ *     status: 'open' (waiting for an agent) | 'active' (an agent replied) | 'closed',
+ *     reason: 'customer_request' | 'repeated_failures',
+ *     summary,                       // rolling summary of older turns, if any
+ *     transcript: [{ role, content }],
+ *     messages: [{ id, from: 'customer' | 'agent', author, text, createdAt }],
+ *     agent,                         // name of the last agent who replied
+ *     createdAt, updatedAt, closedAt
+ *   }
+ */
+
+const TICKET_STATUSES = ['open', 'active', 'closed'];
+const MAX_MESSAGE_LENGTH = 4000;
+
+function generateId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+/**
+ * Build a new open ticket for a session. The customer message that caused
+ * the handoff becomes the first ticket message.
+ */
+function createTicket({ sessionId, reason, conversation, message }) {
+  const now = new Date().toISOString();
+  return {
+    id: generateId(),
+    sessionId,
+    status: 'open',
+    reason,
+    summary: conversation.summary || null,
+    transcript: conversation.turns.map(({ role, content }) => ({ role, content })),
+    messages: [{ id: generateId(), from: 'customer', author: null, text: message, createdAt: now }],
+    agent: null,
+    createdAt: now,
+    updatedAt: now,
+    closedAt: null
+  };
+}
+
+/**
+ * Return the ticket with a message appended. An agent reply marks the
+ * ticket active; a customer message leaves the status alone.
+ */
+function appendMessage(ticket, { from, author = null, text }) {
+  const now = new Date().toISOString();
+  return {
+    ...ticket,
+    status: from === 'agent' ? 'active' : ticket.status,
+    agent: from === 'agent' ? author : ticket.agent,
+    messages: [...ticket.messages, { id: generateId(), from, author, text, createdAt: now }],
+    updatedAt: now
+  };
+}
+
+function setStatus(ticket, status) {
+  const now = new Date().toISOString();
+  return {
+    ...ticket,
+    status,
+    closedAt: status === 'closed' ? now : null,
+    updatedAt: now
+  };
+}
+
+/**
+ * The part of a ticket the customer's chat is told about
+ */
+function toHandoffStatus(ticket) {
+  return { ticketId: ticket.id, status: ticket.status };
+}
+
+/**
+ * A ticket without its transcript and messages, for listings
+ */
+function toTicketSummary(ticket) {
+  const { transcript, messages, ...rest } = ticket;
+  const lastMessage = messages[messages.length - 1];
+  return {
+    ...rest,
+    messageCount: messages.length,
+    lastMessage: lastMessage ? { from: lastMessage.from, text: lastMessage.text, createdAt: lastMessage.createdAt } : null
+  };
+}
+
+/**
+ * Validate message text sent to a ticket. Returns an error message, or null.
+ */
+function validateMessageText(text) {
+  if (!text || typeof text !== 'string' || text.trim() === '') {
+    return 'Message text is required and must be a non-empty string';
+  }
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return `Message text must be at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  return null;
+}
+
+export {
+  TICKET_STATUSES,
+  createTicket,
+  appendMessage,
+  setStatus,
+  toHandoffStatus,
+  toTicketSummary,
+  validateMessageText
+};
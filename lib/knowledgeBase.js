@@ -1,362 +1,743 @@
-import fs from 'fs/promises';
-import path from 'path';
-import crypto from 'crypto';
+import { createStorageAdapter } from './storage/index.js';
+import { acquireFileLock } from './fileLock.js';
+import { diffWords, diffTags } from './textDiff.js';
+import { SearchIndex } from './search/searchIndex.js';
+import { Analyzer, normalizeSynonyms } from './search/analyzer.js';
+import { createHashingEmbedder } from './search/embeddings.js';
+import { QueryMatcher, getRankingText, parseQuery } from './search/query.js';
+import { getFacets, getMonthBucket } from './search/facets.js';
+import { highlightEntry } from './search/highlighter.js';
+
+// Orders listEntries can return entries in
+const SORT_FIELDS = ['relevance', 'updatedAt', 'createdAt', 'key'];
 
 class KnowledgeBase {
-  constructor() {
-    this.filePath = path.join(process.cwd(), 'data', 'knowledge-base.json');
-    this.ensureDataDirectory();
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - Storage adapter instance; defaults to the one selected by KB_STORAGE
+   * @param {number} [options.trashRetentionDays] - Days a deleted entry stays in the trash before it is purged
+   * @param {boolean} [options.semanticSearch] - Blend embedding similarity into search; defaults to KB_SEMANTIC_SEARCH
+   * @param {number} [options.semanticWeight] - Share of the blended score that comes from embedding similarity, 0..1
+   * @param {Object} [options.embedder] - Embedding function for semantic search; defaults to the local hashing embedder
+   * @param {number} [options.passageWords] - Long values are split into passages of at most this many words for retrieval
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || createStorageAdapter();
+    this.trashRetentionDays = options.trashRetentionDays
+      ?? parseInt(process.env.KB_TRASH_RETENTION_DAYS || '30');
+    this.writeQueue = Promise.resolve();
+    // Built on the first search, then kept up to date by this instance's writes
+    this.searchIndex = null;
+    // Storage lastUpdated value the search index reflects
+    this.searchIndexStamp = null;
+
+    this.semanticSearch = options.semanticSearch ?? process.env.KB_SEMANTIC_SEARCH === 'true';
+    this.semanticWeight = options.semanticWeight ?? parseFloat(process.env.KB_SEMANTIC_WEIGHT || '0.4');
+    this.embedder = options.embedder || createHashingEmbedder();
+    this.passageWords = options.passageWords ?? parseInt(process.env.KB_PASSAGE_WORDS || '120');
   }
 
   /**
-   * Ensure the data directory exists
+   * Run a write operation exclusively: writes from this instance are queued,
+   * and the storage lock file (when the adapter has one) keeps other processes out
    */
-  async ensureDataDirectory() {
-    const dataDir = path.dirname(this.filePath);
-    try {
-      await fs.access(dataDir);
-    } catch (error) {
-      await fs.mkdir(dataDir, { recursive: true });
+  async withWriteLock(operation) {
+    const run = this.writeQueue.then(async () => {
+      const release = this.storage.lockPath ? await acquireFileLock(this.storage.lockPath) : null;
+      const indexWasCurrent = await this.isSearchIndexCurrent();
+      try {
+        return await operation();
+      } finally {
+        await this.stampSearchIndex(indexWasCurrent);
+        if (release) await release();
+      }
+    });
+
+    // Keep the queue going even if this operation fails
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Get the ETag for an entry, derived from its revision number
+   */
+  getEtag(entry) {
+    return `"${entry.revision || 1}"`;
+  }
+
+  /**
+   * Check an If-Match header value against the entry's current revision
+   */
+  matchesEtag(entry, ifMatch) {
+    if (!ifMatch || ifMatch.trim() === '*') {
+      return true;
     }
+
+    const currentEtag = this.getEtag(entry);
+    return ifMatch
+      .split(',')
+      .map(tag => tag.trim().replace(/^W\//, ''))
+      .includes(currentEtag);
   }
 
   /**
-   * Load knowledge base from JSON file
+   * Check whether the search index still matches storage, i.e. nobody else
+   * (another process or KnowledgeBase instance) has written since it was built
    */
-  async loadKnowledgeBase() {
-    const maxRetries = 3;
-    let lastError = null;
+  async isSearchIndexCurrent() {
+    if (!this.searchIndex) {
+      return false;
+    }
 
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        await this.ensureDataDirectory();
-        const data = await fs.readFile(this.filePath, 'utf8');
-        
-        // Validate JSON format
-        const parsed = JSON.parse(data);
-        
-        // Handle legacy format (array) vs new format (object with entries)
-        if (Array.isArray(parsed)) {
-          const knowledgeBase = {
-            entries: parsed,
-            lastUpdated: new Date().toISOString(),
-            version: '1.0'
-          };
-          // Migrate to new format
-          await this.saveKnowledgeBase(knowledgeBase);
-          return knowledgeBase;
-        }
-        
-        // Validate structure
-        if (!parsed.entries || !Array.isArray(parsed.entries)) {
-          throw new Error('Invalid knowledge base format: entries must be an array');
-        }
-        
-        return parsed;
-        
-      } catch (error) {
-        lastError = error;
-        
-        if (error.code === 'ENOENT') {
-          // File doesn't exist, create empty knowledge base
-          const emptyKB = { 
-            entries: [], 
-            lastUpdated: new Date().toISOString(),
-            version: '1.0'
-          };
-          await this.saveKnowledgeBase(emptyKB);
-          return emptyKB;
-        }
-        
-        if (error instanceof SyntaxError) {
-          console.error(`JSON parse error (attempt ${attempt}):`, error.message);
-          
-          if (attempt < maxRetries) {
-            // Try to recover by creating backup and resetting
-            await this.createCorruptionBackup();
-            const emptyKB = { 
-              entries: [], 
-              lastUpdated: new Date().toISOString(),
-              version: '1.0',
-              recovered: true
-            };
-            await this.saveKnowledgeBase(emptyKB);
-            return emptyKB;
-          }
-        }
-        
-        if (attempt < maxRetries) {
-          console.warn(`Knowledge base load attempt ${attempt} failed, retrying...`);
-          await new Promise(resolve => setTimeout(resolve, 100 * attempt));
-          continue;
-        }
-      }
+    const metadata = await this.storage.getMetadata();
+    return metadata.lastUpdated === this.searchIndexStamp;
+  }
+
+  /**
+   * After a write: if the index was current before it, the write has updated it
+   * incrementally and it is marked current again; otherwise it is dropped and
+   * rebuilt on the next search
+   */
+  async stampSearchIndex(indexWasCurrent) {
+    if (!indexWasCurrent) {
+      this.searchIndex = null;
+      return;
     }
-    
-    throw new Error(`Failed to load knowledge base after ${maxRetries} attempts: ${lastError.message}`);
+
+    const metadata = await this.storage.getMetadata();
+    this.searchIndexStamp = metadata.lastUpdated;
   }
 
   /**
-   * Save knowledge base to JSON file
+   * Get the search index, building it from storage if it is missing or stale.
+   * Stored passage embeddings whose fingerprint still matches are reused.
+   * Embeddings are a derived cache, so they are saved without taking the
+   * write lock: a lost save only means recomputing.
    */
-  async saveKnowledgeBase(knowledgeBase) {
-    const maxRetries = 3;
-    let lastError = null;
+  async getSearchIndex() {
+    if (!(await this.isSearchIndexCurrent())) {
+      const metadata = await this.storage.getMetadata();
+      const index = new SearchIndex({
+        analyzer: new Analyzer({ synonyms: await this.storage.getSynonyms() }),
+        embedder: this.semanticSearch ? this.embedder : null,
+        semanticWeight: this.semanticWeight,
+        passageWords: this.passageWords
+      });
+      const stored = this.semanticSearch ? await this.storage.getEmbeddings() : {};
+      let changed = false;
+
+      for (const entry of await this.getAllEntries()) {
+        changed = (await index.addEntry(entry, stored)) || changed;
+      }
 
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        await this.ensureDataDirectory();
-        
-        // Validate data before saving
-        if (!knowledgeBase.entries || !Array.isArray(knowledgeBase.entries)) {
-          throw new Error('Invalid knowledge base format: entries must be an array');
-        }
-        
-        // Update metadata
-        knowledgeBase.lastUpdated = new Date().toISOString();
-        knowledgeBase.version = knowledgeBase.version || '1.0';
-        
-        // Create backup before saving (for safety)
-        if (attempt === 1) {
-          await this.createSafetyBackup();
-        }
-        
-        // Write to temporary file first, then rename (atomic operation)
-        const tempPath = `${this.filePath}.tmp`;
-        const jsonData = JSON.stringify(knowledgeBase, null, 2);
-        
-        await fs.writeFile(tempPath, jsonData, 'utf8');
-        await fs.rename(tempPath, this.filePath);
-        
-        return; // Success
-        
-      } catch (error) {
-        lastError = error;
-        console.error(`Knowledge base save attempt ${attempt} failed:`, error.message);
-        
-        if (attempt < maxRetries) {
-          await new Promise(resolve => setTimeout(resolve, 100 * attempt));
-          continue;
-        }
+      const embeddings = index.toEmbeddings();
+      if (this.semanticSearch && (changed || Object.keys(stored).length !== Object.keys(embeddings).length)) {
+        await this.storage.saveEmbeddings(embeddings);
       }
+
+      this.searchIndex = index;
+      this.searchIndexStamp = metadata.lastUpdated;
     }
-    
-    throw new Error(`Failed to save knowledge base after ${maxRetries} attempts: ${lastError.message}`);
+
+    return this.searchIndex;
   }
 
   /**
-   * Create a backup of corrupted data for recovery
+   * Add or replace an entry in the search index, if it has been built
    */
-  async createCorruptionBackup() {
-    try {
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupPath = path.join(path.dirname(this.filePath), `corrupted-backup-${timestamp}.json`);
-      
-      const corruptedData = await fs.readFile(this.filePath, 'utf8');
-      await fs.writeFile(backupPath, corruptedData, 'utf8');
-      
-      console.log(`Corrupted data backed up to: ${backupPath}`);
-    } catch (error) {
-      console.warn('Could not create corruption backup:', error.message);
+  async indexEntry(entry) {
+    if (!this.searchIndex) {
+      return;
+    }
+
+    if (await this.searchIndex.addEntry(entry)) {
+      await this.storage.saveEmbeddings(this.searchIndex.toEmbeddings());
     }
   }
 
   /**
-   * Create a safety backup before major operations
+   * Remove an entry from the search index, if it has been built
+   */
+  async unindexEntry(id) {
+    if (!this.searchIndex) {
+      return;
+    }
+
+    this.searchIndex.removeEntry(id);
+
+    if (this.semanticSearch) {
+      await this.storage.saveEmbeddings(this.searchIndex.toEmbeddings());
+    }
+  }
+
+  /**
+   * Get the synonym groups used to widen searches
+   */
+  async getSynonyms() {
+    return this.storage.getSynonyms();
+  }
+
+  /**
+   * Replace the synonym groups used to widen searches.
+   * Throws an Error with code INVALID_SYNONYMS when the list is malformed.
    */
-  async createSafetyBackup() {
+  async updateSynonyms(groups) {
+    let synonyms;
     try {
-      const backupDir = path.join(process.cwd(), 'backups');
-      await fs.mkdir(backupDir, { recursive: true });
-      
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupPath = path.join(backupDir, `safety-backup-${timestamp}.json`);
-      
-      const currentData = await fs.readFile(this.filePath, 'utf8');
-      await fs.writeFile(backupPath, currentData, 'utf8');
-      
-      // Clean up old safety backups (keep last 5)
-      const backupFiles = await fs.readdir(backupDir);
-      const safetyBackups = backupFiles
-        .filter(file => file.startsWith('safety-backup-'))
-        .sort()
-        .reverse();
-      
-      if (safetyBackups.length > 5) {
-        const filesToDelete = safetyBackups.slice(5);
-        for (const file of filesToDelete) {
-          await fs.unlink(path.join(backupDir, file));
-        }
-      }
-      
+      synonyms = normalizeSynonyms(groups);
     } catch (error) {
-      // Don't fail the main operation if backup fails
-      console.warn('Could not create safety backup:', error.message);
+      error.code = 'INVALID_SYNONYMS';
+      throw error;
     }
+
+    return this.withWriteLock(async () => {
+      await this.storage.saveSynonyms(synonyms);
+      if (this.searchIndex) {
+        this.searchIndex.analyzer.setSynonyms(synonyms);
+      }
+      return synonyms;
+    });
   }
 
   /**
    * Get all knowledge entries
    */
   async getAllEntries() {
-    const kb = await this.loadKnowledgeBase();
-    return kb.entries || [];
+    const entries = await this.storage.getAllEntries();
+    return entries.filter(entry => !entry.deletedAt);
   }
 
   /**
    * Get a specific entry by ID
    */
   async getEntryById(id) {
-    const entries = await this.getAllEntries();
-    return entries.find(entry => entry.id === id);
+    const entry = await this.storage.getEntry(id);
+    return entry && !entry.deletedAt ? entry : undefined;
   }
 
   /**
    * Create a new knowledge entry
+   *
+   * @param {Object} [options]
+   * @param {string} [options.author] - Who made the change, recorded in the revision history
    */
-  async createEntry(key, value, tags = []) {
-    const kb = await this.loadKnowledgeBase();
-    
+  async createEntry(key, value, tags = [], options = {}) {
     const newEntry = {
       id: this.generateId(),
       key: key.trim(),
       value: value.trim(),
       tags: Array.isArray(tags) ? tags : [],
+      revision: 1,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
-    kb.entries = kb.entries || [];
-    kb.entries.push(newEntry);
-    
-    await this.saveKnowledgeBase(kb);
+    await this.withWriteLock(async () => {
+      await this.storage.saveEntry(newEntry, [this.createRevisionRecord(newEntry, null, {
+        action: 'create',
+        author: options.author
+      })]);
+      await this.indexEntry(newEntry);
+    });
     return newEntry;
   }
 
   /**
    * Update an existing knowledge entry
+   *
+   * @param {Object} [options]
+   * @param {string} [options.ifMatch] - ETag the caller last saw; a stale value rejects the update
+   * @param {string} [options.author] - Who made the change, recorded in the revision history
    */
-  async updateEntry(id, updates) {
-    const kb = await this.loadKnowledgeBase();
-    const entryIndex = kb.entries.findIndex(entry => entry.id === id);
+  async updateEntry(id, updates, options = {}) {
+    return this.withWriteLock(async () => {
+      const existingEntry = await this.getEntryForWrite(id, options.ifMatch);
+      return this.applyUpdate(existingEntry, updates, { action: 'update', author: options.author });
+    });
+  }
+
+  /**
+   * Load an entry inside a write lock, checking it exists and matches the caller's ETag
+   */
+  async getEntryForWrite(id, ifMatch) {
+    const existingEntry = await this.storage.getEntry(id);
     
-    if (entryIndex === -1) {
+    if (!existingEntry || existingEntry.deletedAt) {
       throw new Error(`Entry with ID ${id} not found`);
     }
 
-    const existingEntry = kb.entries[entryIndex];
+    if (!this.matchesEtag(existingEntry, ifMatch)) {
+      const error = new Error(`Revision conflict for entry ${id}: it was modified by someone else`);
+      error.code = 'REVISION_CONFLICT';
+      error.currentEntry = existingEntry;
+      throw error;
+    }
+
+    return existingEntry;
+  }
+
+  /**
+   * Write a new revision of an entry and record it in the history.
+   * Must be called while holding the write lock.
+   */
+  async applyUpdate(existingEntry, updates, revisionInfo) {
     const updatedEntry = {
       ...existingEntry,
       ...updates,
       id: existingEntry.id, // Ensure ID cannot be changed
+      revision: (existingEntry.revision || 1) + 1,
       updatedAt: new Date().toISOString()
     };
 
-    kb.entries[entryIndex] = updatedEntry;
-    await this.saveKnowledgeBase(kb);
+    // Entries created before history tracking get their current state recorded first
+    const history = await this.storage.getRevisions(existingEntry.id);
+    const revisions = history.length === 0
+      ? [this.createRevisionRecord(existingEntry, null, { action: 'import', timestamp: existingEntry.updatedAt })]
+      : [];
+    revisions.push(this.createRevisionRecord(updatedEntry, existingEntry, revisionInfo));
+
+    // The entry and its revision are written together
+    await this.storage.saveEntry(updatedEntry, revisions);
+    await this.indexEntry(updatedEntry);
     return updatedEntry;
   }
 
   /**
-   * Delete a knowledge entry
+   * Move a knowledge entry to the trash.
+   * Trashed entries are hidden from listings and search until restored or purged.
+   */
+  async deleteEntry(id, options = {}) {
+    return this.withWriteLock(async () => {
+      const entry = await this.getEntryForWrite(id);
+      const trashedEntry = {
+        ...entry,
+        deletedAt: new Date().toISOString(),
+        deletedBy: options.author || null
+      };
+
+      await this.storage.updateEntry(trashedEntry);
+      await this.unindexEntry(id);
+      return trashedEntry;
+    });
+  }
+
+  /**
+   * Get a trashed entry inside a write lock
+   */
+  async getTrashedEntryForWrite(id) {
+    const entry = await this.storage.getEntry(id);
+
+    if (!entry || !entry.deletedAt) {
+      throw new Error(`Entry with ID ${id} not found in trash`);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get the date after which a trashed entry is purged automatically
+   */
+  getPurgeDate(entry) {
+    const purgeAt = new Date(entry.deletedAt);
+    purgeAt.setDate(purgeAt.getDate() + this.trashRetentionDays);
+    return purgeAt.toISOString();
+  }
+
+  /**
+   * List entries in the trash, most recently deleted first.
+   * Entries past the retention period are purged before listing.
+   */
+  async getTrashedEntries() {
+    await this.purgeExpiredTrash();
+
+    const entries = await this.storage.getAllEntries();
+    return entries
+      .filter(entry => entry.deletedAt)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+      .map(entry => ({ ...entry, purgeAt: this.getPurgeDate(entry) }));
+  }
+
+  /**
+   * Restore a trashed entry
+   */
+  async restoreEntry(id) {
+    return this.withWriteLock(async () => {
+      const { deletedAt, deletedBy, ...restoredEntry } = await this.getTrashedEntryForWrite(id);
+      await this.storage.updateEntry(restoredEntry);
+      await this.indexEntry(restoredEntry);
+      return restoredEntry;
+    });
+  }
+
+  /**
+   * Permanently delete a trashed entry and its revision history
+   */
+  async purgeEntry(id) {
+    return this.withWriteLock(async () => {
+      await this.getTrashedEntryForWrite(id);
+      const purgedEntry = await this.storage.deleteEntry(id);
+      await this.storage.deleteRevisions(id);
+      return purgedEntry;
+    });
+  }
+
+  /**
+   * Permanently delete every entry in the trash
+   */
+  async emptyTrash() {
+    return this.purgeTrashWhere(() => true);
+  }
+
+  /**
+   * Permanently delete trashed entries older than the retention period
+   */
+  async purgeExpiredTrash() {
+    const now = new Date().toISOString();
+    return this.purgeTrashWhere(entry => this.getPurgeDate(entry) <= now);
+  }
+
+  /**
+   * Permanently delete trashed entries matching the predicate
    */
-  async deleteEntry(id) {
-    const kb = await this.loadKnowledgeBase();
-    const entryIndex = kb.entries.findIndex(entry => entry.id === id);
+  async purgeTrashWhere(predicate) {
+    return this.withWriteLock(async () => {
+      const entries = await this.storage.getAllEntries();
+      const expired = entries.filter(entry => entry.deletedAt && predicate(entry));
+
+      for (const entry of expired) {
+        await this.storage.deleteEntry(entry.id);
+        await this.storage.deleteRevisions(entry.id);
+      }
+
+      return expired.length;
+    });
+  }
+
+  /**
+   * Build a history record holding a snapshot of the entry's content
+   */
+  createRevisionRecord(entry, previousEntry, { action, author = null, timestamp = null, revertedFrom = null }) {
+    const fields = ['key', 'value', 'tags'];
+    const changedFields = previousEntry
+      ? fields.filter(field => JSON.stringify(previousEntry[field] || null) !== JSON.stringify(entry[field] || null))
+      : fields;
+
+    return {
+      revision: entry.revision || 1,
+      action,
+      author: author || null,
+      timestamp: timestamp || entry.updatedAt,
+      changedFields,
+      ...(revertedFrom ? { revertedFrom } : {}),
+      snapshot: {
+        key: entry.key,
+        value: entry.value,
+        tags: entry.tags || []
+      }
+    };
+  }
+
+  /**
+   * Get the revision history of an entry, newest first
+   */
+  async getRevisions(id) {
+    const entry = await this.storage.getEntry(id);
     
-    if (entryIndex === -1) {
+    if (!entry) {
       throw new Error(`Entry with ID ${id} not found`);
     }
 
-    const deletedEntry = kb.entries.splice(entryIndex, 1)[0];
-    await this.saveKnowledgeBase(kb);
-    return deletedEntry;
+    const history = await this.storage.getRevisions(id);
+
+    if (history.length === 0) {
+      // No history recorded yet - the current state is the only known revision
+      return [this.createRevisionRecord(entry, null, { action: 'import' })];
+    }
+
+    return [...history].sort((a, b) => b.revision - a.revision);
+  }
+
+  /**
+   * Get a single revision of an entry
+   */
+  async getRevision(id, revision) {
+    const history = await this.getRevisions(id);
+    const record = history.find(item => item.revision === revision);
+
+    if (!record) {
+      throw new Error(`Revision ${revision} of entry ${id} not found`);
+    }
+
+    return record;
+  }
+
+  /**
+   * Compare two revisions of an entry field by field
+   */
+  async diffRevisions(id, fromRevision, toRevision) {
+    const from = await this.getRevision(id, fromRevision);
+    const to = await this.getRevision(id, toRevision);
+
+    return {
+      from,
+      to,
+      changes: {
+        key: diffWords(from.snapshot.key, to.snapshot.key),
+        value: diffWords(from.snapshot.value, to.snapshot.value),
+        tags: diffTags(from.snapshot.tags, to.snapshot.tags)
+      }
+    };
+  }
+
+  /**
+   * Restore an entry to the content of an earlier revision.
+   * The rollback is itself recorded as a new revision, so it can be undone.
+   */
+  async revertEntry(id, revision, options = {}) {
+    return this.withWriteLock(async () => {
+      const existingEntry = await this.getEntryForWrite(id, options.ifMatch);
+      const history = await this.storage.getRevisions(id);
+      const target = history.find(item => item.revision === revision);
+
+      if (!target) {
+        throw new Error(`Revision ${revision} of entry ${id} not found`);
+      }
+
+      return this.applyUpdate(existingEntry, {
+        key: target.snapshot.key,
+        value: target.snapshot.value,
+        tags: target.snapshot.tags
+      }, { action: 'revert', author: options.author, revertedFrom: revision });
+    });
   }
 
   /**
-   * Search knowledge entries with fuzzy matching
+   * Search knowledge entries, ranked with BM25 over key, tags and value.
+   * Words are stemmed and stop words dropped; query terms also match index
+   * terms a typo or two away and their synonyms. With semantic search on, the
+   * BM25 score is blended with embedding similarity, so entries that share no
+   * words with the query can still be found. Long values are indexed as
+   * separate passages and an entry is ranked by its best-matching passage.
+   *
+   * Queries using the query syntax (phrases, AND/OR/NOT, field filters; see
+   * lib/search/query.js) return only the entries that match it, in the same ranking.
+   * Throws an Error with code INVALID_QUERY when the query is malformed.
    */
   async searchEntries(query, limit = 10) {
-    const entries = await this.getAllEntries();
-    
     if (!query || query.trim() === '') {
+      const entries = await this.getAllEntries();
       return entries.slice(0, limit);
     }
 
-    const searchTerm = query.toLowerCase().trim();
-    const results = [];
+    let parsed;
+    try {
+      parsed = parseQuery(query);
+    } catch (error) {
+      error.code = 'INVALID_QUERY';
+      throw error;
+    }
+
+    const index = await this.getSearchIndex();
 
-    for (const entry of entries) {
-      const score = this.calculateRelevanceScore(entry, searchTerm);
-      if (score > 0) {
-        results.push({ ...entry, relevanceScore: score });
-      }
+    if (!parsed.plain) {
+      return this.searchWithSyntax(index, parsed.tree, limit);
     }
 
-    // Sort by relevance score (highest first) and limit results
-    return results
-      .sort((a, b) => b.relevanceScore - a.relevanceScore)
+    const results = await index.searchEntries(query, limit);
+
+    return results.map(({ entry, score, lexicalScore, semanticScore }) => ({
+      ...entry,
+      relevanceScore: score,
+      ...(lexicalScore !== undefined && { lexicalScore, semanticScore })
+    }));
+  }
+
+  /**
+   * Filter entries with a parsed query, then rank them by the words and phrases
+   * it asks for. Entries matched by filters alone come last, most recently updated first.
+   */
+  async searchWithSyntax(index, tree, limit) {
+    const matcher = new QueryMatcher(index.analyzer);
+    const entries = (await this.getAllEntries()).filter(entry => matcher.matches(tree, entry));
+
+    const rankingText = getRankingText(tree);
+    const ranked = new Map(
+      rankingText ? (await index.searchEntries(rankingText, Infinity)).map(result => [result.entry.id, result]) : []
+    );
+
+    return entries
+      .map(entry => {
+        const { score = 0, lexicalScore, semanticScore } = ranked.get(entry.id) || {};
+        return {
+          ...entry,
+          relevanceScore: score,
+          ...(index.vectors && { lexicalScore: lexicalScore || 0, semanticScore: semanticScore || 0 })
+        };
+      })
+      .sort((a, b) => b.relevanceScore - a.relevanceScore ||
+        new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0))
       .slice(0, limit);
   }
 
   /**
-   * Calculate relevance score for search
+   * List entries a page at a time, optionally narrowed by a search query and
+   * facet filters, with facet counts over everything that matched.
+   * Throws an Error with code INVALID_QUERY for a malformed query and
+   * INVALID_PARAMETER for an unknown sort order or bad paging or filter values.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.query] - Search query, plain words or query syntax
+   * @param {string[]} [options.tags] - Only entries carrying all of these tags
+   * @param {string} [options.created] - Only entries created in this month (YYYY-MM)
+   * @param {string} [options.updated] - Only entries last updated in this month (YYYY-MM)
+   * @param {string} [options.sort] - relevance (default with a query), updatedAt (default without), createdAt or key
+   * @param {string} [options.order] - asc or desc; defaults to asc for key and desc otherwise
+   * @param {number} [options.limit] - Page size; every match when omitted
+   * @param {number} [options.offset] - Number of matches to skip
+   * @returns {Promise<{entries, total, offset, limit, nextOffset, facets}>}
+   *   With a query, entries also carry matchedFields and highlights (see highlightEntries)
    */
-  calculateRelevanceScore(entry, searchTerm) {
-    let score = 0;
-    const key = entry.key.toLowerCase();
-    const value = entry.value.toLowerCase();
-    const tags = entry.tags.map(tag => tag.toLowerCase());
+  async listEntries(options = {}) {
+    const query = (options.query || '').trim();
+    const tags = (options.tags || []).map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    const sort = options.sort || (query ? 'relevance' : 'updatedAt');
+    const order = options.order || (sort === 'key' ? 'asc' : 'desc');
+    const offset = options.offset ?? 0;
+    const limit = options.limit ?? null;
+
+    const invalid = message => {
+      const error = new Error(message);
+      error.code = 'INVALID_PARAMETER';
+      return error;
+    };
 
-    // Exact key match gets highest score
-    if (key === searchTerm) {
-      score += 100;
+    if (!SORT_FIELDS.includes(sort)) {
+      throw invalid(`Unknown sort "${sort}". Use ${SORT_FIELDS.join(', ')}`);
     }
-    // Key contains search term
-    else if (key.includes(searchTerm)) {
-      score += 50;
+    if (sort === 'relevance' && !query) {
+      throw invalid('Sorting by relevance needs a search query');
     }
-
-    // Tag exact match
-    if (tags.includes(searchTerm)) {
-      score += 40;
+    if (order !== 'asc' && order !== 'desc') {
+      throw invalid('Order must be asc or desc');
     }
-
-    // Value contains search term
-    if (value.includes(searchTerm)) {
-      score += 20;
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw invalid('Offset must be a non-negative integer');
     }
-
-    // Partial word matches in key
-    const keyWords = key.split(/\s+/);
-    const searchWords = searchTerm.split(/\s+/);
-    
-    for (const searchWord of searchWords) {
-      for (const keyWord of keyWords) {
-        if (keyWord.includes(searchWord) || searchWord.includes(keyWord)) {
-          score += 10;
-        }
+    if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+      throw invalid('Limit must be a positive integer');
+    }
+    for (const [name, month] of [['created', options.created], ['updated', options.updated]]) {
+      if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        throw invalid(`${name} must be a month in the form YYYY-MM`);
       }
     }
 
-    return score;
+    const candidates = query ? await this.searchEntries(query, Infinity) : await this.getAllEntries();
+    const matches = candidates.filter(entry => {
+      const entryTags = (entry.tags || []).map(tag => tag.toLowerCase());
+      return tags.every(tag => entryTags.includes(tag)) &&
+        (!options.created || getMonthBucket(entry.createdAt) === options.created) &&
+        (!options.updated || getMonthBucket(entry.updatedAt) === options.updated);
+    });
+
+    const compare = {
+      relevance: (a, b) => a.relevanceScore - b.relevanceScore,
+      key: (a, b) => a.key.localeCompare(b.key, undefined, { sensitivity: 'base' }),
+      createdAt: (a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0),
+      updatedAt: (a, b) => new Date(a.updatedAt || 0) - new Date(b.updatedAt || 0)
+    }[sort];
+    const sorted = [...matches].sort((a, b) => (order === 'asc' ? compare(a, b) : compare(b, a)));
+
+    const end = limit === null ? sorted.length : offset + limit;
+    const page = sorted.slice(offset, end);
+
+    return {
+      entries: query ? await this.highlightEntries(page, query) : page,
+      total: sorted.length,
+      offset,
+      limit,
+      nextOffset: end < sorted.length ? end : null,
+      facets: getFacets(matches)
+    };
   }
 
   /**
-   * Get relevant context for AI based on user message
+   * Add to each entry the fields that matched a query (matchedFields) and
+   * highlights: the key and a snippet of the value with the character ranges
+   * of the matching words, and the matching tags
    */
-  async getRelevantContext(userMessage, maxEntries = 3) {
-    const searchResults = await this.searchEntries(userMessage, maxEntries);
-    
-    if (searchResults.length === 0) {
-      return '';
+  async highlightEntries(entries, query) {
+    const index = await this.getSearchIndex();
+    const { tree, plain } = parseQuery(query);
+    const terms = index.getMatchingTerms(plain ? query : getRankingText(tree));
+
+    return entries.map(entry => ({ ...entry, ...highlightEntry(entry, terms, index.analyzer) }));
+  }
+
+  /**
+   * Search the passages long entries are split into, ranked like searchEntries.
+   * Each result links back to its entry through entryId.
+   *
+   * @returns {Promise<Array<{id, entryId, key, tags, value, passageIndex, passageCount, relevanceScore}>>}
+   */
+  async searchPassages(query, limit = 10) {
+    if (!query || query.trim() === '') {
+      return [];
     }
 
-    const contextParts = searchResults.map(entry => 
-      `${entry.key}: ${entry.value}`
-    );
+    const index = await this.getSearchIndex();
+    const results = await index.searchPassages(query, limit);
+
+    return results.map(({ passage, score, lexicalScore, semanticScore }) => ({
+      ...passage,
+      relevanceScore: score,
+      ...(lexicalScore !== undefined && { lexicalScore, semanticScore })
+    }));
+  }
 
-    return contextParts.join('\n\n');
+  /**
+   * Get relevant context for AI based on user message: the best-matching
+   * passages rather than whole entries, so one long entry can't crowd out the rest
+   */
+  async getRelevantContext(userMessage, maxEntries = 3) {
+    const { context } = await this.retrieveContext(userMessage, maxEntries);
+    return context;
+  }
+
+  /**
+   * Retrieve the context for a user message together with the entries it
+   * came from. Each entry is numbered, and its passages are labelled with the
+   * number ("[1] Key: value") so the model can cite them.
+   *
+   * @returns {Promise<{context: string, sources: Array<{ref, id, key, score, lexicalScore?, semanticScore?, excerpt}>}>}
+   */
+  async retrieveContext(userMessage, maxEntries = 3) {
+    const passages = await this.searchPassages(userMessage, maxEntries);
+    const sources = [];
+
+    const contextParts = passages.map(passage => {
+      let source = sources.find(existing => existing.id === passage.entryId);
+      if (!source) {
+        source = {
+          ref: sources.length + 1,
+          id: passage.entryId,
+          key: passage.key,
+          score: Math.round(passage.relevanceScore * 1000) / 1000,
+          ...(passage.semanticScore !== undefined && {
+            lexicalScore: Math.round(passage.lexicalScore * 1000) / 1000,
+            semanticScore: Math.round(passage.semanticScore * 1000) / 1000
+          }),
+          excerpt: passage.value.length > 200 ? `${passage.value.slice(0, 200).trimEnd()}...` : passage.value
+        };
+        sources.push(source);
+      }
+      return `[${source.ref}] ${passage.key}: ${passage.value}`;
+    });
+
+    return {
+      context: contextParts.join('\n\n'),
+      sources
+    };
   }
 
   /**
@@ -370,12 +751,14 @@ class KnowledgeBase {
    * Get knowledge base statistics
    */
   async getStats() {
-    const entries = await this.getAllEntries();
-    const kb = await this.loadKnowledgeBase();
+    const allEntries = await this.storage.getAllEntries();
+    const entries = allEntries.filter(entry => !entry.deletedAt);
+    const metadata = await this.storage.getMetadata();
     
     return {
       totalEntries: entries.length,
-      lastUpdated: kb.lastUpdated,
+      trashedEntries: allEntries.length - entries.length,
+      lastUpdated: metadata.lastUpdated,
       averageKeyLength: entries.length > 0 ? 
         entries.reduce((sum, entry) => sum + entry.key.length, 0) / entries.length : 0,
       averageValueLength: entries.length > 0 ? 
@@ -0,0 +1,185 @@
+import { isValidEmail } from '../utils.js';
+
+/**
+ * Conversational lead capture.
+ *
+ * When a customer asks for a quote or a consultation, the chat collects
+ * their contact details one slot at a time instead of calling the model.
+ * Each answer is validated; an invalid one is asked for again, and "cancel"
+ * stops the flow. The state kept in the conversation between turns is:
+ *
+ *   { request, slot, values: { name, email, phone, projectType } }
+ *
+ * where request is the message that started the flow and slot the detail
+ * being asked for.
+ */
+
+// Only requests start the flow, not questions about quotes or consultations
+// ("Do you offer free consultations?", "What goes in a proposal?"). Meetings,
+// calls and appointments count only when booked: "Can I call your office?"
+// is not a request for a quote.
+const LEAD_INTENT_PATTERNS = [
+  // "I'd like a quote", "can I get an estimate", "could you send us a proposal"
+  /\b(i'?d (like|love)|i would (like|love)|i want|i need|i'?m looking for|we'?d like|we would like|we want|we need|we'?re looking for|(can|could|may) (i|we)|how (do|can) (i|we)|(can|could) you)\s+(to\s+)?((get|have|request|book|schedule|arrange|send|give|prepare)\s+)?((me|us|a|an|some|the|free|quick|rough|written|price|initial)\s+){0,3}(quotes?|quotation|estimates?|consultations?|consult|proposal)\b/i,
+  // "Book a consultation", "please send me a quote"
+  /^\s*(please\s+)?(get|request|book|schedule|arrange|send|give)\s+((me|us|a|an|some|the|free|quick|rough|written|price|initial)\s+){0,3}(quotes?|quotation|estimates?|consultations?|consult|proposal)\b/i,
+  // "Schedule a call", "I'd like to book a site visit"
+  /(^\s*(please\s+)?|\b(i'?d (like|love)|i would (like|love)|i want|i need|i'?m looking for|we'?d like|we would like|we want|we need|we'?re looking for|(can|could|may) (i|we)|how (do|can) (i|we)|(can|could) you)\s+(to\s+)?)(book|schedule|arrange|set up)\s+((me|us|a|an|some|the|free|quick|rough|written|price|initial)\s+){0,3}(meetings?|calls?|appointments?|site visits?)\b/i
+];
+const CANCEL_PATTERN = /^\s*(cancel|stop|never\s*mind|nevermind|forget\s+it|no\s+thanks?)\b/i;
+const SKIP_PATTERN = /^\s*(skip|no|none|n\/a|rather not|i'?d rather not)\b/i;
+
+const MAX_NAME_LENGTH = 100;
+// Longer answers are sentences, e.g. a question about something else
+const MAX_NAME_WORDS = 4;
+const MAX_PROJECT_TYPE_LENGTH = 200;
+
+function parseName(answer) {
+  if (/\?\s*$/.test(answer)) {
+    return { error: "I'll be happy to answer that once we're done, or type \"cancel\" to ask now." };
+  }
+
+  const name = answer
+    .replace(/^\s*(hi|hello|hey)[,!.\s]+/i, '')
+    .replace(/^\s*(my name is|my name's|i am|i'm|it's|this is|name:)\s+/i, '')
+    .replace(/[.!]+\s*$/, '')
+    .trim();
+
+  if (!/\p{L}/u.test(name) || /[@\d]/.test(name)) {
+    return { error: "That doesn't look like a name." };
+  }
+  if (name.split(/\s+/).length > MAX_NAME_WORDS) {
+    return { error: 'Please just give me your name.' };
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    return { error: `Please keep your name under ${MAX_NAME_LENGTH} characters.` };
+  }
+  return { value: name };
+}
+
+function parseEmail(answer) {
+  // Accept the address inside a sentence, e.g. "it's jane@example.com."
+  const candidate = (answer.match(/\S+@\S+/) || [''])[0].replace(/^[<(]+|[>),.;!]+$/g, '');
+
+  if (!isValidEmail(candidate)) {
+    return { error: "That doesn't look like a valid email address." };
+  }
+  return { value: candidate.toLowerCase() };
+}
+
+function parsePhone(answer) {
+  const candidate = (answer.match(/\+?[\d\s().-]{7,}/) || [''])[0].trim();
+  const digits = candidate.replace(/\D/g, '');
+
+  if (digits.length < 7 || digits.length > 15) {
+    return { error: "That doesn't look like a phone number. Please include the area code." };
+  }
+  return { value: candidate };
+}
+
+function parseProjectType(answer) {
+  const projectType = answer.trim().replace(/[.!]+$/, '');
+
+  if (projectType.length < 2) {
+    return { error: 'Please tell me a little about the project.' };
+  }
+  if (projectType.length > MAX_PROJECT_TYPE_LENGTH) {
+    return { error: `Please keep the project description under ${MAX_PROJECT_TYPE_LENGTH} characters; our team will ask for the details.` };
+  }
+  return { value: projectType };
+}
+
+// Asked in this order
+const SLOTS = [
+  { name: 'name', question: 'Could I have your name?', parse: parseName },
+  { name: 'email', question: 'What email address should we send the quote to?', parse: parseEmail },
+  {
+    name: 'phone',
+    question: 'And a phone number we can reach you on? Type "skip" if you\'d rather not share one.',
+    parse: parsePhone,
+    optional: true
+  },
+  {
+    name: 'projectType',
+    question: 'Finally, what kind of project is it — for example a new home, a renovation or a commercial building?',
+    parse: parseProjectType
+  }
+];
+
+/**
+ * Check whether a customer message asks for a quote or a consultation
+ */
+function detectLeadIntent(message) {
+  return LEAD_INTENT_PATTERNS.some(pattern => pattern.test(message));
+}
+
+/**
+ * Start collecting contact details for a quote or consultation request.
+ *
+ * @returns {{ state: Object, reply: string, status: 'collecting', slot: string }}
+ */
+function startLeadCapture(request) {
+  const [first] = SLOTS;
+  return {
+    state: { request, slot: first.name, values: {} },
+    reply: `I'd be glad to help with that. I'll take a few details so our team can get back to you — type "cancel" at any time to stop.\n\n${first.question}`,
+    status: 'collecting',
+    slot: first.name
+  };
+}
+
+/**
+ * Take the customer's answer to the slot being asked for.
+ *
+ * @returns {{ state: Object|null, reply: string, status: 'collecting'|'completed'|'cancelled', slot: string|null, values?: Object }}
+ *   state is null once the flow has ended; values are set when it completed
+ */
+function advanceLeadCapture(state, answer) {
+  const index = SLOTS.findIndex(slot => slot.name === state.slot);
+  const slot = SLOTS[index];
+
+  // "No thanks" to an optional question skips it rather than stopping the flow
+  const skipped = slot.optional && SKIP_PATTERN.test(answer);
+
+  if (!skipped && CANCEL_PATTERN.test(answer)) {
+    return {
+      state: null,
+      reply: "No problem, I've stopped collecting your details. Is there anything else I can help you with?",
+      status: 'cancelled',
+      slot: null
+    };
+  }
+
+  const parsed = skipped ? { value: null } : slot.parse(answer);
+
+  if (parsed.error) {
+    return {
+      state,
+      reply: `${parsed.error} ${slot.question}`,
+      status: 'collecting',
+      slot: slot.name
+    };
+  }
+
+  const values = { ...state.values, [slot.name]: parsed.value };
+  const next = SLOTS[index + 1];
+
+  if (next) {
+    return {
+      state: { ...state, slot: next.name, values },
+      reply: next.question,
+      status: 'collecting',
+      slot: next.name
+    };
+  }
+
+  return {
+    state: null,
+    reply: `Thank you, ${values.name}! I've passed your request on to our team, and we'll be in touch at ${values.email} shortly.`,
+    status: 'completed',
+    slot: null,
+    values
+  };
+}
+
+export { SLOTS, detectLeadIntent, startLeadCapture, advanceLeadCapture };
@@ -0,0 +1,68 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { acquireFileLock } from '../fileLock.js';
+
+/**
+ * Lead store that keeps every captured lead in one JSON file. Writes take a
+ * lock file, so the chat and admin endpoints can share it on one host.
+ */
+class FileLeadStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - JSON file holding the leads
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'leads.json');
+    this.lockPath = `${this.filePath}.lock`;
+  }
+
+  /**
+   * Read all leads: { [id]: lead }
+   */
+  async load() {
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      return parsed.leads || {};
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async save(leads) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    // Write to temporary file first, then rename (atomic operation)
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ leads }, null, 2), 'utf8');
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  async create(lead) {
+    const release = await acquireFileLock(this.lockPath);
+    try {
+      const leads = await this.load();
+      leads[lead.id] = lead;
+      await this.save(leads);
+      return lead;
+    } finally {
+      await release();
+    }
+  }
+
+  async get(id) {
+    return (await this.load())[id] || null;
+  }
+
+  /**
+   * All leads, newest first
+   */
+  async list() {
+    return Object.values(await this.load())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+}
+
+export default FileLeadStore;
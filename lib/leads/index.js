@@ -0,0 +1,40 @@
+import FileLeadStore from './fileLeadStore.js';
+import SqliteLeadStore from './sqliteLeadStore.js';
+import MemoryLeadStore from './memoryLeadStore.js';
+
+/**
+ * A lead store keeps the contact details captured in chat. Every store
+ * implements:
+ *
+ * - create(lead) -> the stored lead
+ * - get(id) -> lead, or null for an unknown lead
+ * - list() -> all leads, newest first
+ */
+const stores = {
+  file: FileLeadStore,
+  sqlite: SqliteLeadStore,
+  memory: MemoryLeadStore
+};
+
+/**
+ * Create the lead store selected by configuration.
+ *
+ * Environment variables:
+ * - LEAD_STORE: "file" (default), "sqlite" or "memory"
+ * - LEAD_PATH: path of the JSON file or database of the store
+ */
+function createLeadStore(options = {}) {
+  const type = (options.type || process.env.LEAD_STORE || 'file').toLowerCase();
+  const Store = stores[type];
+
+  if (!Store) {
+    throw new Error(`Unknown lead store "${type}". Expected one of: ${Object.keys(stores).join(', ')}`);
+  }
+
+  return new Store({
+    ...options,
+    filePath: options.filePath || process.env.LEAD_PATH
+  });
+}
+
+export { createLeadStore, FileLeadStore, SqliteLeadStore, MemoryLeadStore };
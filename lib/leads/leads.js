@@ -0,0 +1,67 @@
+/**
+ * Leads: contact details a customer gave in chat with a quote or
+ * consultation request.
+ *
+ *   {
+ *     id, sessionId,
+ *     name, email, phone,            // phone is null when the customer skipped it
+ *     projectType,
+ *     request,                       // the message that asked for the quote
+ *     transcript: [{ role, content }],
+ *     createdAt
+ *   }
+ */
+
+const CSV_COLUMNS = ['createdAt', 'name', 'email', 'phone', 'projectType', 'request', 'sessionId', 'id'];
+
+function generateId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+/**
+ * Build a lead from the collected values and the conversation it came from.
+ * The customer's last answer completes the transcript.
+ */
+function createLead({ sessionId, request, values, conversation, message }) {
+  return {
+    id: generateId(),
+    sessionId,
+    name: values.name,
+    email: values.email,
+    phone: values.phone || null,
+    projectType: values.projectType,
+    request,
+    transcript: [
+      ...conversation.turns.map(({ role, content }) => ({ role, content })),
+      { role: 'user', content: message }
+    ],
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * A lead without its transcript, for listings
+ */
+function toLeadSummary(lead) {
+  const { transcript, ...rest } = lead;
+  return rest;
+}
+
+function csvField(value) {
+  let text = value == null ? '' : String(value);
+  // Keep spreadsheet apps from evaluating customer input as a formula
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render leads as CSV with a header row
+ */
+function leadsToCsv(leads) {
+  const rows = leads.map(lead => CSV_COLUMNS.map(column => csvField(lead[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+export { CSV_COLUMNS, createLead, toLeadSummary, leadsToCsv };
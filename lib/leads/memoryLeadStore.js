@@ -0,0 +1,33 @@
+/**
+ * Lead store that keeps captured leads in process memory. Leads are lost on
+ * restart and not shared between functions, so use it for tests only.
+ */
+class MemoryLeadStore {
+  constructor() {
+    this.leads = new Map();
+  }
+
+  clone(value) {
+    return value == null ? value : JSON.parse(JSON.stringify(value));
+  }
+
+  async create(lead) {
+    this.leads.set(lead.id, this.clone(lead));
+    return this.clone(lead);
+  }
+
+  async get(id) {
+    return this.clone(this.leads.get(id) || null);
+  }
+
+  /**
+   * All leads, newest first
+   */
+  async list() {
+    return [...this.leads.values()]
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(lead => this.clone(lead));
+  }
+}
+
+export default MemoryLeadStore;
@@ -0,0 +1,96 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Schema migrations, applied in order and tracked with PRAGMA user_version
+const MIGRATIONS = [
+  `CREATE TABLE IF NOT EXISTS leads (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    lead TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS leads_created_at ON leads (created_at);`
+];
+
+/**
+ * Lead store backed by an embedded SQLite database (better-sqlite3), one
+ * row per lead, so any number of processes can share the database file.
+ */
+class SqliteLeadStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - Database file, or ":memory:"
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'leads.sqlite');
+    this.db = null;
+    this.initPromise = null;
+  }
+
+  /**
+   * Open the database and run pending migrations (once per instance)
+   */
+  async ready() {
+    if (!this.initPromise) {
+      this.initPromise = this.initialize().catch(error => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+    await this.initPromise;
+    return this.db;
+  }
+
+  async initialize() {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error('SQLite lead storage requires the "better-sqlite3" package. Install it with: npm install better-sqlite3');
+    }
+
+    if (this.filePath !== ':memory:') {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    }
+
+    const db = new Database(this.filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+
+    const currentVersion = db.pragma('user_version', { simple: true });
+    for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+      db.transaction(() => {
+        db.exec(MIGRATIONS[version]);
+        db.pragma(`user_version = ${version + 1}`);
+      })();
+    }
+
+    this.db = db;
+  }
+
+  async create(lead) {
+    const db = await this.ready();
+    db.prepare(`
+      INSERT INTO leads (id, session_id, created_at, lead)
+      VALUES (?, ?, ?, ?)
+    `).run(lead.id, lead.sessionId, lead.createdAt, JSON.stringify(lead));
+    return lead;
+  }
+
+  async get(id) {
+    const db = await this.ready();
+    const row = db.prepare('SELECT lead FROM leads WHERE id = ?').get(id);
+    return row ? JSON.parse(row.lead) : null;
+  }
+
+  /**
+   * All leads, newest first
+   */
+  async list() {
+    const db = await this.ready();
+    return db.prepare('SELECT lead FROM leads ORDER BY created_at DESC').all()
+      .map(row => JSON.parse(row.lead));
+  }
+}
+
+export default SqliteLeadStore;
@@ -0,0 +1,184 @@
+/**
+ * Circuit breaker tracking the health of one model.
+ *
+ *   closed     requests go through; outcomes are recorded over a sliding window
+ *   open       the model is skipped until the cooldown (or the server's
+ *              Retry-After hint) has passed
+ *   half-open  one probe request is let through; success closes the circuit,
+ *              failure opens it again
+ *
+ * The circuit opens when the failure rate over the window reaches the
+ * threshold, or straight away for failures that say the model cannot serve
+ * requests for a while (quota errors, Retry-After hints).
+ */
+
+const DEFAULT_OPTIONS = {
+  cooldownMs: 60000,
+  windowMs: 60000,
+  failureRateThreshold: 0.5,
+  minimumRequests: 4
+};
+
+class CircuitBreaker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.cooldownMs] - How long the circuit stays open without a Retry-After hint
+   * @param {number} [options.windowMs] - Age of the outcomes the failure rate is computed over
+   * @param {number} [options.failureRateThreshold] - Failure rate (0-1) that opens the circuit
+   * @param {number} [options.minimumRequests] - Outcomes needed in the window before the rate counts
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.now = options.now || Date.now;
+
+    this.state = 'closed';
+    this.openUntil = null;
+    this.probeInFlight = false;
+    // Recent outcomes, oldest first: { time, ok, latencyMs }
+    this.outcomes = [];
+    this.lastError = null;
+    this.lastFailureTime = null;
+  }
+
+  /**
+   * Check whether a request may use the model now. Moves an open circuit to
+   * half-open once its time is up, and claims the half-open probe; callers
+   * that get true must report the outcome.
+   */
+  allowRequest() {
+    if (this.state === 'open' && this.now() >= this.openUntil) {
+      this.state = 'half-open';
+      this.probeInFlight = false;
+    }
+
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'half-open' && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Whether a request would be let through, without claiming the probe
+   */
+  isAvailable() {
+    if (this.state === 'open') {
+      return this.now() >= this.openUntil;
+    }
+    return this.state === 'closed' || !this.probeInFlight;
+  }
+
+  recordSuccess(latencyMs) {
+    this.record(true, latencyMs);
+
+    if (this.state === 'half-open') {
+      this.close();
+    }
+  }
+
+  /**
+   * @param {Error} error
+   * @param {Object} [options]
+   * @param {number} [options.latencyMs] - Time until the failure
+   * @param {number} [options.retryAfterMs] - Server hint for when to try again; opens the circuit for that long
+   * @param {boolean} [options.trip] - Open the circuit regardless of the failure rate
+   */
+  recordFailure(error, { latencyMs, retryAfterMs, trip = false } = {}) {
+    this.record(false, latencyMs);
+    this.lastError = error.message;
+    this.lastFailureTime = this.now();
+
+    if (this.state === 'half-open' || trip || retryAfterMs) {
+      this.open(retryAfterMs);
+      return;
+    }
+
+    const { failures, requests } = this.getCounts();
+    if (requests >= this.options.minimumRequests &&
+        failures / requests >= this.options.failureRateThreshold) {
+      this.open();
+    }
+  }
+
+  open(retryAfterMs) {
+    this.state = 'open';
+    this.openUntil = this.now() + (retryAfterMs || this.options.cooldownMs);
+    this.probeInFlight = false;
+  }
+
+  close() {
+    this.state = 'closed';
+    this.openUntil = null;
+    this.probeInFlight = false;
+    this.outcomes = [];
+  }
+
+  record(ok, latencyMs) {
+    this.outcomes.push({ time: this.now(), ok, latencyMs: latencyMs ?? null });
+    this.prune();
+  }
+
+  /**
+   * Drop outcomes older than the window
+   */
+  prune() {
+    const cutoff = this.now() - this.options.windowMs;
+    while (this.outcomes.length > 0 && this.outcomes[0].time < cutoff) {
+      this.outcomes.shift();
+    }
+  }
+
+  getCounts() {
+    this.prune();
+    const failures = this.outcomes.filter(outcome => !outcome.ok).length;
+    return { failures, requests: this.outcomes.length };
+  }
+
+  getStatus() {
+    const { failures, requests } = this.getCounts();
+    const latencies = this.outcomes
+      .filter(outcome => outcome.ok && outcome.latencyMs !== null)
+      .map(outcome => outcome.latencyMs);
+
+    return {
+      state: this.state === 'open' && this.now() >= this.openUntil ? 'half-open' : this.state,
+      openUntil: this.state === 'open' ? new Date(this.openUntil).toISOString() : null,
+      requests,
+      failures,
+      errorRate: requests > 0 ? Math.round((failures / requests) * 100) / 100 : 0,
+      averageLatencyMs: latencies.length > 0
+        ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length)
+        : null,
+      lastError: this.lastError,
+      lastFailureTime: this.lastFailureTime ? new Date(this.lastFailureTime).toISOString() : null
+    };
+  }
+}
+
+/**
+ * Read a server hint for when to retry from an error, in milliseconds:
+ * an explicit retryAfterMs, a google.rpc.RetryInfo detail (Gemini), or
+ * "retry in 12.5s" in the message. Returns null when there is none.
+ */
+function getRetryAfterMs(error) {
+  if (typeof error.retryAfterMs === 'number' && error.retryAfterMs > 0) {
+    return error.retryAfterMs;
+  }
+
+  const retryInfo = (error.errorDetails || []).find(detail => detail?.['@type']?.endsWith('RetryInfo'));
+  const delay = retryInfo?.retryDelay?.match(/^([\d.]+)s$/);
+  if (delay) {
+    return Math.ceil(parseFloat(delay[1]) * 1000);
+  }
+
+  const hint = error.message?.match(/retry (?:in|after) ([\d.]+)\s*s/i);
+  return hint ? Math.ceil(parseFloat(hint[1]) * 1000) : null;
+}
+
+export { CircuitBreaker, getRetryAfterMs };
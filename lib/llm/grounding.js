@@ -0,0 +1,133 @@
+/**
+ * Grounding of chat replies in the knowledge base.
+ *
+ * Modes (CHAT_GROUNDING):
+ *   off     replies are not checked
+ *   flag    (default) replies are checked after generation for numbers,
+ *           email addresses and phone numbers that appear neither in the
+ *           retrieved context nor in the customer's messages
+ *   strict  as flag, and when no retrieved entry is relevant enough (see
+ *           isConfident) the model is not called at all: the customer gets
+ *           the fallback message of the prompt configuration. The model is
+ *           also told to answer from the company information only.
+ */
+
+const GROUNDING_MODES = ['off', 'flag', 'strict'];
+
+const STRICT_INSTRUCTIONS = `Answer only from the numbered company information. If it does not answer the question, say that you don't have that information and suggest contacting human support. Never make up prices, dates, opening hours, contact details or other facts.`;
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// Seven or more digits, optionally grouped with spaces, dots, dashes or brackets
+const PHONE_PATTERN = /\+?\(?\d[\d\s().-]{5,}\d/g;
+const NUMBER_PATTERN = /\d[\d,]*(?:\.\d+)?/g;
+const CITATION_PATTERN = /\[\d+\]/g;
+
+function configurationError(message) {
+  const error = new Error(message);
+  error.code = 'CONFIGURATION_ERROR';
+  return error;
+}
+
+/**
+ * Read the grounding policy from the environment.
+ * Throws an Error with code CONFIGURATION_ERROR for invalid values.
+ *
+ * @returns {{ mode: string, minScore: number, minSimilarity: number }}
+ */
+function loadGroundingPolicy(env = process.env) {
+  const mode = (env.CHAT_GROUNDING || 'flag').toLowerCase();
+  if (!GROUNDING_MODES.includes(mode)) {
+    throw configurationError(`CHAT_GROUNDING must be one of: ${GROUNDING_MODES.join(', ')}`);
+  }
+
+  const minScore = parseFloat(env.CHAT_GROUNDING_MIN_SCORE || '1');
+  if (!Number.isFinite(minScore) || minScore < 0) {
+    throw configurationError('CHAT_GROUNDING_MIN_SCORE must be a number of 0 or more');
+  }
+
+  const minSimilarity = parseFloat(env.CHAT_GROUNDING_MIN_SIMILARITY || '0.5');
+  if (!Number.isFinite(minSimilarity) || minSimilarity < 0 || minSimilarity > 1) {
+    throw configurationError('CHAT_GROUNDING_MIN_SIMILARITY must be a number from 0 to 1');
+  }
+
+  return { mode, minScore, minSimilarity };
+}
+
+/**
+ * Check whether retrieval found an entry relevant enough to answer from:
+ * one whose BM25 score reaches policy.minScore, or, with semantic search,
+ * whose cosine similarity reaches policy.minSimilarity. The blended score
+ * of semantic search is not used; it is scaled to the best result and so
+ * says nothing about how well that result matches.
+ */
+function isConfident(sources, policy) {
+  return sources.some(source => source.semanticScore === undefined
+    ? source.score >= policy.minScore
+    : source.lexicalScore >= policy.minScore || source.semanticScore >= policy.minSimilarity);
+}
+
+function digitsOf(text) {
+  return text.replace(/\D/g, '');
+}
+
+/**
+ * Pull the email addresses, phone numbers and other numbers out of a text.
+ * Numbers are compared without thousands separators; single digits are
+ * ignored since replies use them for list numbering.
+ */
+function extractFacts(text) {
+  let rest = text.replace(CITATION_PATTERN, ' ');
+
+  const emails = (rest.match(EMAIL_PATTERN) || []).map(email => email.toLowerCase());
+  rest = rest.replace(EMAIL_PATTERN, ' ');
+
+  const phones = (rest.match(PHONE_PATTERN) || [])
+    .map(match => match.trim())
+    .filter(match => digitsOf(match).length >= 7);
+  for (const phone of phones) {
+    rest = rest.replace(phone, ' ');
+  }
+
+  const numbers = (rest.match(NUMBER_PATTERN) || [])
+    .map(number => number.replace(/,/g, ''))
+    .filter(number => number.replace(/\.\d+$/, '').length > 1);
+
+  return { emails, phones, numbers };
+}
+
+/**
+ * Find the facts of a reply that the grounding text (the retrieved context
+ * and the customer's own messages) does not contain.
+ *
+ * @returns {Array<{ type: 'email' | 'phone' | 'number', value: string }>}
+ */
+function findUnsupportedFacts(response, groundingText) {
+  const reply = extractFacts(response);
+  const known = extractFacts(groundingText);
+  const knownPhones = known.phones.map(digitsOf);
+  const unsupported = [];
+
+  for (const email of new Set(reply.emails)) {
+    if (!known.emails.includes(email)) {
+      unsupported.push({ type: 'email', value: email });
+    }
+  }
+
+  for (const phone of new Set(reply.phones)) {
+    // Tolerate a country code on either side
+    const digits = digitsOf(phone);
+    if (!knownPhones.some(knownPhone => knownPhone.endsWith(digits) || digits.endsWith(knownPhone))) {
+      unsupported.push({ type: 'phone', value: phone });
+    }
+  }
+
+  for (const number of new Set(reply.numbers)) {
+    if (!known.numbers.includes(number)) {
+      unsupported.push({ type: 'number', value: number });
+    }
+  }
+
+  return unsupported;
+}
+
+export { GROUNDING_MODES, STRICT_INSTRUCTIONS, loadGroundingPolicy, isConfident, findUnsupportedFacts };
@@ -0,0 +1,151 @@
+import { formatUserTurn } from './prompt.js';
+
+/**
+ * Keeps conversation history within a token budget.
+ *
+ * A conversation is { turns, summary }: turns are the { role, content,
+ * context } messages sent to the model verbatim, summary is a rolling
+ * summary of the turns that no longer fit. Once the turns exceed the budget,
+ * the oldest exchanges are folded into the summary (written by the provider's
+ * cheapest model) and only the most recent ones are kept verbatim.
+ *
+ * Turns are counted with a local estimate, kept on the turn as `tokens`
+ * (with `tokensEstimated: true`). Only once the estimated total comes near
+ * the budget are the estimated turns counted exactly with the provider's
+ * countTokens, when it has one, so most messages need no counting request.
+ */
+
+// Share of the budget the estimated total may reach before turns are counted exactly
+const EXACT_COUNT_RATIO = 0.8;
+
+const SUMMARY_INSTRUCTIONS = `Summarize the conversation below between a customer and a customer support assistant.
+Keep the customer's name and contact details, details of their project, questions that are still open
+and anything the assistant promised. Write plain sentences, at most 150 words.`;
+
+/**
+ * Rough token count: about four characters per token for English text
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function createConversation() {
+  return { turns: [], summary: null };
+}
+
+class HistoryManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - Model provider (see lib/llm/index.js)
+   * @param {number} [options.maxTokens] - Token budget of the verbatim turns
+   * @param {number} [options.keepTurns] - Recent exchanges kept verbatim when older ones are folded
+   */
+  constructor(options) {
+    this.provider = options.provider;
+    this.maxTokens = options.maxTokens ?? parseInt(process.env.CHAT_HISTORY_MAX_TOKENS || '4000');
+    this.keepTurns = options.keepTurns ?? parseInt(process.env.CHAT_HISTORY_KEEP_TURNS || '4');
+  }
+
+  /**
+   * The text a turn is sent as (user turns go with their knowledge base context)
+   */
+  getTurnText(turn) {
+    return turn.role === 'user' ? formatUserTurn(turn.content, turn.context) : turn.content;
+  }
+
+  /**
+   * Make sure every turn carries a token count, estimating the new ones
+   */
+  estimateTurns(turns) {
+    return turns.map(turn => turn.tokens !== undefined
+      ? turn
+      : { ...turn, tokens: estimateTokens(this.getTurnText(turn)), tokensEstimated: true });
+  }
+
+  /**
+   * Replace estimated counts with the provider's. Turns keep their estimate
+   * when the provider cannot count or counting fails.
+   */
+  async countTurnsExactly(turns) {
+    if (typeof this.provider.countTokens !== 'function') {
+      return turns;
+    }
+
+    return Promise.all(turns.map(async turn => {
+      if (!turn.tokensEstimated) {
+        return turn;
+      }
+      try {
+        const { tokensEstimated, ...counted } = turn;
+        return { ...counted, tokens: await this.provider.countTokens(this.getTurnText(turn)) };
+      } catch (error) {
+        console.error('Error counting tokens, using an estimate:', error.message);
+        return turn;
+      }
+    }));
+  }
+
+  /**
+   * Bring a conversation within the token budget. Resolves with a new
+   * conversation; the one passed in is not changed.
+   */
+  async compact(conversation = createConversation()) {
+    let turns = this.estimateTurns(conversation.turns);
+    let total = turns.reduce((sum, turn) => sum + turn.tokens, 0);
+
+    if (total <= this.maxTokens * EXACT_COUNT_RATIO) {
+      return { ...conversation, turns };
+    }
+
+    turns = await this.countTurnsExactly(turns);
+    total = turns.reduce((sum, turn) => sum + turn.tokens, 0);
+
+    if (total <= this.maxTokens) {
+      return { ...conversation, turns };
+    }
+
+    // Turns are saved in user/assistant pairs; folding whole exchanges keeps
+    // the history starting with a user turn
+    let start = Math.max(0, turns.length - this.keepTurns * 2);
+    let kept = turns.slice(start).reduce((sum, turn) => sum + turn.tokens, 0);
+    while (kept > this.maxTokens && turns.length - start > 2) {
+      kept -= turns[start].tokens + turns[start + 1].tokens;
+      start += 2;
+    }
+
+    if (start === 0) {
+      return { ...conversation, turns };
+    }
+
+    return {
+      ...conversation,
+      turns: turns.slice(start),
+      summary: await this.summarize(conversation.summary, turns.slice(0, start))
+    };
+  }
+
+  /**
+   * Fold turns into the rolling summary. If the model cannot write one, the
+   * previous summary is kept and the turns are dropped, so the history still
+   * shrinks.
+   */
+  async summarize(previousSummary, turns) {
+    let prompt = `${SUMMARY_INSTRUCTIONS}\n\n`;
+    if (previousSummary) {
+      prompt += `Summary of the conversation before this part:\n${previousSummary}\n\n`;
+    }
+    prompt += 'Conversation:\n' + turns
+      .map(({ role, content }) => `${role === 'user' ? 'Customer' : 'Assistant'}: ${content}`)
+      .join('\n');
+
+    try {
+      const summary = (await this.provider.generateSummary(prompt)).trim();
+      return summary || previousSummary;
+    } catch (error) {
+      console.error('Error summarizing conversation history:', error.message);
+      return previousSummary;
+    }
+  }
+}
+
+export { HistoryManager, createConversation, estimateTokens };
@@ -0,0 +1,74 @@
+import GeminiService from '../geminiService.js';
+import OpenAiCompatibleProvider from './openAiProvider.js';
+import MockProvider from './mockProvider.js';
+
+/**
+ * A model provider generates chat replies. Every provider implements:
+ *
+ * - generateChatResponse(prompt, history, knowledgeContext, options)
+ * - streamChatResponse(prompt, history, knowledgeContext, onToken, options)
+ *     Both resolve with { response, modelUsed, tier }. history is a list of
+ *     { role: 'user' | 'assistant', content, context } turns, context being
+ *     the knowledge base context of a user turn; options.systemPrompt
+ *     replaces the default instructions (see lib/llm/promptConfig.js) and
+ *     options.summary summarizes turns dropped from the history.
+ *     Providers assemble the model input with lib/llm/prompt.js.
+ * - generateSummary(prompt) -> text of a one-off prompt, from the cheapest model
+ * - countTokens(text) -> number (optional; lib/llm/history.js estimates otherwise)
+ * - getStatus() -> { provider, currentModel, currentTier, ... }
+ *
+ * Errors carry a code where the caller can act on it: QUOTA_EXHAUSTED when
+ * the model is over its limits, MODEL_UNAVAILABLE when it is down or
+ * overloaded for now, CONFIGURATION_ERROR for missing or rejected credentials.
+ */
+const providers = {
+  gemini: () => new GeminiService(),
+
+  openai: (options) => new OpenAiCompatibleProvider({
+    name: 'openai',
+    baseUrl: options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    model: options.model || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+    timeoutMs: options.timeoutMs || parseInt(process.env.LLM_TIMEOUT_MS, 10)
+  }),
+
+  // Ollama serves the OpenAI API under /v1
+  ollama: (options) => new OpenAiCompatibleProvider({
+    name: 'ollama',
+    baseUrl: options.baseUrl || process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+    model: options.model || process.env.OLLAMA_MODEL || 'llama3.1',
+    apiKey: options.apiKey,
+    timeoutMs: options.timeoutMs || parseInt(process.env.LLM_TIMEOUT_MS, 10)
+  }),
+
+  mock: (options) => new MockProvider({
+    response: options.response || process.env.LLM_MOCK_RESPONSE
+  })
+};
+
+/**
+ * Create the model provider selected by configuration.
+ *
+ * Environment variables:
+ * - LLM_PROVIDER: "gemini" (default), "openai", "ollama" or "mock"
+ * - GEMINI_API_KEY: required by the gemini provider
+ * - OPENAI_BASE_URL, OPENAI_API_KEY, OPENAI_MODEL: the openai provider; point
+ *   OPENAI_BASE_URL at any OpenAI-compatible server (e.g. llama.cpp)
+ * - OLLAMA_BASE_URL, OLLAMA_MODEL: the ollama provider
+ * - LLM_TIMEOUT_MS: time limit of an openai or ollama request (default 15000)
+ * - LLM_MOCK_RESPONSE: fixed reply for the mock provider
+ */
+function createLlmProvider(options = {}) {
+  const type = (options.type || process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const create = providers[type];
+
+  if (!create) {
+    const error = new Error(`Unknown model provider "${type}". Expected one of: ${Object.keys(providers).join(', ')}`);
+    error.code = 'CONFIGURATION_ERROR';
+    throw error;
+  }
+
+  return create(options);
+}
+
+export { createLlmProvider, GeminiService, OpenAiCompatibleProvider, MockProvider };
@@ -0,0 +1,70 @@
+/**
+ * Model provider that answers without calling any model. Replies are
+ * deterministic (the same question and context always give the same reply),
+ * which makes it suitable for tests and for development without an API key.
+ */
+class MockProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.response] - Fixed reply; by default the reply echoes the question and context
+   */
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.response = options.response || null;
+  }
+
+  /**
+   * Build the reply for a question
+   */
+  getReply(prompt, knowledgeContext) {
+    if (this.response) {
+      return this.response;
+    }
+
+    let reply = `This is a mock response to: "${prompt}".`;
+    if (knowledgeContext) {
+      reply += `\n\nRelevant company information:\n${knowledgeContext}`;
+    }
+    return reply;
+  }
+
+  async generateChatResponse(prompt, history, knowledgeContext = '', options = {}) {
+    return this.toResult(this.getReply(prompt, knowledgeContext));
+  }
+
+  /**
+   * Stream the reply word by word
+   */
+  async streamChatResponse(prompt, history, knowledgeContext = '', onToken, options = {}) {
+    const reply = this.getReply(prompt, knowledgeContext);
+
+    for (const token of reply.match(/\S+\s*|\s+/g) || []) {
+      onToken(token);
+    }
+
+    return this.toResult(reply);
+  }
+
+  async generateSummary(prompt) {
+    return `Mock summary of ${prompt.length} characters of conversation.`;
+  }
+
+  toResult(text) {
+    return {
+      response: text,
+      modelUsed: 'mock',
+      tier: 'mock'
+    };
+  }
+
+  getStatus() {
+    return {
+      provider: this.name,
+      currentModel: 'mock',
+      currentTier: 'mock',
+      lastFailureTime: null
+    };
+  }
+}
+
+export default MockProvider;
@@ -0,0 +1,239 @@
+/**
+ * Configuration of the Gemini model tier chain: the models tried in order,
+ * the generation settings of each, which errors move a request on to the
+ * next tier, and how transient errors are retried.
+ *
+ * The chain comes from, in order of precedence:
+ * - GEMINI_MODEL_TIERS: comma-separated model names, or the JSON config inline
+ * - GEMINI_MODEL_TIERS_FILE: path of a JSON config file
+ * - DEFAULT_MODEL_TIERS
+ *
+ * The JSON config is either an array of tiers or
+ * { defaults, tiers, errorPatterns, retry }, where defaults apply to every
+ * tier (tiers may be left out to keep the default chain):
+ *
+ *   {
+ *     "defaults": { "cooldownMs": 60000, "failoverOn": ["quota", "overloaded"] },
+ *     "tiers": [
+ *       { "name": "gemini-2.0-flash", "tier": "pro", "temperature": 0.4, "maxOutputTokens": 1024 },
+ *       { "name": "gemini-2.0-flash-lite", "tier": "flash-lite",
+ *         "safetySettings": [{ "category": "HARM_CATEGORY_HARASSMENT", "threshold": "BLOCK_ONLY_HIGH" }] }
+ *     ],
+ *     "errorPatterns": { "quota": ["quota exceeded", "rate limit"] },
+ *     "retry": { "maxAttempts": 3, "timeoutMs": 15000, "budgetMs": 20000 }
+ *   }
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_MODEL_TIERS = [
+  { name: 'gemini-2.0-flash-exp', tier: 'pro' },
+  { name: 'gemini-1.5-flash', tier: 'flash' },
+  { name: 'gemini-1.5-flash-8b', tier: 'flash-lite' }
+];
+
+const DEFAULT_TIER_POLICY = {
+  // How long the tier's circuit stays open once it trips (unless the server says otherwise)
+  cooldownMs: 60000,
+  failoverOn: ['quota']
+};
+
+// Lowercase substrings of error messages that identify each error class
+const DEFAULT_ERROR_PATTERNS = {
+  quota: ['quota exceeded', 'rate limit', 'too many requests', 'resource exhausted', 'rate_limit_exceeded', 'quota_exceeded'],
+  overloaded: ['overloaded', 'unavailable'],
+  server: ['internal error', 'internal server error'],
+  timeout: ['timed out', 'timeout', 'deadline exceeded'],
+  network: ['fetch failed', 'econnreset', 'econnrefused', 'etimedout', 'socket hang up', 'network'],
+  safety: ['safety', 'blocked']
+};
+
+// How each error class is handled: transient errors are retried on the same
+// model, quota errors are not worth retrying, fatal errors are the request's fault
+const ERROR_KINDS = {
+  quota: 'quota',
+  overloaded: 'transient',
+  server: 'transient',
+  timeout: 'transient',
+  network: 'transient',
+  safety: 'fatal'
+};
+
+// Retrying of transient errors within one chat request
+const DEFAULT_RETRY_POLICY = {
+  // Attempts per tier, the first one included
+  maxAttempts: 3,
+  // Backoff before retry n is a random delay between half and all of
+  // baseDelayMs * 2^(n-1), capped at maxDelayMs
+  baseDelayMs: 500,
+  maxDelayMs: 4000,
+  // Time limit of a single model call
+  timeoutMs: 15000,
+  // Time limit of all attempts on all tiers together
+  budgetMs: 25000
+};
+
+// HTTP statuses that identify an error class regardless of the message
+const ERROR_STATUSES = {
+  429: 'quota',
+  503: 'overloaded',
+  500: 'server',
+  504: 'timeout'
+};
+
+const ERROR_CLASSES = Object.keys(DEFAULT_ERROR_PATTERNS);
+
+function configurationError(message) {
+  const error = new Error(`Invalid model tier configuration: ${message}`);
+  error.code = 'CONFIGURATION_ERROR';
+  return error;
+}
+
+/**
+ * Read the raw configuration from the environment, or null to use the defaults
+ */
+function readConfig(env) {
+  const inline = (env.GEMINI_MODEL_TIERS || '').trim();
+
+  if (inline) {
+    if (inline.startsWith('[') || inline.startsWith('{')) {
+      try {
+        return JSON.parse(inline);
+      } catch (error) {
+        throw configurationError(`GEMINI_MODEL_TIERS is not valid JSON (${error.message})`);
+      }
+    }
+    return inline.split(',').map(name => name.trim()).filter(Boolean).map(name => ({ name }));
+  }
+
+  if (env.GEMINI_MODEL_TIERS_FILE) {
+    const filePath = path.resolve(process.cwd(), env.GEMINI_MODEL_TIERS_FILE);
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw configurationError(`could not read ${filePath} (${error.message})`);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check one tier and fill in the defaults
+ */
+function normalizeTier(tier, index, defaults) {
+  const label = `tier ${index + 1}`;
+
+  if (!tier || typeof tier !== 'object' || typeof tier.name !== 'string' || !tier.name.trim()) {
+    throw configurationError(`${label} needs a model name`);
+  }
+
+  const normalized = { ...DEFAULT_TIER_POLICY, ...defaults, ...tier, name: tier.name.trim() };
+  normalized.tier = normalized.tier || normalized.name;
+
+  if (normalized.temperature !== undefined &&
+      (typeof normalized.temperature !== 'number' || normalized.temperature < 0 || normalized.temperature > 2)) {
+    throw configurationError(`${label} temperature must be a number from 0 to 2`);
+  }
+
+  if (normalized.maxOutputTokens !== undefined &&
+      !(Number.isInteger(normalized.maxOutputTokens) && normalized.maxOutputTokens > 0)) {
+    throw configurationError(`${label} maxOutputTokens must be a positive integer`);
+  }
+
+  if (normalized.safetySettings !== undefined &&
+      !(Array.isArray(normalized.safetySettings) &&
+        normalized.safetySettings.every(setting => setting && setting.category && setting.threshold))) {
+    throw configurationError(`${label} safetySettings must be a list of { category, threshold }`);
+  }
+
+  if (typeof normalized.cooldownMs !== 'number' || normalized.cooldownMs < 0) {
+    throw configurationError(`${label} cooldownMs must be a non-negative number`);
+  }
+
+  if (!Array.isArray(normalized.failoverOn) ||
+      normalized.failoverOn.some(errorClass => !ERROR_CLASSES.includes(errorClass))) {
+    throw configurationError(`${label} failoverOn must list error classes from: ${ERROR_CLASSES.join(', ')}`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Load the model tier chain.
+ *
+ * @param {Object} [env] - Environment to read (defaults to process.env)
+ * @returns {{ tiers: Object[], errorPatterns: Object, retry: Object }} tiers
+ *   in failover order, each { name, tier, cooldownMs, failoverOn, temperature?,
+ *   maxOutputTokens?, safetySettings? }, and the retry policy
+ */
+function loadModelTiers(env = process.env) {
+  const config = readConfig(env) || DEFAULT_MODEL_TIERS;
+  const {
+    tiers = DEFAULT_MODEL_TIERS,
+    defaults = {},
+    errorPatterns = {},
+    retry = {}
+  } = Array.isArray(config) ? { tiers: config } : config;
+
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw configurationError('at least one tier is required');
+  }
+
+  for (const [errorClass, patterns] of Object.entries(errorPatterns)) {
+    if (!ERROR_CLASSES.includes(errorClass) ||
+        !Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string')) {
+      throw configurationError(`errorPatterns must map error classes (${ERROR_CLASSES.join(', ')}) to lists of strings`);
+    }
+  }
+
+  const retryPolicy = { ...DEFAULT_RETRY_POLICY, ...retry };
+  for (const [setting, value] of Object.entries(retryPolicy)) {
+    if (!(setting in DEFAULT_RETRY_POLICY) || !Number.isInteger(value) || value < (setting === 'maxAttempts' ? 1 : 0)) {
+      throw configurationError(
+        `retry settings are ${Object.keys(DEFAULT_RETRY_POLICY).join(', ')}, each a non-negative integer (maxAttempts at least 1)`
+      );
+    }
+  }
+
+  return {
+    retry: retryPolicy,
+    tiers: tiers.map((tier, index) => normalizeTier(tier, index, defaults)),
+    errorPatterns: {
+      ...DEFAULT_ERROR_PATTERNS,
+      ...Object.fromEntries(Object.entries(errorPatterns).map(
+        ([errorClass, patterns]) => [errorClass, patterns.map(pattern => pattern.toLowerCase())]
+      ))
+    }
+  };
+}
+
+/**
+ * Classify an error as quota, overloaded, server, timeout, network or
+ * safety, or null when it is none of these
+ */
+function classifyError(error, errorPatterns = DEFAULT_ERROR_PATTERNS) {
+  if (ERROR_STATUSES[error.status]) {
+    return ERROR_STATUSES[error.status];
+  }
+
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+    return 'timeout';
+  }
+
+  const message = error.message?.toLowerCase() || '';
+  return ERROR_CLASSES.find(errorClass =>
+    (errorPatterns[errorClass] || []).some(pattern => message.includes(pattern))
+  ) || null;
+}
+
+/**
+ * How an error class is handled: 'transient', 'quota' or 'fatal'.
+ * Errors of no known class are fatal.
+ */
+function getErrorKind(errorClass) {
+  return ERROR_KINDS[errorClass] || 'fatal';
+}
+
+export { loadModelTiers, classifyError, getErrorKind, DEFAULT_MODEL_TIERS, DEFAULT_RETRY_POLICY, ERROR_CLASSES };
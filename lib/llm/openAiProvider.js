@@ -0,0 +1,217 @@
+import { assemblePrompt } from './prompt.js';
+import { DEFAULT_RETRY_POLICY } from './modelTiers.js';
+import { createTimeout } from './retry.js';
+
+/**
+ * Model provider for any server speaking the OpenAI chat completions API:
+ * OpenAI itself, and local servers such as Ollama or llama.cpp
+ */
+class OpenAiCompatibleProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.name] - Provider name reported in status and errors
+   * @param {string} options.baseUrl - API root, e.g. https://api.openai.com/v1
+   * @param {string} options.model - Model name sent with every request
+   * @param {string} [options.apiKey] - Bearer token; local servers usually need none
+   * @param {number} [options.timeoutMs] - Time limit of a request; a streamed reply only has to start within it
+   */
+  constructor(options) {
+    this.name = options.name || 'openai';
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.model = options.model;
+    this.apiKey = options.apiKey || null;
+    this.timeoutMs = options.timeoutMs || DEFAULT_RETRY_POLICY.timeoutMs;
+    this.lastFailureTime = null;
+  }
+
+  /**
+   * Generate AI response
+   */
+  async generateChatResponse(prompt, history, knowledgeContext = '', options = {}) {
+    return this.withTimeout(async (timeout) => {
+      const response = await this.request(this.buildMessages(prompt, history, knowledgeContext, options), false, timeout);
+      const data = await response.json();
+
+      return this.toResult(data.choices?.[0]?.message?.content || '');
+    });
+  }
+
+  /**
+   * Generate AI response as a stream, calling onToken with each chunk of text
+   * as it arrives. Resolves with the same result as generateChatResponse.
+   */
+  async streamChatResponse(prompt, history, knowledgeContext = '', onToken, options = {}) {
+    return this.withTimeout(async (timeout) => {
+      const response = await this.request(this.buildMessages(prompt, history, knowledgeContext, options), true, timeout);
+      let text = '';
+
+      try {
+        for await (const data of this.readEvents(response.body)) {
+          const token = data.choices?.[0]?.delta?.content;
+          if (token) {
+            timeout.clear();
+            text += token;
+            onToken(token);
+          }
+        }
+      } catch (error) {
+        error.partialResponse = text || undefined;
+        throw error;
+      }
+
+      return this.toResult(text);
+    });
+  }
+
+  /**
+   * Complete a one-off prompt, such as a conversation summary
+   */
+  async generateSummary(prompt) {
+    return this.withTimeout(async (timeout) => {
+      const response = await this.request([{ role: 'user', content: prompt }], false, timeout);
+      const data = await response.json();
+
+      return data.choices?.[0]?.message?.content || '';
+    });
+  }
+
+  /**
+   * Run a request under the timeout, so a server that hangs fails like one
+   * that is down (MODEL_UNAVAILABLE) instead of holding the chat request
+   */
+  async withTimeout(run) {
+    const timeout = createTimeout(this.timeoutMs);
+    try {
+      return await run(timeout);
+    } catch (error) {
+      if (!timeout.timedOut) {
+        throw error;
+      }
+      const timedOut = new Error(`${this.name} did not answer within ${timeout.ms}ms`);
+      timedOut.code = 'MODEL_UNAVAILABLE';
+      timedOut.partialResponse = error.partialResponse;
+      throw timedOut;
+    } finally {
+      timeout.clear();
+    }
+  }
+
+  /**
+   * Build the chat messages of a turn
+   */
+  buildMessages(prompt, history = [], knowledgeContext, options) {
+    const assembled = assemblePrompt(prompt, history, knowledgeContext, options);
+    return [
+      { role: 'system', content: assembled.systemInstruction },
+      ...assembled.history,
+      { role: 'user', content: assembled.message }
+    ];
+  }
+
+  /**
+   * POST a chat completion request, turning HTTP failures into errors
+   */
+  async request(messages, stream, timeout) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model: this.model, messages, stream }),
+        signal: timeout.signal
+      });
+    } catch (error) {
+      const unreachable = new Error(`Could not reach ${this.name} at ${this.baseUrl}: ${error.message}`);
+      unreachable.code = 'MODEL_UNAVAILABLE';
+      throw unreachable;
+    }
+
+    if (!response.ok) {
+      throw await this.toError(response);
+    }
+
+    return response;
+  }
+
+  /**
+   * Build an error from a failed response. Rate limits, rejected credentials
+   * and server errors get the same codes as the other providers use.
+   */
+  async toError(response) {
+    let detail = '';
+    try {
+      const body = await response.text();
+      detail = JSON.parse(body).error?.message || body;
+    } catch {
+      // Keep the status line alone
+    }
+
+    const error = new Error(
+      `${this.name} request failed with status ${response.status}${detail ? `: ${detail}` : ''}`
+    );
+    error.status = response.status;
+
+    if (response.status === 429) {
+      this.lastFailureTime = Date.now();
+      error.code = 'QUOTA_EXHAUSTED';
+      const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+      if (retryAfter > 0) error.retryAfter = retryAfter;
+    } else if (response.status === 401 || response.status === 403) {
+      error.code = 'CONFIGURATION_ERROR';
+    } else if (response.status >= 500) {
+      error.code = 'MODEL_UNAVAILABLE';
+    }
+
+    return error;
+  }
+
+  /**
+   * Parse the data lines of a streamed (Server-Sent Events) response body,
+   * yielding each JSON payload until [DONE]
+   */
+  async *readEvents(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.match(/^data:\s*(.*)$/)?.[1].trim();
+        if (!data) continue;
+        if (data === '[DONE]') return;
+        yield JSON.parse(data);
+      }
+    }
+  }
+
+  toResult(text) {
+    return {
+      response: text,
+      modelUsed: this.model,
+      tier: 'default'
+    };
+  }
+
+  /**
+   * Get current model status
+   */
+  getStatus() {
+    return {
+      provider: this.name,
+      baseUrl: this.baseUrl,
+      currentModel: this.model,
+      currentTier: 'default',
+      lastFailureTime: this.lastFailureTime
+    };
+  }
+}
+
+export default OpenAiCompatibleProvider;
@@ -0,0 +1,65 @@
+/**
+ * Prompt assembly shared by all model providers.
+ *
+ * The system prompt goes to the model once per request through its system
+ * instruction (Gemini's systemInstruction, the OpenAI "system" message)
+ * instead of being repeated in the user turns. Every user turn, past and
+ * current, is sent in the same format together with the knowledge base
+ * context that was retrieved for it:
+ *
+ *   Relevant company information:
+ *   [1] <key>: <passage>
+ *
+ *   Customer question: <message>
+ *
+ * The numbers identify the knowledge base entries, which the model is asked
+ * to cite.
+ */
+
+import { renderSystemPrompt } from './promptConfig.js';
+
+const CITATION_INSTRUCTIONS = `When you use the numbered company information, cite the numbers of the items you used in square brackets, e.g. [1] or [1][2]. Never cite a number that was not given.`;
+
+/**
+ * Format a user turn with the knowledge base context retrieved for it
+ */
+function formatUserTurn(userMessage, knowledgeContext) {
+  if (!knowledgeContext) {
+    return `Customer question: ${userMessage}`;
+  }
+
+  return `Relevant company information:\n${knowledgeContext}\n\nCustomer question: ${userMessage}`;
+}
+
+/**
+ * Assemble what is sent to the model for a chat turn.
+ *
+ * history is a list of { role: 'user' | 'assistant', content, context } turns,
+ * where context is the knowledge base context of a user turn. The system
+ * prompt defaults to the built-in prompt configuration; callers pass the
+ * rendered published configuration (see lib/llm/promptConfig.js). A summary
+ * of earlier turns that were dropped from the history (see lib/llm/history.js)
+ * is appended to the system instruction.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.systemPrompt]
+ * @param {string} [options.summary]
+ * @returns {{ systemInstruction: string, history: Array<{ role: string, content: string }>, message: string }}
+ */
+function assemblePrompt(userMessage, history = [], knowledgeContext = '', options = {}) {
+  let systemInstruction = `${options.systemPrompt || renderSystemPrompt()}\n\n${CITATION_INSTRUCTIONS}`;
+  if (options.summary) {
+    systemInstruction += `\n\nSummary of the earlier conversation:\n${options.summary}`;
+  }
+
+  return {
+    systemInstruction,
+    history: history.map(({ role, content, context }) => ({
+      role,
+      content: role === 'user' ? formatUserTurn(content, context) : content
+    })),
+    message: formatUserTurn(userMessage, knowledgeContext)
+  };
+}
+
+export { assemblePrompt, formatUserTurn };
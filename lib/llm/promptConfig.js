@@ -0,0 +1,144 @@
+/**
+ * Configuration of the system prompt: the persona, tone, escalation wording
+ * and answer rules, and the template they are rendered into. It also holds
+ * the fallback message customers get when strict grounding declines to
+ * answer (see lib/llm/grounding.js).
+ *
+ * The template and the fallback message reference values as {{name}}. Built
+ * in are personaName, companyName, tone, escalation and rules (rendered as a
+ * "- " list); any other name must be defined under variables, e.g.
+ * { "officeHours": "Mon-Fri 9-5" }.
+ */
+
+const DEFAULT_PROMPT_CONFIG = {
+  personaName: 'Support Assistant',
+  companyName: 'an architectural company',
+  tone: 'professional yet friendly',
+  escalation: "If you don't have specific information, politely suggest contacting human support",
+  rules: [
+    'Use the provided knowledge base information when relevant',
+    'Keep responses concise but informative',
+    'Focus on architectural services, pricing, processes, and general company information'
+  ],
+  variables: {},
+  fallbackMessage: "I'm sorry, I don't have reliable information about that, so I'd rather not guess. Please contact our support team and a member of staff will be glad to help.",
+  template: `You are {{personaName}}, a helpful AI assistant for {{companyName}}'s customer support.
+Your role is to provide accurate, professional, and friendly responses to customer inquiries.
+
+Guidelines:
+{{rules}}
+- {{escalation}}
+- Maintain a {{tone}} tone`
+};
+
+const TEXT_FIELDS = ['personaName', 'companyName', 'tone', 'escalation'];
+const BUILT_IN_VARIABLES = [...TEXT_FIELDS, 'rules'];
+const MAX_TEMPLATE_LENGTH = 20000;
+const PLACEHOLDER = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+
+function invalid(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_PROMPT_CONFIG';
+  return error;
+}
+
+/**
+ * Validate a prompt configuration, filling in defaults for missing fields.
+ * Throws an Error with code INVALID_PROMPT_CONFIG describing the first problem.
+ */
+function normalizePromptConfig(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw invalid('Prompt configuration must be an object');
+  }
+
+  const config = { ...DEFAULT_PROMPT_CONFIG, ...input };
+
+  for (const field of TEXT_FIELDS) {
+    if (typeof config[field] !== 'string' || !config[field].trim()) {
+      throw invalid(`${field} must be a non-empty string`);
+    }
+    config[field] = config[field].trim();
+  }
+
+  if (!Array.isArray(config.rules) || config.rules.some(rule => typeof rule !== 'string')) {
+    throw invalid('rules must be a list of strings');
+  }
+  config.rules = config.rules.map(rule => rule.trim()).filter(Boolean);
+
+  if (!config.variables || typeof config.variables !== 'object' || Array.isArray(config.variables)) {
+    throw invalid('variables must be an object of name: value pairs');
+  }
+  for (const [name, value] of Object.entries(config.variables)) {
+    if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+      throw invalid(`Variable name "${name}" must start with a letter and use only letters, digits and _`);
+    }
+    if (BUILT_IN_VARIABLES.includes(name)) {
+      throw invalid(`Variable "${name}" is built in; set it as a field instead`);
+    }
+    if (typeof value !== 'string') {
+      throw invalid(`Variable "${name}" must be a string`);
+    }
+  }
+
+  if (typeof config.template !== 'string' || !config.template.trim()) {
+    throw invalid('template must be a non-empty string');
+  }
+  if (config.template.length > MAX_TEMPLATE_LENGTH) {
+    throw invalid(`template must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+  }
+
+  if (typeof config.fallbackMessage !== 'string' || !config.fallbackMessage.trim()) {
+    throw invalid('fallbackMessage must be a non-empty string');
+  }
+
+  const unknown = [...`${config.template}\n${config.fallbackMessage}`.matchAll(PLACEHOLDER)]
+    .map(match => match[1])
+    .filter(name => !BUILT_IN_VARIABLES.includes(name) && !(name in config.variables));
+  if (unknown.length > 0) {
+    throw invalid(`Unknown template variable {{${unknown[0]}}}. Define it under variables`);
+  }
+
+  return {
+    personaName: config.personaName,
+    companyName: config.companyName,
+    tone: config.tone,
+    escalation: config.escalation,
+    rules: config.rules,
+    variables: { ...config.variables },
+    fallbackMessage: config.fallbackMessage.trim(),
+    template: config.template
+  };
+}
+
+/**
+ * Fill in the {{name}} placeholders of a text from a configuration
+ */
+function renderTemplate(text, config) {
+  const values = {
+    ...config.variables,
+    personaName: config.personaName,
+    companyName: config.companyName,
+    tone: config.tone,
+    escalation: config.escalation,
+    rules: config.rules.map(rule => `- ${rule}`).join('\n')
+  };
+
+  return text.replace(PLACEHOLDER, (placeholder, name) => values[name] ?? placeholder).trim();
+}
+
+/**
+ * Render the system prompt of a (normalized) configuration
+ */
+function renderSystemPrompt(config = DEFAULT_PROMPT_CONFIG) {
+  return renderTemplate(config.template, config);
+}
+
+/**
+ * Render the fallback message of a configuration. Versions published before
+ * the message existed get the default one.
+ */
+function renderFallbackMessage(config = DEFAULT_PROMPT_CONFIG) {
+  return renderTemplate(config.fallbackMessage || DEFAULT_PROMPT_CONFIG.fallbackMessage, config);
+}
+
+export { DEFAULT_PROMPT_CONFIG, BUILT_IN_VARIABLES, normalizePromptConfig, renderSystemPrompt, renderFallbackMessage };
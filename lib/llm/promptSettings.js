@@ -0,0 +1,135 @@
+import { createPromptStore } from './promptStore/index.js';
+import { DEFAULT_PROMPT_CONFIG, normalizePromptConfig, renderFallbackMessage, renderSystemPrompt } from './promptConfig.js';
+
+/**
+ * Admin-edited prompt configuration with a draft and published versions.
+ * Stored as { draft, versions }, where draft is { config, updatedAt,
+ * updatedBy } or null and versions lists every published
+ * { version, config, publishedAt, publishedBy, note }, oldest first.
+ */
+class PromptSettings {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - Prompt store (see lib/llm/promptStore); configured from the environment by default
+   */
+  constructor(options = {}) {
+    this.store = options.store || createPromptStore();
+  }
+
+  /**
+   * Get the prompt configuration: the published version, the unpublished
+   * draft (or null) and the list of published versions, newest first.
+   * Before anything is published, version 0 is the built-in configuration.
+   */
+  async getPromptConfig() {
+    const stored = await this.store.get();
+    const published = stored.versions[stored.versions.length - 1]
+      || { version: 0, config: DEFAULT_PROMPT_CONFIG, publishedAt: null, publishedBy: null };
+
+    // Fields added since a version was saved get their defaults
+    return {
+      published: { ...published, config: { ...DEFAULT_PROMPT_CONFIG, ...published.config } },
+      draft: stored.draft && { ...stored.draft, config: { ...DEFAULT_PROMPT_CONFIG, ...stored.draft.config } },
+      versions: stored.versions
+        .map(({ version, publishedAt, publishedBy, note }) => ({ version, publishedAt, publishedBy, note }))
+        .reverse()
+    };
+  }
+
+  /**
+   * Get the system prompt rendered from the published configuration
+   */
+  async getSystemPrompt() {
+    const { published } = await this.getPromptConfig();
+    return renderSystemPrompt(published.config);
+  }
+
+  /**
+   * Get the published fallback message for questions the knowledge base
+   * cannot answer
+   */
+  async getFallbackMessage() {
+    const { published } = await this.getPromptConfig();
+    return renderFallbackMessage(published.config);
+  }
+
+  /**
+   * Save a prompt configuration as the draft, replacing any previous draft.
+   * Throws an Error with code INVALID_PROMPT_CONFIG when it is malformed.
+   */
+  async savePromptDraft(config, options = {}) {
+    const normalized = normalizePromptConfig(config);
+
+    const stored = await this.store.update(current => ({
+      ...current,
+      draft: {
+        config: normalized,
+        updatedAt: new Date().toISOString(),
+        updatedBy: options.author || null
+      }
+    }));
+    return stored.draft;
+  }
+
+  /**
+   * Drop the draft. Returns false when there was none.
+   */
+  async discardPromptDraft() {
+    let discarded = false;
+    await this.store.update(current => {
+      discarded = Boolean(current.draft);
+      return { ...current, draft: null };
+    });
+    return discarded;
+  }
+
+  /**
+   * Publish the draft as a new version, or, given options.version, publish
+   * a copy of that earlier version (a rollback). Throws an Error with code
+   * NO_DRAFT when there is nothing to publish, or VERSION_NOT_FOUND.
+   */
+  async publishPromptConfig(options = {}) {
+    let published;
+
+    await this.store.update(current => {
+      const stored = { ...current, versions: [...current.versions] };
+      let config;
+
+      if (options.version !== undefined) {
+        const source = options.version === 0
+          ? { config: DEFAULT_PROMPT_CONFIG }
+          : stored.versions.find(item => item.version === options.version);
+        if (!source) {
+          const error = new Error(`Prompt version ${options.version} not found`);
+          error.code = 'VERSION_NOT_FOUND';
+          throw error;
+        }
+        config = source.config;
+      } else {
+        if (!stored.draft) {
+          const error = new Error('There is no draft to publish');
+          error.code = 'NO_DRAFT';
+          throw error;
+        }
+        config = stored.draft.config;
+        stored.draft = null;
+      }
+
+      const latest = stored.versions[stored.versions.length - 1];
+      published = {
+        version: latest ? latest.version + 1 : 1,
+        config,
+        publishedAt: new Date().toISOString(),
+        publishedBy: options.author || null,
+        note: options.version !== undefined ? `Restored from version ${options.version}` : (options.note || null)
+      };
+
+      stored.versions.push(published);
+      return stored;
+    });
+
+    return published;
+  }
+}
+
+export default PromptSettings;
@@ -0,0 +1,60 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { acquireFileLock } from '../../fileLock.js';
+
+/**
+ * Prompt store that keeps the prompt configuration in one JSON file. Writes
+ * take a lock file, so every admin endpoint can share it on one host.
+ */
+class FilePromptStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - JSON file holding the configuration
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'prompt-config.json');
+    this.lockPath = `${this.filePath}.lock`;
+  }
+
+  async load() {
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      return parsed.promptConfig;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { draft: null, versions: [] };
+      }
+      throw error;
+    }
+  }
+
+  async save(promptConfig) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    // Write to temporary file first, then rename (atomic operation)
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ promptConfig }, null, 2), 'utf8');
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  async get() {
+    return this.load();
+  }
+
+  /**
+   * Replace the configuration with updater(current) and resolve with it.
+   * The updater must be synchronous; if it throws, nothing is saved.
+   */
+  async update(updater) {
+    const release = await acquireFileLock(this.lockPath);
+    try {
+      const promptConfig = updater(await this.load());
+      await this.save(promptConfig);
+      return promptConfig;
+    } finally {
+      await release();
+    }
+  }
+}
+
+export default FilePromptStore;
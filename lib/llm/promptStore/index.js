@@ -0,0 +1,41 @@
+import FilePromptStore from './filePromptStore.js';
+import SqlitePromptStore from './sqlitePromptStore.js';
+import MemoryPromptStore from './memoryPromptStore.js';
+
+/**
+ * A prompt store keeps the admin-edited prompt configuration: the draft and
+ * the published versions, { draft, versions } (see lib/llm/promptSettings.js).
+ * Every store implements:
+ *
+ * - get() -> the stored configuration, { draft: null, versions: [] } before anything was saved
+ * - update(updater) -> stores and returns updater(current), run atomically
+ *     so two admins saving at once do not lose a version
+ */
+const stores = {
+  file: FilePromptStore,
+  sqlite: SqlitePromptStore,
+  memory: MemoryPromptStore
+};
+
+/**
+ * Create the prompt store selected by configuration.
+ *
+ * Environment variables:
+ * - PROMPT_STORE: "file" (default), "sqlite" or "memory"
+ * - PROMPT_PATH: path of the JSON file or database of the store
+ */
+function createPromptStore(options = {}) {
+  const type = (options.type || process.env.PROMPT_STORE || 'file').toLowerCase();
+  const Store = stores[type];
+
+  if (!Store) {
+    throw new Error(`Unknown prompt store "${type}". Expected one of: ${Object.keys(stores).join(', ')}`);
+  }
+
+  return new Store({
+    ...options,
+    filePath: options.filePath || process.env.PROMPT_PATH
+  });
+}
+
+export { createPromptStore, FilePromptStore, SqlitePromptStore, MemoryPromptStore };
@@ -0,0 +1,32 @@
+/**
+ * Prompt store that keeps the prompt configuration in process memory. It is
+ * lost on restart and not shared between functions, so use it for tests only.
+ */
+class MemoryPromptStore {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.promptConfig] - Configuration to start from
+   */
+  constructor(options = {}) {
+    this.promptConfig = this.clone(options.promptConfig || { draft: null, versions: [] });
+  }
+
+  clone(value) {
+    return value == null ? value : JSON.parse(JSON.stringify(value));
+  }
+
+  async get() {
+    return this.clone(this.promptConfig);
+  }
+
+  /**
+   * Replace the configuration with updater(current) and resolve with it.
+   * The updater must be synchronous; if it throws, nothing is saved.
+   */
+  async update(updater) {
+    this.promptConfig = this.clone(updater(this.clone(this.promptConfig)));
+    return this.clone(this.promptConfig);
+  }
+}
+
+export default MemoryPromptStore;
@@ -0,0 +1,94 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Schema migrations, applied in order and tracked with PRAGMA user_version
+const MIGRATIONS = [
+  `CREATE TABLE IF NOT EXISTS prompt_config (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    config TEXT NOT NULL
+  );`
+];
+
+/**
+ * Prompt store backed by an embedded SQLite database (better-sqlite3), so
+ * any number of processes can share the database file. The configuration is
+ * kept in a single row.
+ */
+class SqlitePromptStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - Database file, or ":memory:"
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'prompt-config.sqlite');
+    this.db = null;
+    this.initPromise = null;
+  }
+
+  /**
+   * Open the database and run pending migrations (once per instance)
+   */
+  async ready() {
+    if (!this.initPromise) {
+      this.initPromise = this.initialize().catch(error => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+    await this.initPromise;
+    return this.db;
+  }
+
+  async initialize() {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error('SQLite prompt storage requires the "better-sqlite3" package. Install it with: npm install better-sqlite3');
+    }
+
+    if (this.filePath !== ':memory:') {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    }
+
+    const db = new Database(this.filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+
+    const currentVersion = db.pragma('user_version', { simple: true });
+    for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+      db.transaction(() => {
+        db.exec(MIGRATIONS[version]);
+        db.pragma(`user_version = ${version + 1}`);
+      })();
+    }
+
+    this.db = db;
+  }
+
+  read(db) {
+    const row = db.prepare('SELECT config FROM prompt_config WHERE id = 1').get();
+    return row ? JSON.parse(row.config) : { draft: null, versions: [] };
+  }
+
+  async get() {
+    return this.read(await this.ready());
+  }
+
+  /**
+   * Replace the configuration with updater(current) and resolve with it.
+   * The updater must be synchronous; if it throws, nothing is saved.
+   */
+  async update(updater) {
+    const db = await this.ready();
+
+    // IMMEDIATE takes the write lock before reading, so concurrent updates queue up
+    return db.transaction(() => {
+      const promptConfig = updater(this.read(db));
+      db.prepare('INSERT OR REPLACE INTO prompt_config (id, config) VALUES (1, ?)').run(JSON.stringify(promptConfig));
+      return promptConfig;
+    }).immediate();
+  }
+}
+
+export default SqlitePromptStore;
@@ -0,0 +1,44 @@
+/**
+ * Helpers for retrying model calls: jittered exponential backoff and
+ * per-call timeouts
+ */
+
+/**
+ * Delay before retry number `attempt` (1 for the first retry): a random
+ * point between half and all of baseDelayMs * 2^(attempt-1), capped at
+ * maxDelayMs. The jitter keeps instances that failed together from
+ * retrying together. A server retry hint is honored when it is longer.
+ */
+function getBackoffDelay(attempt, { baseDelayMs, maxDelayMs }, retryAfterMs = null) {
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  const delay = Math.round(cap / 2 + Math.random() * (cap / 2));
+  return Math.max(delay, retryAfterMs || 0);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Start a timeout that aborts a request after `ms` milliseconds.
+ * Returns { signal, ms, timedOut, clear } where timedOut tells whether the
+ * timeout fired, and clear stops it (e.g. once a stream starts producing output).
+ */
+function createTimeout(ms) {
+  const controller = new AbortController();
+  const timeout = {
+    signal: controller.signal,
+    ms,
+    timedOut: false,
+    clear: () => clearTimeout(timer)
+  };
+
+  const timer = setTimeout(() => {
+    timeout.timedOut = true;
+    controller.abort();
+  }, ms);
+
+  return timeout;
+}
+
+export { createTimeout, getBackoffDelay, sleep };
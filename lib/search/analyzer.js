@@ -0,0 +1,125 @@
+/**
+ * Text analysis pipeline shared by indexing and querying:
+ * tokenize -> drop stop words -> stem, plus query-time synonym expansion
+ */
+
+import { stem } from './porterStemmer.js';
+
+// Words too common to say anything about what a question or entry is about
+const STOP_WORDS = new Set([
+  'a', 'about', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'being', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'for', 'from', 'had', 'has', 'have', 'having',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'much', 'my', 'of', 'on',
+  'or', 'our', 'ours', 'should', 'so', 'some', 'than', 'that', 'the', 'their', 'them', 'then',
+  'there', 'these', 'they', 'this', 'those', 'to', 'us', 'was', 'we', 'were', 'what', 'when',
+  'where', 'which', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours'
+]);
+
+// Score multiplier for an entry matched through a synonym instead of the word itself
+const SYNONYM_WEIGHT = 0.8;
+
+/**
+ * Split text into lowercase word tokens
+ */
+function tokenize(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Check a synonym list: an array of groups, each an array of at least two
+ * words or phrases that mean the same thing.
+ * Returns the cleaned-up groups, or throws an Error describing the problem.
+ */
+function normalizeSynonyms(groups) {
+  if (!Array.isArray(groups)) {
+    throw new Error('Synonyms must be an array of word groups');
+  }
+
+  return groups.map((group, index) => {
+    if (!Array.isArray(group) || group.some(word => typeof word !== 'string')) {
+      throw new Error(`Synonym group ${index + 1} must be an array of words`);
+    }
+
+    const words = [...new Set(group.map(word => word.trim().toLowerCase()).filter(Boolean))];
+    if (words.length < 2) {
+      throw new Error(`Synonym group ${index + 1} needs at least two different words`);
+    }
+
+    return words;
+  });
+}
+
+class Analyzer {
+  /**
+   * @param {Object} [options]
+   * @param {string[][]} [options.synonyms] - Groups of interchangeable words or phrases
+   * @param {Set<string>} [options.stopWords] - Words left out of the index and queries
+   * @param {Function} [options.stem] - Reduces a word to its stem
+   */
+  constructor(options = {}) {
+    this.stopWords = options.stopWords || STOP_WORDS;
+    this.stem = options.stem || stem;
+    this.setSynonyms(options.synonyms || []);
+  }
+
+  /**
+   * Replace the synonym list. Each group is analyzed like any other text,
+   * so "renovations" in a group also covers "renovate" and "renovating".
+   */
+  setSynonyms(groups) {
+    this.synonyms = normalizeSynonyms(groups);
+    // term -> Set of terms it is interchangeable with
+    this.synonymMap = new Map();
+
+    for (const group of this.synonyms) {
+      const terms = new Set(group.flatMap(phrase => this.analyze(phrase)));
+
+      for (const term of terms) {
+        const related = this.synonymMap.get(term) || new Set();
+        for (const other of terms) {
+          if (other !== term) related.add(other);
+        }
+        this.synonymMap.set(term, related);
+      }
+    }
+  }
+
+  /**
+   * Analyze text into tokens, keeping the surface form next to the index term.
+   * Returns [{ surface, term }] with stop words removed.
+   */
+  tokens(text) {
+    return tokenize(text)
+      .filter(word => !this.stopWords.has(word))
+      .map(word => ({ surface: word, term: this.stem(word) }));
+  }
+
+  /**
+   * Analyze text into index terms
+   */
+  analyze(text) {
+    return this.tokens(text).map(token => token.term);
+  }
+
+  /**
+   * Analyze a query into one clause per distinct term, each listing the
+   * synonyms that may stand in for it: [{ surface, term, synonyms: [{ term, weight }] }]
+   */
+  analyzeQuery(query) {
+    const seen = new Set();
+    const clauses = [];
+
+    for (const token of this.tokens(query)) {
+      if (seen.has(token.term)) continue;
+      seen.add(token.term);
+
+      const synonyms = [...(this.synonymMap.get(token.term) || [])]
+        .map(term => ({ term, weight: SYNONYM_WEIGHT }));
+      clauses.push({ ...token, synonyms });
+    }
+
+    return clauses;
+  }
+}
+
+export { Analyzer, STOP_WORDS, normalizeSynonyms, tokenize };
@@ -0,0 +1,234 @@
+/**
+ * In-memory inverted index over knowledge entries (or passages of them),
+ * ranked with BM25F (BM25 with per-field weights and length normalisation).
+ * Documents are objects with an `id` and the fields listed in the field weights.
+ */
+
+import { Analyzer } from './analyzer.js';
+import { findSimilarTerms } from './fuzzy.js';
+
+// How much a match in each field counts relative to a match in the value
+const DEFAULT_FIELD_WEIGHTS = {
+  key: 3,
+  tags: 2,
+  value: 1
+};
+
+// Score multiplier for a term matched with one typo; two typos apply it twice
+const TYPO_PENALTY = 0.6;
+
+class Bm25Index {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.fieldWeights] - Weight per indexed document field
+   * @param {number} [options.k1] - Term frequency saturation
+   * @param {number} [options.b] - Strength of the document length normalisation
+   * @param {Analyzer} [options.analyzer] - Turns field text and queries into index terms
+   * @param {boolean} [options.fuzzy] - Also match index terms within a small edit distance of query terms
+   */
+  constructor(options = {}) {
+    this.fieldWeights = options.fieldWeights || DEFAULT_FIELD_WEIGHTS;
+    this.fields = Object.keys(this.fieldWeights);
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.analyzer = options.analyzer || new Analyzer();
+    this.fuzzy = options.fuzzy ?? true;
+
+    // term -> Map(document ID -> { field: term frequency })
+    this.postings = new Map();
+    // document ID -> { document, lengths: { field: token count }, terms: [term], surfaces: [word] }
+    this.documents = new Map();
+    // word as written -> { term, count: documents containing it }, for typo matching
+    this.surfaces = new Map();
+    // field -> total token count across all documents, for average lengths
+    this.totalLengths = Object.fromEntries(this.fields.map(field => [field, 0]));
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  has(id) {
+    return this.documents.has(id);
+  }
+
+  /**
+   * Get the text of a document field; tags are indexed as one space-separated field
+   */
+  getFieldText(document, field) {
+    const value = document[field];
+    return Array.isArray(value) ? value.join(' ') : value || '';
+  }
+
+  /**
+   * Add a document to the index, replacing any previous version of it
+   */
+  add(document) {
+    this.remove(document.id);
+
+    const lengths = {};
+    const terms = new Set();
+    const surfaces = new Set();
+
+    for (const field of this.fields) {
+      const tokens = this.analyzer.tokens(this.getFieldText(document, field));
+      lengths[field] = tokens.length;
+      this.totalLengths[field] += tokens.length;
+
+      for (const { surface, term } of tokens) {
+        let posting = this.postings.get(term);
+        if (!posting) {
+          posting = new Map();
+          this.postings.set(term, posting);
+        }
+
+        let frequencies = posting.get(document.id);
+        if (!frequencies) {
+          frequencies = {};
+          posting.set(document.id, frequencies);
+        }
+
+        frequencies[field] = (frequencies[field] || 0) + 1;
+        terms.add(term);
+
+        if (!surfaces.has(surface)) {
+          surfaces.add(surface);
+          const known = this.surfaces.get(surface) || { term, count: 0 };
+          known.count++;
+          this.surfaces.set(surface, known);
+        }
+      }
+    }
+
+    this.documents.set(document.id, { document, lengths, terms: [...terms], surfaces: [...surfaces] });
+  }
+
+  /**
+   * Remove a document from the index. Unknown IDs are ignored.
+   */
+  remove(id) {
+    const indexed = this.documents.get(id);
+    if (!indexed) {
+      return;
+    }
+
+    for (const field of this.fields) {
+      this.totalLengths[field] -= indexed.lengths[field];
+    }
+
+    for (const term of indexed.terms) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    for (const surface of indexed.surfaces) {
+      const known = this.surfaces.get(surface);
+      if (--known.count === 0) {
+        this.surfaces.delete(surface);
+      }
+    }
+
+    this.documents.delete(id);
+  }
+
+  /**
+   * Inverse document frequency of a term (BM25 variant that never goes negative)
+   */
+  idf(term) {
+    const documentFrequency = this.postings.get(term)?.size || 0;
+    return Math.log(1 + (this.size - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  /**
+   * Combine a document's per-field frequencies of a term into one weighted,
+   * length-normalised frequency
+   */
+  weightedFrequency(indexed, frequencies) {
+    let total = 0;
+
+    for (const field of this.fields) {
+      const frequency = frequencies[field];
+      if (!frequency) continue;
+
+      const averageLength = this.totalLengths[field] / this.size || 1;
+      const normalisation = 1 - this.b + this.b * (indexed.lengths[field] / averageLength);
+      total += this.fieldWeights[field] * frequency / normalisation;
+    }
+
+    return total;
+  }
+
+  /**
+   * Get the index terms a query clause matches, with the weight each match counts for:
+   * the term itself, words in the index a typo or two away from it, and its synonyms
+   */
+  expandClause(clause) {
+    const matches = [{ term: clause.term, weight: 1 }];
+
+    if (this.fuzzy) {
+      // Typos are judged on the words as written, since a misspelling
+      // often stems differently from the word it was meant to be
+      for (const match of findSimilarTerms(clause.surface, this.surfaces.keys())) {
+        if (match.distance > 0) {
+          matches.push({ term: this.surfaces.get(match.term).term, weight: TYPO_PENALTY ** match.distance });
+        }
+      }
+    }
+
+    matches.push(...clause.synonyms);
+    return matches.filter(match => this.postings.has(match.term));
+  }
+
+  /**
+   * Get every index term a query matches, including typo and synonym matches,
+   * e.g. to highlight why a document was found
+   */
+  getMatchingTerms(query) {
+    const terms = new Set();
+
+    for (const clause of this.analyzer.analyzeQuery(query)) {
+      for (const { term } of this.expandClause(clause)) {
+        terms.add(term);
+      }
+    }
+
+    return terms;
+  }
+
+  /**
+   * Rank documents against a query string.
+   * Returns [{ document, score }] for documents sharing at least one term with the query, best first.
+   */
+  search(query, limit = 10) {
+    const scores = new Map();
+
+    for (const clause of this.analyzer.analyzeQuery(query)) {
+      // A document scores for its best match of each query term, so a typo or
+      // synonym that matches several words is not counted several times
+      const termScores = new Map();
+
+      for (const { term, weight } of this.expandClause(clause)) {
+        const idf = this.idf(term);
+        for (const [id, frequencies] of this.postings.get(term)) {
+          const frequency = this.weightedFrequency(this.documents.get(id), frequencies);
+          const score = weight * idf * frequency * (this.k1 + 1) / (this.k1 + frequency);
+          termScores.set(id, Math.max(termScores.get(id) || 0, score));
+        }
+      }
+
+      for (const [id, score] of termScores) {
+        scores.set(id, (scores.get(id) || 0) + score);
+      }
+    }
+
+    return [...scores]
+      .map(([id, score]) => ({ document: this.documents.get(id).document, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+export { Bm25Index, DEFAULT_FIELD_WEIGHTS };
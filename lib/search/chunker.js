@@ -0,0 +1,96 @@
+/**
+ * Splitting of long knowledge entries into passages that are indexed and
+ * retrieved on their own
+ */
+
+// Passages are kept under this many words unless a single sentence is longer
+const DEFAULT_PASSAGE_WORDS = 120;
+
+function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+/**
+ * Split text into sentences, keeping their punctuation
+ */
+function splitSentences(text) {
+  return text.match(/[^.!?]+(?:[.!?]+|$)/g)?.map(sentence => sentence.trim()).filter(Boolean) || [];
+}
+
+/**
+ * Split a run-on sentence into pieces of at most maxWords words
+ */
+function splitWords(sentence, maxWords) {
+  const words = sentence.split(/\s+/);
+  const pieces = [];
+  for (let i = 0; i < words.length; i += maxWords) {
+    pieces.push(words.slice(i, i + maxWords).join(' '));
+  }
+  return pieces;
+}
+
+/**
+ * Split text into passages of at most maxWords words. Paragraph breaks are
+ * always passage breaks; within a paragraph, whole sentences are packed
+ * together until the next one would not fit.
+ */
+function splitIntoPassages(text, maxWords = DEFAULT_PASSAGE_WORDS) {
+  const passages = [];
+
+  for (const paragraph of (text || '').split(/\n\s*\n/)) {
+    let current = [];
+    let currentWords = 0;
+
+    const flush = () => {
+      if (current.length > 0) {
+        passages.push(current.join(' '));
+        current = [];
+        currentWords = 0;
+      }
+    };
+
+    for (const sentence of splitSentences(paragraph)) {
+      const words = countWords(sentence);
+
+      if (words > maxWords) {
+        flush();
+        passages.push(...splitWords(sentence, maxWords));
+        continue;
+      }
+
+      if (currentWords + words > maxWords) {
+        flush();
+      }
+
+      current.push(sentence);
+      currentWords += words;
+    }
+
+    flush();
+  }
+
+  return passages.length > 0 ? passages : [text || ''];
+}
+
+/**
+ * Get the passages of an entry. Each passage carries the entry's key and tags
+ * (so they still count when matching) and a link back to its entry.
+ * An entry short enough to fit in one passage yields a single passage.
+ */
+function getPassages(entry, maxWords = DEFAULT_PASSAGE_WORDS) {
+  const texts = countWords(entry.value || '') <= maxWords
+    ? [entry.value || '']
+    : splitIntoPassages(entry.value, maxWords);
+
+  return texts.map((text, index) => ({
+    id: `${entry.id}#${index}`,
+    entryId: entry.id,
+    key: entry.key,
+    tags: entry.tags || [],
+    value: text,
+    passageIndex: index,
+    passageCount: texts.length
+  }));
+}
+
+export { DEFAULT_PASSAGE_WORDS, getPassages, splitIntoPassages };
@@ -0,0 +1,112 @@
+/**
+ * Locally computed text embeddings for semantic search.
+ *
+ * An embedder is any object with an `id` (changing it invalidates stored
+ * vectors) and an async `embed(text)` returning an array of numbers, so a
+ * local model can be plugged in instead of the default hashing embedder.
+ */
+
+import { createHash } from 'crypto';
+import { Analyzer } from './analyzer.js';
+
+/**
+ * 32-bit FNV-1a hash, used to map features onto vector dimensions
+ */
+function hashFeature(feature) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Scale a vector to unit length (zero vectors are returned unchanged)
+ */
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length === 0 ? vector : vector.map(value => value / length);
+}
+
+/**
+ * Cosine similarity of two vectors of the same length
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+/**
+ * Default embedder: hashes word stems and character trigrams into a fixed-size
+ * vector (the "hashing trick"). Trigrams let related word forms and compounds
+ * ("renovate" / "renovations", "eco-friendly" / "friendly") land close together
+ * without any model download.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.dimensions] - Vector length
+ * @param {Analyzer} [options.analyzer] - Produces the word stems
+ */
+function createHashingEmbedder(options = {}) {
+  const dimensions = options.dimensions || 512;
+  const analyzer = options.analyzer || new Analyzer();
+
+  const addFeature = (vector, feature, weight) => {
+    const hash = hashFeature(feature);
+    // The top bit picks the sign so colliding features tend to cancel out
+    vector[hash % dimensions] += hash & 0x80000000 ? -weight : weight;
+  };
+
+  return {
+    id: `hashing-v1-${dimensions}`,
+    dimensions,
+
+    async embed(text) {
+      const vector = new Array(dimensions).fill(0);
+
+      for (const { surface, term } of analyzer.tokens(text)) {
+        addFeature(vector, `w:${term}`, 1);
+
+        const padded = `#${surface}#`;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+          addFeature(vector, `c:${padded.slice(i, i + 3)}`, 0.5);
+        }
+      }
+
+      return normalize(vector);
+    }
+  };
+}
+
+/**
+ * Text of an entry that gets embedded
+ */
+function getEmbeddingText(entry) {
+  return [entry.key, (entry.tags || []).join(' '), entry.value].join('\n');
+}
+
+/**
+ * Fingerprint of an entry's embedded content and the embedder used.
+ * A stored vector is reused only while its fingerprint still matches.
+ */
+function getEmbeddingFingerprint(entry, embedder) {
+  const contentHash = createHash('sha1').update(getEmbeddingText(entry)).digest('hex');
+  return `${embedder.id}:${contentHash}`;
+}
+
+export {
+  cosineSimilarity,
+  createHashingEmbedder,
+  getEmbeddingFingerprint,
+  getEmbeddingText,
+  normalize
+};
@@ -0,0 +1,40 @@
+/**
+ * Facet counts over a set of knowledge entries, used to offer filters
+ * alongside search results
+ */
+
+/**
+ * Month bucket (YYYY-MM, UTC) of a timestamp, or null when it is missing or invalid
+ */
+function getMonthBucket(timestamp) {
+  const date = new Date(timestamp);
+  return timestamp && !isNaN(date) ? date.toISOString().slice(0, 7) : null;
+}
+
+/**
+ * Count how often each value occurs; returns [{ value, count }]
+ */
+function countValues(values) {
+  const counts = new Map();
+  for (const value of values) {
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts].map(([value, count]) => ({ value, count }));
+}
+
+/**
+ * Aggregate tag counts (most used first) and created / updated month
+ * buckets (newest first) over the given entries
+ */
+function getFacets(entries) {
+  const byMonth = (a, b) => b.value.localeCompare(a.value);
+
+  return {
+    tags: countValues(entries.flatMap(entry => [...new Set((entry.tags || []).map(tag => tag.toLowerCase()))]))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+    created: countValues(entries.map(entry => getMonthBucket(entry.createdAt))).sort(byMonth),
+    updated: countValues(entries.map(entry => getMonthBucket(entry.updatedAt))).sort(byMonth)
+  };
+}
+
+export { getFacets, getMonthBucket };
@@ -0,0 +1,84 @@
+/**
+ * Edit-distance helpers for typo-tolerant term matching
+ */
+
+/**
+ * Number of typos tolerated in a query term of the given length.
+ * Short terms must match exactly, otherwise "cat" would also find "car" and "hat".
+ */
+function maxEditsFor(term) {
+  if (term.length <= 3) return 0;
+  if (term.length <= 7) return 1;
+  return 2;
+}
+
+/**
+ * Damerau-Levenshtein distance (optimal string alignment): insertions,
+ * deletions, substitutions and swaps of adjacent characters each cost 1.
+ * Gives up and returns maxDistance + 1 as soon as the distance is known to exceed maxDistance.
+ */
+function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMinimum = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousPrevious[j - 2] + 1);
+      }
+
+      current.push(distance);
+      rowMinimum = Math.min(rowMinimum, distance);
+    }
+
+    if (rowMinimum > maxDistance) {
+      return maxDistance + 1;
+    }
+
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Find the terms of a vocabulary within the tolerated edit distance of a query term.
+ * Returns [{ term, distance }], including the term itself when it is in the vocabulary.
+ */
+function findSimilarTerms(term, vocabulary) {
+  const maxEdits = maxEditsFor(term);
+  const matches = [];
+
+  for (const candidate of vocabulary) {
+    if (candidate === term) {
+      matches.push({ term: candidate, distance: 0 });
+      continue;
+    }
+
+    if (maxEdits === 0) continue;
+
+    const distance = editDistance(term, candidate, maxEdits);
+    if (distance <= maxEdits) {
+      matches.push({ term: candidate, distance });
+    }
+  }
+
+  return matches;
+}
+
+export { editDistance, findSimilarTerms, maxEditsFor };
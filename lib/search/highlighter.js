@@ -0,0 +1,105 @@
+/**
+ * Highlighting of search matches: which fields of an entry matched a query,
+ * and a snippet of the value around the matches.
+ *
+ * Highlights are returned as plain text with character ranges rather than
+ * markup, so clients escape the text as usual and wrap the ranges themselves.
+ */
+
+// Length of the value snippet in words
+const SNIPPET_WORDS = 30;
+const ELLIPSIS = '…';
+
+/**
+ * Find the words of a text whose index term is among the given terms.
+ * Returns the words with their character offsets: [{ start, end, matched }]
+ */
+function findWords(text, terms, analyzer) {
+  const words = [];
+
+  for (const match of (text || '').matchAll(/[\p{L}\p{N}]+/gu)) {
+    const word = match[0].toLowerCase();
+    const matched = !analyzer.stopWords.has(word) && terms.has(analyzer.stem(word));
+    words.push({ start: match.index, end: match.index + match[0].length, matched });
+  }
+
+  return words;
+}
+
+/**
+ * Highlight a short field in full: { text, matches: [[start, end]] }
+ */
+function highlightText(text, terms, analyzer) {
+  const matches = findWords(text, terms, analyzer)
+    .filter(word => word.matched)
+    .map(word => [word.start, word.end]);
+  return { text, matches };
+}
+
+/**
+ * Cut a snippet of about SNIPPET_WORDS words out of a long text, placed to
+ * cover as many matches as possible: { text, matches: [[start, end]] } with
+ * ranges relative to the snippet
+ */
+function extractSnippet(text, terms, analyzer) {
+  const words = findWords(text, terms, analyzer);
+
+  if (words.length <= SNIPPET_WORDS) {
+    return highlightText(text, terms, analyzer);
+  }
+
+  // Slide a window over the words and keep the one with the most matches
+  let count = words.slice(0, SNIPPET_WORDS).filter(word => word.matched).length;
+  let best = { first: 0, count };
+
+  for (let first = 1; first + SNIPPET_WORDS <= words.length; first++) {
+    count += (words[first + SNIPPET_WORDS - 1].matched ? 1 : 0) - (words[first - 1].matched ? 1 : 0);
+    if (count > best.count) best = { first, count };
+  }
+
+  // Start a couple of words before the first match, for context
+  const firstMatch = words.findIndex((word, index) => index >= best.first && word.matched);
+  const first = best.count > 0
+    ? Math.min(Math.max(0, firstMatch - 2), words.length - SNIPPET_WORDS)
+    : 0;
+  const last = first + SNIPPET_WORDS - 1;
+
+  const prefix = first > 0 ? ELLIPSIS : '';
+  const suffix = last < words.length - 1 ? ELLIPSIS : '';
+  const from = first > 0 ? words[first].start : 0;
+  const to = suffix ? words[last].end : text.length;
+  const offset = prefix.length - from;
+
+  return {
+    text: prefix + text.slice(from, to) + suffix,
+    matches: words
+      .slice(first, last + 1)
+      .filter(word => word.matched)
+      .map(word => [word.start + offset, word.end + offset])
+  };
+}
+
+/**
+ * Describe why an entry matched a query.
+ *
+ * @param {Object} entry - Knowledge entry
+ * @param {Set<string>} terms - Index terms the query matches (see Bm25Index#getMatchingTerms)
+ * @param {Analyzer} analyzer - The analyzer the terms came from
+ * @returns {{ matchedFields: string[], highlights: { key, value, tags } }}
+ *   key and value are { text, matches }, value being a snippet; tags lists the matching tags
+ */
+function highlightEntry(entry, terms, analyzer) {
+  const key = highlightText(entry.key, terms, analyzer);
+  const value = extractSnippet(entry.value, terms, analyzer);
+  const tags = (entry.tags || []).filter(tag => highlightText(tag, terms, analyzer).matches.length > 0);
+
+  const matchedFields = [];
+  if (key.matches.length > 0) matchedFields.push('key');
+  // The snippet is placed over the matches, so it has some whenever the value does
+  if (value.matches.length > 0) matchedFields.push('value');
+  if (tags.length > 0) matchedFields.push('tags');
+
+  return { matchedFields, highlights: { key, value, tags } };
+}
+
+export { highlightEntry, extractSnippet, SNIPPET_WORDS };
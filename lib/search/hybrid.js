@@ -0,0 +1,45 @@
+/**
+ * Blending of lexical (BM25) and semantic (embedding) search results
+ */
+
+// Documents only reached through embeddings need at least this cosine similarity,
+// otherwise every query would return the whole knowledge base
+const MIN_SEMANTIC_SIMILARITY = 0.15;
+
+/**
+ * Merge lexical and semantic results into one ranking.
+ * Lexical scores are scaled to 0..1 by the best lexical score, then mixed with
+ * the cosine similarity: score = (1 - semanticWeight) * lexical + semanticWeight * semantic.
+ *
+ * @param {Array<{document, score}>} lexical - BM25 results
+ * @param {Array<{document, score}>} semantic - Vector results (cosine similarity)
+ * @param {number} semanticWeight - Share of the score coming from the semantic side, 0..1
+ * @returns {Array<{document, score, lexicalScore, semanticScore}>} best first
+ */
+function blendResults(lexical, semantic, semanticWeight) {
+  const maxLexical = Math.max(0, ...lexical.map(result => result.score));
+  const merged = new Map();
+
+  for (const { document, score } of lexical) {
+    merged.set(document.id, { document, lexicalScore: score, semanticScore: 0 });
+  }
+
+  for (const { document, score } of semantic) {
+    const existing = merged.get(document.id);
+    if (existing) {
+      existing.semanticScore = score;
+    } else if (score >= MIN_SEMANTIC_SIMILARITY) {
+      merged.set(document.id, { document, lexicalScore: 0, semanticScore: score });
+    }
+  }
+
+  return [...merged.values()]
+    .map(result => ({
+      ...result,
+      score: (1 - semanticWeight) * (maxLexical > 0 ? result.lexicalScore / maxLexical : 0) +
+        semanticWeight * result.semanticScore
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+export { blendResults, MIN_SEMANTIC_SIMILARITY };
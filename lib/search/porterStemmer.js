@@ -0,0 +1,216 @@
+/**
+ * Porter stemming algorithm for English
+ * (M.F. Porter, "An algorithm for suffix stripping", 1980).
+ * Reduces inflected words to a common stem, e.g. "renovations" and
+ * "renovating" both become "renov".
+ */
+
+const STEP2_SUFFIXES = {
+  ational: 'ate',
+  tional: 'tion',
+  enci: 'ence',
+  anci: 'ance',
+  izer: 'ize',
+  bli: 'ble',
+  alli: 'al',
+  entli: 'ent',
+  eli: 'e',
+  ousli: 'ous',
+  ization: 'ize',
+  ation: 'ate',
+  ator: 'ate',
+  alism: 'al',
+  iveness: 'ive',
+  fulness: 'ful',
+  ousness: 'ous',
+  aliti: 'al',
+  iviti: 'ive',
+  biliti: 'ble',
+  logi: 'log'
+};
+
+const STEP3_SUFFIXES = {
+  icate: 'ic',
+  ative: '',
+  alize: 'al',
+  iciti: 'ic',
+  ical: 'ic',
+  ful: '',
+  ness: ''
+};
+
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment',
+  'ent', 'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+/**
+ * Whether the letter at index i is a consonant ("y" after a consonant is a vowel)
+ */
+function isConsonant(word, i) {
+  const letter = word[i];
+  if ('aeiou'.includes(letter)) return false;
+  if (letter === 'y') return i === 0 || !isConsonant(word, i - 1);
+  return true;
+}
+
+/**
+ * The measure m of a stem: the number of vowel-consonant sequences in it
+ */
+function measure(stem) {
+  let count = 0;
+  let i = 0;
+
+  while (i < stem.length && isConsonant(stem, i)) i++;
+
+  while (i < stem.length) {
+    while (i < stem.length && !isConsonant(stem, i)) i++;
+    if (i >= stem.length) break;
+    while (i < stem.length && isConsonant(stem, i)) i++;
+    count++;
+  }
+
+  return count;
+}
+
+function containsVowel(stem) {
+  for (let i = 0; i < stem.length; i++) {
+    if (!isConsonant(stem, i)) return true;
+  }
+  return false;
+}
+
+function endsWithDoubleConsonant(word) {
+  const last = word.length - 1;
+  return last > 0 && word[last] === word[last - 1] && isConsonant(word, last);
+}
+
+/**
+ * Whether the word ends consonant-vowel-consonant, the last not w, x or y
+ */
+function endsCvc(word) {
+  const last = word.length - 1;
+  return last >= 2 &&
+    isConsonant(word, last - 2) &&
+    !isConsonant(word, last - 1) &&
+    isConsonant(word, last) &&
+    !'wxy'.includes(word[last]);
+}
+
+/**
+ * Replace a suffix when the remaining stem satisfies the condition.
+ * Returns the new word, or null when the suffix does not apply.
+ */
+function replaceSuffix(word, suffix, replacement, condition) {
+  if (!word.endsWith(suffix)) return null;
+  const stem = word.slice(0, -suffix.length);
+  return condition(stem) ? stem + replacement : word;
+}
+
+function step1a(word) {
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (word.endsWith('ies')) return word.slice(0, -2);
+  if (word.endsWith('ss')) return word;
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+function step1b(word) {
+  if (word.endsWith('eed')) {
+    return measure(word.slice(0, -3)) > 0 ? word.slice(0, -1) : word;
+  }
+
+  let stem = null;
+  if (word.endsWith('ed') && containsVowel(word.slice(0, -2))) {
+    stem = word.slice(0, -2);
+  } else if (word.endsWith('ing') && containsVowel(word.slice(0, -3))) {
+    stem = word.slice(0, -3);
+  }
+
+  if (stem === null) return word;
+
+  if (stem.endsWith('at') || stem.endsWith('bl') || stem.endsWith('iz')) {
+    return stem + 'e';
+  }
+  if (endsWithDoubleConsonant(stem) && !'lsz'.includes(stem[stem.length - 1])) {
+    return stem.slice(0, -1);
+  }
+  if (measure(stem) === 1 && endsCvc(stem)) {
+    return stem + 'e';
+  }
+  return stem;
+}
+
+function step1c(word) {
+  if (word.endsWith('y') && containsVowel(word.slice(0, -1))) {
+    return word.slice(0, -1) + 'i';
+  }
+  return word;
+}
+
+function step2(word) {
+  for (const [suffix, replacement] of Object.entries(STEP2_SUFFIXES)) {
+    const result = replaceSuffix(word, suffix, replacement, stem => measure(stem) > 0);
+    if (result !== null) return result;
+  }
+  return word;
+}
+
+function step3(word) {
+  for (const [suffix, replacement] of Object.entries(STEP3_SUFFIXES)) {
+    const result = replaceSuffix(word, suffix, replacement, stem => measure(stem) > 0);
+    if (result !== null) return result;
+  }
+  return word;
+}
+
+function step4(word) {
+  // Longest matching suffix wins, e.g. "ement" before "ment" before "ent"
+  const suffix = STEP4_SUFFIXES
+    .filter(candidate => word.endsWith(candidate))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (!suffix) return word;
+
+  const stem = word.slice(0, -suffix.length);
+  if (measure(stem) <= 1) return word;
+  if (suffix === 'ion' && !(stem.endsWith('s') || stem.endsWith('t'))) return word;
+  return stem;
+}
+
+function step5(word) {
+  if (word.endsWith('e')) {
+    const stem = word.slice(0, -1);
+    const m = measure(stem);
+    if (m > 1 || (m === 1 && !endsCvc(stem))) {
+      word = stem;
+    }
+  }
+
+  if (measure(word) > 1 && endsWithDoubleConsonant(word) && word.endsWith('l')) {
+    word = word.slice(0, -1);
+  }
+
+  return word;
+}
+
+/**
+ * Stem a lowercase English word. Words of one or two letters and words
+ * containing anything but a-z (numbers, accented words) are returned unchanged.
+ */
+function stem(word) {
+  if (word.length <= 2 || !/^[a-z]+$/.test(word)) {
+    return word;
+  }
+
+  let result = step1a(word);
+  result = step1b(result);
+  result = step1c(result);
+  result = step2(result);
+  result = step3(result);
+  result = step4(result);
+  result = step5(result);
+  return result;
+}
+
+export { stem };
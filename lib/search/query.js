@@ -0,0 +1,375 @@
+/**
+ * Query syntax for admin search:
+ *
+ *   renovation cost          words (all must match unless joined with OR)
+ *   "commercial project"     exact phrase
+ *   kitchen OR bathroom      either side
+ *   NOT residential          also written -residential
+ *   (a OR b) c               grouping
+ *   key:pricing              word or "phrase" in one field (key, value)
+ *   tag:pricing              entries carrying a tag
+ *   updated:>2024-06-01      date filters on created/updated with >, >=, <, <=
+ *                            or a bare YYYY, YYYY-MM or YYYY-MM-DD for that period
+ *
+ * Parsing throws an Error whose message points at the problem; queries made
+ * of plain words only are flagged so they can keep the ranked keyword search.
+ */
+
+import { tokenize } from './analyzer.js';
+
+const TEXT_FIELDS = ['key', 'value'];
+const TAG_FIELDS = ['tag', 'tags'];
+const DATE_FIELDS = { created: 'createdAt', updated: 'updatedAt' };
+const FIELD_NAMES = [...TEXT_FIELDS, ...TAG_FIELDS, ...Object.keys(DATE_FIELDS)];
+
+/**
+ * Split a query into tokens: ( ) AND OR NOT, words, phrases and field filters
+ */
+function lex(query) {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = () => {
+    const start = i;
+    const end = query.indexOf('"', i + 1);
+    if (end === -1) {
+      throw new Error(`Unterminated quote at position ${start + 1}`);
+    }
+
+    const text = query.slice(start + 1, end).trim();
+    if (!text) {
+      throw new Error(`Empty phrase at position ${start + 1}`);
+    }
+
+    i = end + 1;
+    return text;
+  };
+
+  while (i < query.length) {
+    const char = query[i];
+    const position = i + 1;
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position });
+      i++;
+    } else if (char === '"') {
+      tokens.push({ type: 'phrase', text: readQuoted(), position });
+    } else if (char === '-' && i + 1 < query.length && !/[\s)]/.test(query[i + 1])) {
+      tokens.push({ type: 'NOT', position });
+      i++;
+    } else {
+      const word = query.slice(i).match(/^[^\s()"]+/)[0];
+      i += word.length;
+
+      const field = word.match(/^([a-z]+):(.*)$/i);
+      if (field) {
+        const name = field[1].toLowerCase();
+        let value = field[2];
+        let quoted = false;
+
+        if (!FIELD_NAMES.includes(name)) {
+          throw new Error(
+            `Unknown field "${field[1]}:" at position ${position}. ` +
+            'Use key:, value:, tag:, created: or updated:, or quote the text to search for it'
+          );
+        }
+
+        if (!value && query[i] === '"') {
+          value = readQuoted();
+          quoted = true;
+        }
+
+        if (!value) {
+          throw new Error(`Missing value after "${name}:" at position ${position}`);
+        }
+
+        tokens.push({ type: 'field', name, value, quoted, position });
+      } else if (word === 'AND' || word === 'OR' || word === 'NOT') {
+        tokens.push({ type: word, position });
+      } else {
+        tokens.push({ type: 'word', text: word, position });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a date filter value into a comparison over a half-open time range
+ * [start, end) covering the year, month or day given
+ */
+function parseDateFilter(field, value, position) {
+  const [, operator = '', date] = value.match(/^(>=|<=|>|<)?(.*)$/);
+  const parts = date.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+
+  if (!parts) {
+    throw new Error(
+      `Invalid date "${date}" for "${field}:" at position ${position}. Use YYYY, YYYY-MM or YYYY-MM-DD`
+    );
+  }
+
+  const [, year, month, day] = parts.map(part => part && parseInt(part, 10));
+  const start = new Date(Date.UTC(year, (month || 1) - 1, day || 1));
+
+  if (start.getUTCMonth() !== (month || 1) - 1 || start.getUTCDate() !== (day || 1)) {
+    throw new Error(`Invalid date "${date}" for "${field}:" at position ${position}`);
+  }
+
+  const end = new Date(start);
+  if (day) {
+    end.setUTCDate(end.getUTCDate() + 1);
+  } else if (month) {
+    end.setUTCMonth(end.getUTCMonth() + 1);
+  } else {
+    end.setUTCFullYear(end.getUTCFullYear() + 1);
+  }
+
+  return {
+    type: 'date',
+    field: DATE_FIELDS[field],
+    operator: operator || '=',
+    start: start.toISOString(),
+    end: end.toISOString()
+  };
+}
+
+/**
+ * Turn a field token into a filter node
+ */
+function fieldNode(token) {
+  if (DATE_FIELDS[token.name]) {
+    return parseDateFilter(token.name, token.value, token.position);
+  }
+
+  if (TAG_FIELDS.includes(token.name)) {
+    return { type: 'tag', value: token.value.toLowerCase() };
+  }
+
+  return { type: token.quoted ? 'phrase' : 'word', text: token.value, field: token.name };
+}
+
+/**
+ * Check whether a query looks for something rather than only excluding:
+ * NOT alone would match nearly every entry, and words without letters or
+ * digits ("-", "&") match nothing.
+ */
+function hasSearchTerm(node) {
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      return node.children.some(hasSearchTerm);
+    case 'not':
+      return false;
+    case 'word':
+    case 'phrase':
+      return tokenize(node.text).length > 0;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Parse a query into a tree of and / or / not / word / phrase / tag / date nodes.
+ * Returns { tree, plain } where plain is true for queries of bare words only.
+ * Throws an Error describing the first problem found.
+ */
+function parseQuery(query) {
+  const tokens = lex(query || '');
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const describe = token => `"${token.text || token.value || token.type}" at position ${token.position}`;
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      const operator = tokens[index++];
+      if (!peek() || peek().type === ')' || peek().type === 'OR' || peek().type === 'AND') {
+        throw new Error(`Expected a search term after OR at position ${operator.position}`);
+      }
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [parseUnary()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') {
+        const operator = tokens[index++];
+        if (!peek() || peek().type === ')' || peek().type === 'OR' || peek().type === 'AND') {
+          throw new Error(`Expected a search term after AND at position ${operator.position}`);
+        }
+      }
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token && token.type === 'NOT') {
+      index++;
+      if (!peek() || ['AND', 'OR', ')'].includes(peek().type)) {
+        throw new Error(`Expected a search term after NOT at position ${token.position}`);
+      }
+      return { type: 'not', child: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[index++];
+
+    if (!token) {
+      throw new Error('Unexpected end of query');
+    }
+
+    switch (token.type) {
+      case '(': {
+        if (peek() && peek().type === ')') {
+          throw new Error(`Empty parentheses at position ${token.position}`);
+        }
+        const node = parseOr();
+        if (!peek() || peek().type !== ')') {
+          throw new Error(`Missing ")" for "(" at position ${token.position}`);
+        }
+        index++;
+        return node;
+      }
+      case 'word':
+        return { type: 'word', text: token.text };
+      case 'phrase':
+        return { type: 'phrase', text: token.text };
+      case 'field':
+        return fieldNode(token);
+      default:
+        throw new Error(`Unexpected ${describe(token)}`);
+    }
+  };
+
+  if (tokens.length === 0) {
+    throw new Error('Search query is empty');
+  }
+
+  const tree = parseOr();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected ${describe(peek())}`);
+  }
+
+  if (!hasSearchTerm(tree)) {
+    throw new Error(tokens.some(token => token.type === 'NOT')
+      ? 'Search query only excludes terms; add a word, phrase or filter to search for'
+      : 'Search query has no words to search for');
+  }
+
+  return { tree, plain: tokens.every(token => token.type === 'word') };
+}
+
+/**
+ * Collect the words and phrases a query looks for (outside NOT), used to rank
+ * the entries that pass the query
+ */
+function getRankingText(node) {
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      return node.children.map(getRankingText).filter(Boolean).join(' ');
+    case 'word':
+    case 'phrase':
+      return node.text;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Decides whether entries match a parsed query. Words match by stem (the same
+ * analysis search uses, without typo tolerance or synonyms); phrases match the
+ * exact word sequence.
+ */
+class QueryMatcher {
+  /**
+   * @param {Analyzer} analyzer - Reduces words to their index terms
+   */
+  constructor(analyzer) {
+    this.analyzer = analyzer;
+    // entry -> field -> { terms, text }
+    this.cache = new WeakMap();
+  }
+
+  /**
+   * Get the analyzed form of an entry field, or of all text fields when field is omitted
+   */
+  getField(entry, field = 'all') {
+    let fields = this.cache.get(entry);
+    if (!fields) {
+      fields = {};
+      this.cache.set(entry, fields);
+    }
+
+    if (!fields[field]) {
+      const text = field === 'all'
+        ? [entry.key, (entry.tags || []).join(' '), entry.value].join('\n')
+        : entry[field] || '';
+      fields[field] = {
+        terms: new Set(this.analyzer.analyze(text)),
+        text: ` ${tokenize(text).join(' ')} `
+      };
+    }
+
+    return fields[field];
+  }
+
+  matches(node, entry) {
+    switch (node.type) {
+      case 'and':
+        return node.children.every(child => this.matches(child, entry));
+      case 'or':
+        return node.children.some(child => this.matches(child, entry));
+      case 'not':
+        return !this.matches(node.child, entry);
+      case 'word': {
+        const field = this.getField(entry, node.field);
+        const terms = this.analyzer.analyze(node.text);
+        // Stop words have no index term; look for the word itself
+        return terms.length > 0
+          ? terms.every(term => field.terms.has(term))
+          : this.containsWords(field.text, node.text);
+      }
+      case 'phrase':
+        return this.containsWords(this.getField(entry, node.field).text, node.text);
+      case 'tag':
+        return (entry.tags || []).some(tag => tag.toLowerCase() === node.value);
+      case 'date':
+        return this.matchesDate(entry[node.field], node);
+      default:
+        return false;
+    }
+  }
+
+  containsWords(fieldText, text) {
+    const words = tokenize(text);
+    return words.length > 0 && fieldText.includes(` ${words.join(' ')} `);
+  }
+
+  matchesDate(value, { operator, start, end }) {
+    if (!value) {
+      return false;
+    }
+
+    const time = new Date(value).toISOString();
+    switch (operator) {
+      case '>': return time >= end;
+      case '>=': return time >= start;
+      case '<': return time < start;
+      case '<=': return time < end;
+      default: return time >= start && time < end;
+    }
+  }
+}
+
+export { QueryMatcher, getRankingText, parseQuery };
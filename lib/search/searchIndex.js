@@ -0,0 +1,148 @@
+/**
+ * Search over knowledge entries: each entry is split into passages, which are
+ * indexed lexically (BM25) and, when an embedder is given, as vectors
+ */
+
+import { Bm25Index } from './bm25Index.js';
+import { VectorIndex } from './vectorIndex.js';
+import { blendResults } from './hybrid.js';
+import { getPassages, DEFAULT_PASSAGE_WORDS } from './chunker.js';
+import { getEmbeddingFingerprint, getEmbeddingText } from './embeddings.js';
+
+class SearchIndex {
+  /**
+   * @param {Object} options
+   * @param {Analyzer} options.analyzer - Text analysis shared by indexing and queries
+   * @param {Object} [options.embedder] - Embedding function; without one only lexical search is done
+   * @param {number} [options.semanticWeight] - Share of the blended score that comes from embedding similarity
+   * @param {number} [options.passageWords] - Maximum passage length in words
+   */
+  constructor(options) {
+    this.analyzer = options.analyzer;
+    this.embedder = options.embedder || null;
+    this.semanticWeight = options.semanticWeight ?? 0.4;
+    this.passageWords = options.passageWords || DEFAULT_PASSAGE_WORDS;
+
+    this.lexical = new Bm25Index({ analyzer: this.analyzer });
+    this.vectors = this.embedder ? new VectorIndex() : null;
+    // entry ID -> { entry, passageIds }
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Add an entry, replacing any previous version of it.
+   * Stored embeddings whose fingerprint still matches are reused instead of recomputed.
+   * Returns true when new embeddings were computed (so they should be saved).
+   */
+  async addEntry(entry, storedEmbeddings = {}) {
+    this.removeEntry(entry.id);
+
+    const passages = getPassages(entry, this.passageWords);
+    let embedded = false;
+
+    for (const passage of passages) {
+      this.lexical.add(passage);
+
+      if (this.vectors) {
+        const fingerprint = getEmbeddingFingerprint(passage, this.embedder);
+        const cached = storedEmbeddings[passage.id];
+        let vector;
+
+        if (cached && cached.fingerprint === fingerprint) {
+          vector = cached.vector;
+        } else {
+          vector = await this.embedder.embed(getEmbeddingText(passage));
+          embedded = true;
+        }
+
+        this.vectors.add(passage, vector, fingerprint);
+      }
+    }
+
+    this.entries.set(entry.id, { entry, passageIds: passages.map(passage => passage.id) });
+    return embedded;
+  }
+
+  /**
+   * Remove an entry and its passages. Unknown IDs are ignored.
+   */
+  removeEntry(id) {
+    const indexed = this.entries.get(id);
+    if (!indexed) {
+      return;
+    }
+
+    for (const passageId of indexed.passageIds) {
+      this.lexical.remove(passageId);
+      if (this.vectors) this.vectors.remove(passageId);
+    }
+
+    this.entries.delete(id);
+  }
+
+  /**
+   * Stored form of the passage embeddings: { passageId: { fingerprint, vector } }
+   */
+  toEmbeddings() {
+    return this.vectors ? this.vectors.toEmbeddings() : {};
+  }
+
+  /**
+   * Index terms a query matches, for highlighting
+   */
+  getMatchingTerms(query) {
+    return this.lexical.getMatchingTerms(query);
+  }
+
+  /**
+   * Rank passages against a query.
+   * Returns [{ passage, score, lexicalScore?, semanticScore? }], best first;
+   * the semantic fields are only present when an embedder is configured.
+   */
+  async searchPassages(query, limit = 10) {
+    if (!this.vectors) {
+      return this.lexical
+        .search(query, limit)
+        .map(({ document, score }) => ({ passage: document, score }));
+    }
+
+    const queryVector = await this.embedder.embed(query);
+    const lexical = this.lexical.search(query, Infinity);
+    const semantic = this.vectors.search(queryVector, Infinity);
+
+    return blendResults(lexical, semantic, this.semanticWeight)
+      .slice(0, limit)
+      .map(({ document, score, lexicalScore, semanticScore }) => ({
+        passage: document,
+        score,
+        lexicalScore,
+        semanticScore
+      }));
+  }
+
+  /**
+   * Rank whole entries against a query; an entry scores as its best passage.
+   * Returns [{ entry, passage, score, lexicalScore?, semanticScore? }], best first.
+   */
+  async searchEntries(query, limit = 10) {
+    const results = [];
+    const seen = new Set();
+
+    for (const result of await this.searchPassages(query, Infinity)) {
+      const { entryId } = result.passage;
+      if (seen.has(entryId)) continue;
+      seen.add(entryId);
+
+      results.push({ ...result, entry: this.entries.get(entryId).entry });
+      if (results.length >= limit) break;
+    }
+
+    return results;
+  }
+}
+
+export { SearchIndex };
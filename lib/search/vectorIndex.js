@@ -0,0 +1,61 @@
+/**
+ * In-memory nearest-neighbour index over document embeddings (exhaustive cosine search,
+ * which is fast enough for knowledge bases of a few thousand entries)
+ */
+
+import { cosineSimilarity } from './embeddings.js';
+
+class VectorIndex {
+  constructor() {
+    // document ID -> { document, fingerprint, vector }
+    this.documents = new Map();
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Add a document with its embedding, replacing any previous version of it
+   */
+  add(document, vector, fingerprint) {
+    this.documents.set(document.id, { document, fingerprint, vector });
+  }
+
+  /**
+   * Remove a document from the index. Unknown IDs are ignored.
+   */
+  remove(id) {
+    this.documents.delete(id);
+  }
+
+  /**
+   * Stored form of the index: { documentId: { fingerprint, vector } }
+   */
+  toEmbeddings() {
+    return Object.fromEntries(
+      [...this.documents].map(([id, { fingerprint, vector }]) => [id, { fingerprint, vector }])
+    );
+  }
+
+  /**
+   * Find the documents most similar to a query vector.
+   * Returns [{ document, score }] with cosine similarity of at least minSimilarity, best first.
+   */
+  search(queryVector, limit = 10, minSimilarity = 0) {
+    const results = [];
+
+    for (const { document, vector } of this.documents.values()) {
+      const score = cosineSimilarity(queryVector, vector);
+      if (score >= minSimilarity && score > 0) {
+        results.push({ document, score });
+      }
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+export { VectorIndex };
@@ -0,0 +1,129 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { acquireFileLock } from '../fileLock.js';
+
+/**
+ * Session store that keeps every conversation in one JSON file. Updates
+ * take a lock file, so processes on the same host share sessions safely.
+ * Each update rewrites the whole file, which suits small deployments.
+ */
+class FileSessionStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - JSON file holding the sessions
+   * @param {number} [options.ttlMs] - Sessions expire this long after their last update
+   * @param {number} [options.maxSessions] - Least recently updated sessions are evicted beyond this
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'chat-sessions.json');
+    this.lockPath = `${this.filePath}.lock`;
+    this.ttlMs = options.ttlMs;
+    this.maxSessions = options.maxSessions;
+    this.now = options.now || Date.now;
+  }
+
+  /**
+   * Read all sessions: Map of sessionId -> { conversation, updatedAt }.
+   * A Map, because session IDs come from clients and may be "__proto__".
+   */
+  async load() {
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      return new Map(Object.entries(parsed.sessions || {}));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return new Map();
+      }
+      if (error instanceof SyntaxError) {
+        // Conversations are disposable; start over rather than fail every chat
+        console.error('Chat session file is corrupted, starting with no sessions:', error.message);
+        return new Map();
+      }
+      throw error;
+    }
+  }
+
+  async save(sessions) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    // Write to temporary file first, then rename (atomic operation)
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ sessions: Object.fromEntries(sessions) }), 'utf8');
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  isExpired(session) {
+    return this.now() - session.updatedAt > this.ttlMs;
+  }
+
+  async get(sessionId) {
+    const session = (await this.load()).get(sessionId);
+    if (!session || this.isExpired(session)) {
+      return null;
+    }
+    return session.conversation;
+  }
+
+  /**
+   * Replace a session's conversation with updater(current), where current is
+   * null for a new or expired session. The updater must be synchronous.
+   */
+  async update(sessionId, updater) {
+    return this.withLock(async () => {
+      const sessions = await this.load();
+      const session = sessions.get(sessionId);
+      const current = session && !this.isExpired(session) ? session.conversation : null;
+
+      const conversation = updater(current);
+      sessions.set(sessionId, { conversation, updatedAt: this.now() });
+      this.prune(sessions);
+      await this.save(sessions);
+
+      return conversation;
+    });
+  }
+
+  async delete(sessionId) {
+    return this.withLock(async () => {
+      const sessions = await this.load();
+      if (!sessions.delete(sessionId)) {
+        return false;
+      }
+      await this.save(sessions);
+      return true;
+    });
+  }
+
+  async withLock(operation) {
+    const release = await acquireFileLock(this.lockPath);
+    try {
+      return await operation();
+    } finally {
+      await release();
+    }
+  }
+
+  /**
+   * Remove expired sessions from the map, then evict the least recently
+   * updated ones beyond maxSessions. Returns the number of sessions removed.
+   */
+  prune(sessions) {
+    const live = [...sessions]
+      .filter(([, session]) => !this.isExpired(session))
+      .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+      .slice(0, this.maxSessions);
+    const keep = new Set(live.map(([sessionId]) => sessionId));
+
+    let removed = 0;
+    for (const sessionId of [...sessions.keys()]) {
+      if (!keep.has(sessionId)) {
+        sessions.delete(sessionId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+export default FileSessionStore;
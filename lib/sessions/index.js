@@ -0,0 +1,50 @@
+import FileSessionStore from './fileSessionStore.js';
+import SqliteSessionStore from './sqliteSessionStore.js';
+import MemorySessionStore from './memorySessionStore.js';
+
+/**
+ * A session store keeps chat conversations between requests. Every store
+ * implements:
+ *
+ * - get(sessionId) -> conversation, or null for an unknown or expired session
+ * - update(sessionId, updater) -> stores and returns updater(current), run
+ *     atomically so concurrent requests of a session do not lose updates
+ * - delete(sessionId) -> whether the session existed
+ *
+ * Sessions expire ttlMs after their last update, and the least recently
+ * updated sessions are evicted once there are more than maxSessions. Reads
+ * do not count as use: every chat message updates its session anyway, and
+ * the file store would otherwise rewrite its file on every read.
+ */
+const stores = {
+  file: FileSessionStore,
+  sqlite: SqliteSessionStore,
+  memory: MemorySessionStore
+};
+
+/**
+ * Create the chat session store selected by configuration.
+ *
+ * Environment variables:
+ * - CHAT_SESSION_STORE: "file" (default), "sqlite" or "memory"
+ * - CHAT_SESSION_PATH: path of the JSON file or database of the store
+ * - CHAT_SESSION_TTL_MINUTES: minutes of inactivity before a session expires (default 1440)
+ * - CHAT_SESSION_MAX: maximum number of stored sessions (default 1000)
+ */
+function createSessionStore(options = {}) {
+  const type = (options.type || process.env.CHAT_SESSION_STORE || 'file').toLowerCase();
+  const Store = stores[type];
+
+  if (!Store) {
+    throw new Error(`Unknown chat session store "${type}". Expected one of: ${Object.keys(stores).join(', ')}`);
+  }
+
+  return new Store({
+    ...options,
+    filePath: options.filePath || process.env.CHAT_SESSION_PATH,
+    ttlMs: options.ttlMs ?? parseInt(process.env.CHAT_SESSION_TTL_MINUTES || '1440') * 60 * 1000,
+    maxSessions: options.maxSessions ?? parseInt(process.env.CHAT_SESSION_MAX || '1000')
+  });
+}
+
+export { createSessionStore, FileSessionStore, SqliteSessionStore, MemorySessionStore };
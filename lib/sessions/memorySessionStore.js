@@ -0,0 +1,77 @@
+/**
+ * Session store that keeps conversations in process memory. Sessions are
+ * lost on restart and not shared between instances, which makes it suitable
+ * for tests and throwaway development sessions.
+ */
+class MemorySessionStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] - Sessions expire this long after their last update
+   * @param {number} [options.maxSessions] - Least recently updated sessions are evicted beyond this
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs;
+    this.maxSessions = options.maxSessions;
+    this.now = options.now || Date.now;
+    // Map order is update order, least recent first
+    this.sessions = new Map();
+  }
+
+  clone(value) {
+    return value == null ? value : JSON.parse(JSON.stringify(value));
+  }
+
+  isExpired(session) {
+    return this.now() - session.updatedAt > this.ttlMs;
+  }
+
+  // Synchronous, so an update cannot interleave with another one
+  read(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || this.isExpired(session)) {
+      return null;
+    }
+    return this.clone(session.conversation);
+  }
+
+  async get(sessionId) {
+    return this.read(sessionId);
+  }
+
+  /**
+   * Replace a session's conversation with updater(current), where current is
+   * null for a new or expired session. The updater must be synchronous.
+   */
+  async update(sessionId, updater) {
+    const current = this.read(sessionId);
+    const conversation = this.clone(updater(current));
+
+    this.sessions.delete(sessionId);
+    this.sessions.set(sessionId, { conversation, updatedAt: this.now() });
+    this.prune();
+
+    return this.clone(conversation);
+  }
+
+  async delete(sessionId) {
+    return this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Remove expired sessions, then evict the least recently updated ones
+   * beyond maxSessions. Returns the number of sessions removed.
+   */
+  prune() {
+    let removed = 0;
+    for (const [sessionId, session] of this.sessions) {
+      if (this.isExpired(session) || this.sessions.size > this.maxSessions) {
+        this.sessions.delete(sessionId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+export default MemorySessionStore;
@@ -0,0 +1,127 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Schema migrations, applied in order and tracked with PRAGMA user_version
+const MIGRATIONS = [
+  `CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    conversation TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS sessions_updated_at ON sessions (updated_at);`
+];
+
+/**
+ * Session store backed by an embedded SQLite database (better-sqlite3).
+ * Each update touches one row inside a transaction, so any number of
+ * processes can share the database file.
+ */
+class SqliteSessionStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - Database file, or ":memory:"
+   * @param {number} [options.ttlMs] - Sessions expire this long after their last update
+   * @param {number} [options.maxSessions] - Least recently updated sessions are evicted beyond this
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'chat-sessions.sqlite');
+    this.ttlMs = options.ttlMs;
+    this.maxSessions = options.maxSessions;
+    this.now = options.now || Date.now;
+    this.db = null;
+    this.initPromise = null;
+  }
+
+  /**
+   * Open the database and run pending migrations (once per instance)
+   */
+  async ready() {
+    if (!this.initPromise) {
+      this.initPromise = this.initialize().catch(error => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+    await this.initPromise;
+    return this.db;
+  }
+
+  async initialize() {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error('SQLite session storage requires the "better-sqlite3" package. Install it with: npm install better-sqlite3');
+    }
+
+    if (this.filePath !== ':memory:') {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    }
+
+    const db = new Database(this.filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+
+    const currentVersion = db.pragma('user_version', { simple: true });
+    for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+      db.transaction(() => {
+        db.exec(MIGRATIONS[version]);
+        db.pragma(`user_version = ${version + 1}`);
+      })();
+    }
+
+    this.db = db;
+  }
+
+  async get(sessionId) {
+    const db = await this.ready();
+    const row = db.prepare('SELECT conversation FROM sessions WHERE id = ? AND updated_at >= ?')
+      .get(sessionId, this.now() - this.ttlMs);
+    return row ? JSON.parse(row.conversation) : null;
+  }
+
+  /**
+   * Replace a session's conversation with updater(current), where current is
+   * null for a new or expired session. The updater must be synchronous.
+   */
+  async update(sessionId, updater) {
+    const db = await this.ready();
+
+    // IMMEDIATE takes the write lock before reading, so concurrent updates queue up
+    return db.transaction(() => {
+      const row = db.prepare('SELECT conversation FROM sessions WHERE id = ? AND updated_at >= ?')
+        .get(sessionId, this.now() - this.ttlMs);
+
+      const conversation = updater(row ? JSON.parse(row.conversation) : null);
+      db.prepare(`
+        INSERT INTO sessions (id, conversation, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT (id) DO UPDATE SET conversation = excluded.conversation, updated_at = excluded.updated_at
+      `).run(sessionId, JSON.stringify(conversation), this.now());
+      this.prune(db);
+
+      return conversation;
+    }).immediate();
+  }
+
+  async delete(sessionId) {
+    const db = await this.ready();
+    return db.prepare('DELETE FROM sessions WHERE id = ?').run(sessionId).changes > 0;
+  }
+
+  /**
+   * Remove expired sessions, then evict the least recently updated ones
+   * beyond maxSessions. Returns the number of sessions removed.
+   */
+  prune(db) {
+    const expired = db.prepare('DELETE FROM sessions WHERE updated_at < ?').run(this.now() - this.ttlMs).changes;
+    const evicted = db.prepare(`
+      DELETE FROM sessions WHERE id NOT IN (
+        SELECT id FROM sessions ORDER BY updated_at DESC LIMIT ?
+      )
+    `).run(this.maxSessions).changes;
+    return expired + evicted;
+  }
+}
+
+export default SqliteSessionStore;
@@ -0,0 +1,60 @@
+/**
+ * Server-Sent Events helpers for streaming API responses
+ */
+
+// Headers for a text/event-stream response
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache, no-transform',
+  'Connection': 'keep-alive',
+  // Ask proxies such as nginx not to buffer the stream
+  'X-Accel-Buffering': 'no'
+};
+
+/**
+ * Format one event: `event: <name>` followed by the JSON-encoded data
+ */
+function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Create an event stream to return as a response body.
+ * Events sent before the client starts reading are buffered.
+ *
+ * @returns {{ stream: ReadableStream, send: Function, close: Function }}
+ */
+function createEventStream() {
+  const encoder = new TextEncoder();
+  let controller;
+  let closed = false;
+
+  const stream = new ReadableStream({
+    start(streamController) {
+      controller = streamController;
+    },
+    cancel() {
+      // The client went away; later events are dropped
+      closed = true;
+    }
+  });
+
+  return {
+    stream,
+
+    send(event, data) {
+      if (!closed) {
+        controller.enqueue(encoder.encode(formatEvent(event, data)));
+      }
+    },
+
+    close() {
+      if (!closed) {
+        closed = true;
+        controller.close();
+      }
+    }
+  };
+}
+
+export { SSE_HEADERS, createEventStream, formatEvent };
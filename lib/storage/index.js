@@ -0,0 +1,35 @@
+import JsonFileAdapter from './jsonFileAdapter.js';
+import SqliteAdapter from './sqliteAdapter.js';
+import MemoryAdapter from './memoryAdapter.js';
+
+const adapters = {
+  json: JsonFileAdapter,
+  sqlite: SqliteAdapter,
+  memory: MemoryAdapter
+};
+
+/**
+ * Create the knowledge base storage adapter selected by configuration.
+ *
+ * Environment variables:
+ * - KB_STORAGE: "json" (default), "sqlite" or "memory"
+ * - KB_JSON_PATH: path of the JSON file used by the json adapter
+ * - KB_SQLITE_PATH: path of the database file used by the sqlite adapter
+ * - KB_MAX_REVISIONS: revision records kept per entry, oldest dropped first (default 50, 0 keeps all)
+ */
+function createStorageAdapter(options = {}) {
+  const type = (options.type || process.env.KB_STORAGE || 'json').toLowerCase();
+  const Adapter = adapters[type];
+
+  if (!Adapter) {
+    throw new Error(`Unknown knowledge base storage "${type}". Expected one of: ${Object.keys(adapters).join(', ')}`);
+  }
+
+  const filePath = options.filePath || (type === 'sqlite' ? process.env.KB_SQLITE_PATH : process.env.KB_JSON_PATH);
+
+  const maxRevisions = options.maxRevisions ?? parseInt(process.env.KB_MAX_REVISIONS || '50', 10);
+
+  return new Adapter({ ...options, filePath, maxRevisions });
+}
+
+export { createStorageAdapter, JsonFileAdapter, SqliteAdapter, MemoryAdapter };
@@ -0,0 +1,354 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Storage adapter that keeps the whole knowledge base in a single JSON file.
+ * Every write re-reads and rewrites the file, which is fine for small
+ * knowledge bases and keeps the data easy to edit by hand.
+ */
+class JsonFileAdapter {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'knowledge-base.json');
+    this.backupDir = options.backupDir || path.join(process.cwd(), 'backups');
+    // Lock file shared by every process writing to this knowledge base
+    this.lockPath = options.lockPath || `${this.filePath}.lock`;
+    // Search embeddings live in a sidecar file so the main file stays easy to edit by hand
+    this.embeddingsPath = options.embeddingsPath || this.filePath.replace(/\.json$/, '') + '.embeddings.json';
+    // Revision records kept per entry; each holds a full copy of the entry (0 keeps all)
+    this.maxRevisions = options.maxRevisions ?? 50;
+  }
+
+  /**
+   * Ensure the data directory exists
+   */
+  async ensureDataDirectory() {
+    const dataDir = path.dirname(this.filePath);
+    try {
+      await fs.access(dataDir);
+    } catch (error) {
+      await fs.mkdir(dataDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Load knowledge base from JSON file
+   */
+  async loadKnowledgeBase() {
+    const maxRetries = 3;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        await this.ensureDataDirectory();
+        const data = await fs.readFile(this.filePath, 'utf8');
+
+        // Validate JSON format
+        const parsed = JSON.parse(data);
+
+        // Handle legacy format (array) vs new format (object with entries)
+        if (Array.isArray(parsed)) {
+          const knowledgeBase = {
+            entries: parsed,
+            lastUpdated: new Date().toISOString(),
+            version: '1.0'
+          };
+          // Migrate to new format
+          await this.saveKnowledgeBase(knowledgeBase);
+          return knowledgeBase;
+        }
+
+        // Validate structure
+        if (!parsed.entries || !Array.isArray(parsed.entries)) {
+          throw new Error('Invalid knowledge base format: entries must be an array');
+        }
+
+        return parsed;
+
+      } catch (error) {
+        lastError = error;
+
+        if (error.code === 'ENOENT') {
+          // File doesn't exist, create empty knowledge base
+          const emptyKB = {
+            entries: [],
+            lastUpdated: new Date().toISOString(),
+            version: '1.0'
+          };
+          await this.saveKnowledgeBase(emptyKB);
+          return emptyKB;
+        }
+
+        if (error instanceof SyntaxError) {
+          console.error(`JSON parse error (attempt ${attempt}):`, error.message);
+
+          if (attempt < maxRetries) {
+            // Try to recover by creating backup and resetting
+            await this.createCorruptionBackup();
+            const emptyKB = {
+              entries: [],
+              lastUpdated: new Date().toISOString(),
+              version: '1.0',
+              recovered: true
+            };
+            await this.saveKnowledgeBase(emptyKB);
+            return emptyKB;
+          }
+        }
+
+        if (attempt < maxRetries) {
+          console.warn(`Knowledge base load attempt ${attempt} failed, retrying...`);
+          await new Promise(resolve => setTimeout(resolve, 100 * attempt));
+          continue;
+        }
+      }
+    }
+
+    throw new Error(`Failed to load knowledge base after ${maxRetries} attempts: ${lastError.message}`);
+  }
+
+  /**
+   * Save knowledge base to JSON file
+   */
+  async saveKnowledgeBase(knowledgeBase) {
+    const maxRetries = 3;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        await this.ensureDataDirectory();
+
+        // Validate data before saving
+        if (!knowledgeBase.entries || !Array.isArray(knowledgeBase.entries)) {
+          throw new Error('Invalid knowledge base format: entries must be an array');
+        }
+
+        // Update metadata
+        knowledgeBase.lastUpdated = new Date().toISOString();
+        knowledgeBase.version = knowledgeBase.version || '1.0';
+
+        // Create backup before saving (for safety)
+        if (attempt === 1) {
+          await this.createSafetyBackup();
+        }
+
+        // Write to temporary file first, then rename (atomic operation)
+        const tempPath = `${this.filePath}.tmp`;
+        const jsonData = JSON.stringify(knowledgeBase, null, 2);
+
+        await fs.writeFile(tempPath, jsonData, 'utf8');
+        await fs.rename(tempPath, this.filePath);
+
+        return; // Success
+
+      } catch (error) {
+        lastError = error;
+        console.error(`Knowledge base save attempt ${attempt} failed:`, error.message);
+
+        if (attempt < maxRetries) {
+          await new Promise(resolve => setTimeout(resolve, 100 * attempt));
+          continue;
+        }
+      }
+    }
+
+    throw new Error(`Failed to save knowledge base after ${maxRetries} attempts: ${lastError.message}`);
+  }
+
+  /**
+   * Create a backup of corrupted data for recovery
+   */
+  async createCorruptionBackup() {
+    try {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const backupPath = path.join(path.dirname(this.filePath), `corrupted-backup-${timestamp}.json`);
+
+      const corruptedData = await fs.readFile(this.filePath, 'utf8');
+      await fs.writeFile(backupPath, corruptedData, 'utf8');
+
+      console.log(`Corrupted data backed up to: ${backupPath}`);
+    } catch (error) {
+      console.warn('Could not create corruption backup:', error.message);
+    }
+  }
+
+  /**
+   * Create a safety backup before major operations
+   */
+  async createSafetyBackup() {
+    try {
+      await fs.mkdir(this.backupDir, { recursive: true });
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const backupPath = path.join(this.backupDir, `safety-backup-${timestamp}.json`);
+
+      const currentData = await fs.readFile(this.filePath, 'utf8');
+      await fs.writeFile(backupPath, currentData, 'utf8');
+
+      // Clean up old safety backups (keep last 5)
+      const backupFiles = await fs.readdir(this.backupDir);
+      const safetyBackups = backupFiles
+        .filter(file => file.startsWith('safety-backup-'))
+        .sort()
+        .reverse();
+
+      if (safetyBackups.length > 5) {
+        const filesToDelete = safetyBackups.slice(5);
+        for (const file of filesToDelete) {
+          await fs.unlink(path.join(this.backupDir, file));
+        }
+      }
+
+    } catch (error) {
+      // Don't fail the main operation if backup fails
+      console.warn('Could not create safety backup:', error.message);
+    }
+  }
+
+  /**
+   * Get all stored entries
+   */
+  async getAllEntries() {
+    const kb = await this.loadKnowledgeBase();
+    return kb.entries || [];
+  }
+
+  /**
+   * Get a stored entry by ID
+   */
+  async getEntry(id) {
+    const entries = await this.getAllEntries();
+    return entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Insert or replace an entry and append records to its revision history,
+   * in a single rewrite of the file. Only the newest maxRevisions records
+   * of the entry are kept.
+   */
+  async saveEntry(entry, revisions = []) {
+    const kb = await this.loadKnowledgeBase();
+    kb.entries = kb.entries || [];
+    const entryIndex = kb.entries.findIndex(existing => existing.id === entry.id);
+
+    if (entryIndex === -1) {
+      kb.entries.push(entry);
+    } else {
+      kb.entries[entryIndex] = entry;
+    }
+
+    if (revisions.length > 0) {
+      const history = [...((kb.revisions && kb.revisions[entry.id]) || []), ...revisions];
+      kb.revisions = kb.revisions || {};
+      kb.revisions[entry.id] = this.maxRevisions > 0 ? history.slice(-this.maxRevisions) : history;
+    }
+
+    await this.saveKnowledgeBase(kb);
+    return entry;
+  }
+
+  /**
+   * Replace a stored entry with the given one (matched by ID)
+   */
+  async updateEntry(entry) {
+    const kb = await this.loadKnowledgeBase();
+    const entryIndex = kb.entries.findIndex(existing => existing.id === entry.id);
+
+    if (entryIndex === -1) {
+      return null;
+    }
+
+    kb.entries[entryIndex] = entry;
+    await this.saveKnowledgeBase(kb);
+    return entry;
+  }
+
+  /**
+   * Remove an entry by ID and return it
+   */
+  async deleteEntry(id) {
+    const kb = await this.loadKnowledgeBase();
+    const entryIndex = kb.entries.findIndex(entry => entry.id === id);
+
+    if (entryIndex === -1) {
+      return null;
+    }
+
+    const deletedEntry = kb.entries.splice(entryIndex, 1)[0];
+    await this.saveKnowledgeBase(kb);
+    return deletedEntry;
+  }
+
+  /**
+   * Get an entry's revision history, oldest first
+   */
+  async getRevisions(entryId) {
+    const kb = await this.loadKnowledgeBase();
+    return (kb.revisions && kb.revisions[entryId]) || [];
+  }
+
+  /**
+   * Drop an entry's revision history
+   */
+  async deleteRevisions(entryId) {
+    const kb = await this.loadKnowledgeBase();
+    if (!kb.revisions || !kb.revisions[entryId]) return;
+    delete kb.revisions[entryId];
+    await this.saveKnowledgeBase(kb);
+  }
+
+  /**
+   * Get the synonym groups used by search
+   */
+  async getSynonyms() {
+    const kb = await this.loadKnowledgeBase();
+    return kb.synonyms || [];
+  }
+
+  /**
+   * Replace the synonym groups used by search
+   */
+  async saveSynonyms(synonyms) {
+    const kb = await this.loadKnowledgeBase();
+    kb.synonyms = synonyms;
+    await this.saveKnowledgeBase(kb);
+    return synonyms;
+  }
+
+  /**
+   * Get stored search embeddings: { passageId: { fingerprint, vector } }
+   */
+  async getEmbeddings() {
+    try {
+      return JSON.parse(await fs.readFile(this.embeddingsPath, 'utf8'));
+    } catch (error) {
+      // A missing or damaged file only means the vectors get recomputed
+      if (error.code !== 'ENOENT') {
+        console.warn('Could not read search embeddings:', error.message);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Replace the stored search embeddings
+   */
+  async saveEmbeddings(embeddings) {
+    await this.ensureDataDirectory();
+    const tempPath = `${this.embeddingsPath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(embeddings), 'utf8');
+    await fs.rename(tempPath, this.embeddingsPath);
+  }
+
+  /**
+   * Get knowledge base metadata (last update time and format version)
+   */
+  async getMetadata() {
+    const kb = await this.loadKnowledgeBase();
+    return {
+      lastUpdated: kb.lastUpdated,
+      version: kb.version
+    };
+  }
+}
+
+export default JsonFileAdapter;
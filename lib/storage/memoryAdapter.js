@@ -0,0 +1,116 @@
+/**
+ * Storage adapter that keeps entries in process memory.
+ * Nothing is persisted, which makes it suitable for tests and throwaway
+ * development sessions.
+ */
+class MemoryAdapter {
+  constructor(options = {}) {
+    this.entries = (options.entries || []).map(entry => this.clone(entry));
+    this.revisions = new Map();
+    // Revision records kept per entry (0 keeps all)
+    this.maxRevisions = options.maxRevisions ?? 50;
+    this.synonyms = this.clone(options.synonyms || []);
+    this.embeddings = {};
+    this.lastUpdated = new Date().toISOString();
+    this.version = '1.0';
+    // Memory is private to this process, so no inter-process lock is needed
+    this.lockPath = null;
+  }
+
+  /**
+   * Copy values on the way in and out so callers cannot mutate stored state
+   */
+  clone(value) {
+    return value == null ? value : JSON.parse(JSON.stringify(value));
+  }
+
+  touch() {
+    this.lastUpdated = new Date().toISOString();
+  }
+
+  async getAllEntries() {
+    return this.entries.map(entry => this.clone(entry));
+  }
+
+  async getEntry(id) {
+    const entry = this.entries.find(existing => existing.id === id);
+    return entry ? this.clone(entry) : null;
+  }
+
+  async saveEntry(entry, revisions = []) {
+    const entryIndex = this.entries.findIndex(existing => existing.id === entry.id);
+
+    if (entryIndex === -1) {
+      this.entries.push(this.clone(entry));
+    } else {
+      this.entries[entryIndex] = this.clone(entry);
+    }
+
+    if (revisions.length > 0) {
+      const history = [...(this.revisions.get(entry.id) || []), ...revisions.map(record => this.clone(record))];
+      this.revisions.set(entry.id, this.maxRevisions > 0 ? history.slice(-this.maxRevisions) : history);
+    }
+
+    this.touch();
+    return entry;
+  }
+
+  async updateEntry(entry) {
+    const entryIndex = this.entries.findIndex(existing => existing.id === entry.id);
+
+    if (entryIndex === -1) {
+      return null;
+    }
+
+    this.entries[entryIndex] = this.clone(entry);
+    this.touch();
+    return entry;
+  }
+
+  async deleteEntry(id) {
+    const entryIndex = this.entries.findIndex(entry => entry.id === id);
+
+    if (entryIndex === -1) {
+      return null;
+    }
+
+    const deletedEntry = this.entries.splice(entryIndex, 1)[0];
+    this.touch();
+    return deletedEntry;
+  }
+
+  async getRevisions(entryId) {
+    return (this.revisions.get(entryId) || []).map(record => this.clone(record));
+  }
+
+  async deleteRevisions(entryId) {
+    this.revisions.delete(entryId);
+  }
+
+  async getSynonyms() {
+    return this.clone(this.synonyms);
+  }
+
+  async saveSynonyms(synonyms) {
+    this.synonyms = this.clone(synonyms);
+    this.touch();
+    return synonyms;
+  }
+
+  async getEmbeddings() {
+    return this.clone(this.embeddings);
+  }
+
+  async saveEmbeddings(embeddings) {
+    this.embeddings = this.clone(embeddings);
+  }
+
+  async getMetadata() {
+    return {
+      lastUpdated: this.lastUpdated,
+      version: this.version
+    };
+  }
+}
+
+export default MemoryAdapter;
@@ -0,0 +1,298 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Schema migrations, applied in order and tracked with PRAGMA user_version
+const MIGRATIONS = [
+  `CREATE TABLE IF NOT EXISTS entries (
+    id TEXT PRIMARY KEY,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    tags TEXT NOT NULL DEFAULT '[]',
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS metadata (
+    name TEXT PRIMARY KEY,
+    value TEXT
+  );`,
+  `ALTER TABLE entries ADD COLUMN revision INTEGER NOT NULL DEFAULT 1;`,
+  `CREATE TABLE IF NOT EXISTS revisions (
+    entry_id TEXT NOT NULL,
+    revision INTEGER NOT NULL,
+    record TEXT NOT NULL,
+    PRIMARY KEY (entry_id, revision)
+  );`,
+  `ALTER TABLE entries ADD COLUMN deleted_at TEXT;
+  ALTER TABLE entries ADD COLUMN deleted_by TEXT;`,
+  `CREATE TABLE IF NOT EXISTS embeddings (
+    entry_id TEXT PRIMARY KEY,
+    fingerprint TEXT NOT NULL,
+    vector TEXT NOT NULL
+  );`,
+  // Embeddings are stored per passage of an entry since long entries are chunked
+  `ALTER TABLE embeddings RENAME COLUMN entry_id TO passage_id;`
+];
+
+/**
+ * Storage adapter backed by an embedded SQLite database (better-sqlite3).
+ * Each write touches a single row instead of rewriting the whole knowledge base.
+ */
+class SqliteAdapter {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'knowledge-base.sqlite');
+    // Existing JSON knowledge base to import when the database is first created
+    this.seedFile = options.seedFile === undefined
+      ? path.join(process.cwd(), 'data', 'knowledge-base.json')
+      : options.seedFile;
+    // Guards read-modify-write sequences that span more than one statement
+    this.lockPath = options.lockPath || (this.filePath === ':memory:' ? null : `${this.filePath}.lock`);
+    // Revision records kept per entry (0 keeps all)
+    this.maxRevisions = options.maxRevisions ?? 50;
+    this.db = null;
+    this.initPromise = null;
+  }
+
+  /**
+   * Open the database and run pending migrations (once per instance)
+   */
+  async ready() {
+    if (!this.initPromise) {
+      this.initPromise = this.initialize().catch(error => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+    await this.initPromise;
+    return this.db;
+  }
+
+  async initialize() {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error('SQLite storage requires the "better-sqlite3" package. Install it with: npm install better-sqlite3');
+    }
+
+    if (this.filePath !== ':memory:') {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    }
+
+    const db = new Database(this.filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+
+    const currentVersion = db.pragma('user_version', { simple: true });
+    for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+      db.transaction(() => {
+        db.exec(MIGRATIONS[version]);
+        db.pragma(`user_version = ${version + 1}`);
+      })();
+    }
+
+    this.db = db;
+
+    if (currentVersion === 0) {
+      await this.importSeedFile();
+    }
+  }
+
+  /**
+   * Import entries from the JSON knowledge base into a freshly created database
+   */
+  async importSeedFile() {
+    if (!this.seedFile) return;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(await fs.readFile(this.seedFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Could not import JSON knowledge base into SQLite:', error.message);
+      }
+      return;
+    }
+
+    const entries = Array.isArray(parsed) ? parsed : parsed.entries || [];
+    const insert = this.db.prepare(`
+      INSERT OR IGNORE INTO entries (id, key, value, tags, created_at, updated_at, revision, deleted_at, deleted_by)
+      VALUES (@id, @key, @value, @tags, @created_at, @updated_at, @revision, @deleted_at, @deleted_by)
+    `);
+
+    this.db.transaction(() => {
+      for (const entry of entries) {
+        insert.run(this.toRow(entry));
+      }
+      if (!Array.isArray(parsed) && parsed.synonyms) {
+        this.setMetadataValue('synonyms', JSON.stringify(parsed.synonyms));
+      }
+    })();
+    this.touch();
+
+    console.log(`Imported ${entries.length} entries from ${this.seedFile} into SQLite`);
+  }
+
+  toRow(entry) {
+    return {
+      id: entry.id,
+      key: entry.key,
+      value: entry.value,
+      tags: JSON.stringify(entry.tags || []),
+      created_at: entry.createdAt,
+      updated_at: entry.updatedAt,
+      revision: entry.revision || 1,
+      deleted_at: entry.deletedAt || null,
+      deleted_by: entry.deletedBy || null
+    };
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      key: row.key,
+      value: row.value,
+      tags: JSON.parse(row.tags || '[]'),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      revision: row.revision,
+      ...(row.deleted_at ? { deletedAt: row.deleted_at, deletedBy: row.deleted_by } : {})
+    };
+  }
+
+  setMetadataValue(name, value) {
+    this.db
+      .prepare('INSERT OR REPLACE INTO metadata (name, value) VALUES (?, ?)')
+      .run(name, value);
+  }
+
+  touch() {
+    this.setMetadataValue('lastUpdated', new Date().toISOString());
+  }
+
+  async getAllEntries() {
+    const db = await this.ready();
+    return db
+      .prepare('SELECT * FROM entries ORDER BY created_at, rowid')
+      .all()
+      .map(row => this.fromRow(row));
+  }
+
+  async getEntry(id) {
+    const db = await this.ready();
+    const row = db.prepare('SELECT * FROM entries WHERE id = ?').get(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  async saveEntry(entry, revisions = []) {
+    const db = await this.ready();
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO entries (id, key, value, tags, created_at, updated_at, revision, deleted_at, deleted_by)
+        VALUES (@id, @key, @value, @tags, @created_at, @updated_at, @revision, @deleted_at, @deleted_by)
+        ON CONFLICT(id) DO UPDATE SET
+          key = excluded.key, value = excluded.value, tags = excluded.tags,
+          created_at = excluded.created_at, updated_at = excluded.updated_at, revision = excluded.revision,
+          deleted_at = excluded.deleted_at, deleted_by = excluded.deleted_by
+      `).run(this.toRow(entry));
+
+      const insertRevision = db.prepare('INSERT OR REPLACE INTO revisions (entry_id, revision, record) VALUES (?, ?, ?)');
+      for (const record of revisions) {
+        insertRevision.run(entry.id, record.revision, JSON.stringify(record));
+      }
+      if (revisions.length > 0 && this.maxRevisions > 0) {
+        db.prepare(`
+          DELETE FROM revisions WHERE entry_id = ? AND revision NOT IN (
+            SELECT revision FROM revisions WHERE entry_id = ? ORDER BY revision DESC LIMIT ?
+          )
+        `).run(entry.id, entry.id, this.maxRevisions);
+      }
+
+      this.touch();
+    })();
+    return entry;
+  }
+
+  async updateEntry(entry) {
+    const db = await this.ready();
+    const result = db.transaction(() => {
+      const info = db.prepare(`
+        UPDATE entries
+        SET key = @key, value = @value, tags = @tags, created_at = @created_at, updated_at = @updated_at,
+            revision = @revision, deleted_at = @deleted_at, deleted_by = @deleted_by
+        WHERE id = @id
+      `).run(this.toRow(entry));
+      if (info.changes > 0) this.touch();
+      return info.changes;
+    })();
+    return result > 0 ? entry : null;
+  }
+
+  async deleteEntry(id) {
+    const db = await this.ready();
+    return db.transaction(() => {
+      const row = db.prepare('SELECT * FROM entries WHERE id = ?').get(id);
+      if (!row) return null;
+      db.prepare('DELETE FROM entries WHERE id = ?').run(id);
+      this.touch();
+      return this.fromRow(row);
+    })();
+  }
+
+  async getRevisions(entryId) {
+    const db = await this.ready();
+    return db
+      .prepare('SELECT record FROM revisions WHERE entry_id = ? ORDER BY revision')
+      .all(entryId)
+      .map(row => JSON.parse(row.record));
+  }
+
+  async deleteRevisions(entryId) {
+    const db = await this.ready();
+    db.prepare('DELETE FROM revisions WHERE entry_id = ?').run(entryId);
+  }
+
+  async getSynonyms() {
+    const db = await this.ready();
+    const row = db.prepare('SELECT value FROM metadata WHERE name = ?').get('synonyms');
+    return row ? JSON.parse(row.value) : [];
+  }
+
+  async saveSynonyms(synonyms) {
+    const db = await this.ready();
+    db.transaction(() => {
+      this.setMetadataValue('synonyms', JSON.stringify(synonyms));
+      this.touch();
+    })();
+    return synonyms;
+  }
+
+  async getEmbeddings() {
+    const db = await this.ready();
+    return Object.fromEntries(
+      db.prepare('SELECT passage_id, fingerprint, vector FROM embeddings').all()
+        .map(row => [row.passage_id, { fingerprint: row.fingerprint, vector: JSON.parse(row.vector) }])
+    );
+  }
+
+  async saveEmbeddings(embeddings) {
+    const db = await this.ready();
+    const insert = db.prepare('INSERT INTO embeddings (passage_id, fingerprint, vector) VALUES (?, ?, ?)');
+    db.transaction(() => {
+      db.prepare('DELETE FROM embeddings').run();
+      for (const [passageId, { fingerprint, vector }] of Object.entries(embeddings)) {
+        insert.run(passageId, fingerprint, JSON.stringify(vector));
+      }
+    })();
+  }
+
+  async getMetadata() {
+    const db = await this.ready();
+    const row = db.prepare('SELECT value FROM metadata WHERE name = ?').get('lastUpdated');
+    return {
+      lastUpdated: row ? row.value : null,
+      version: '1.0'
+    };
+  }
+}
+
+export default SqliteAdapter;
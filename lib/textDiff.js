@@ -0,0 +1,83 @@
+/**
+ * Word-level text diff used to compare knowledge entry revisions
+ */
+
+// Above this many LCS cells the diff falls back to "replace everything"
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Split text into words and the whitespace between them, so that joining the
+ * tokens gives back the original text
+ */
+function tokenize(text) {
+  return (text || '').split(/(\s+)/).filter(token => token !== '');
+}
+
+/**
+ * Merge consecutive operations of the same type
+ */
+function pushOp(ops, type, text) {
+  const last = ops[ops.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    ops.push({ type, text });
+  }
+}
+
+/**
+ * Compute a word-level diff between two strings.
+ * Returns a list of { type: 'equal' | 'delete' | 'insert', text } operations.
+ */
+function diffWords(oldText, newText) {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+  const ops = [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    if (oldText) pushOp(ops, 'delete', oldText);
+    if (newText) pushOp(ops, 'insert', newText);
+    return ops;
+  }
+
+  // Longest common subsequence lengths, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pushOp(ops, 'equal', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      pushOp(ops, 'delete', a[i++]);
+    } else {
+      pushOp(ops, 'insert', b[j++]);
+    }
+  }
+  while (i < a.length) pushOp(ops, 'delete', a[i++]);
+  while (j < b.length) pushOp(ops, 'insert', b[j++]);
+
+  return ops;
+}
+
+/**
+ * Compare two tag lists
+ */
+function diffTags(oldTags = [], newTags = []) {
+  return {
+    added: newTags.filter(tag => !oldTags.includes(tag)),
+    removed: oldTags.filter(tag => !newTags.includes(tag)),
+    unchanged: newTags.filter(tag => oldTags.includes(tag))
+  };
+}
+
+export { diffWords, diffTags };
@@ -58,7 +58,8 @@ function getTimeAgo(timestamp) {
  * Validate required environment variables
  */
 function validateEnvironment() {
-  const required = ['GEMINI_API_KEY'];
+  const provider = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const required = provider === 'gemini' ? ['GEMINI_API_KEY'] : [];
   const missing = required.filter(key => !process.env[key]);
   
   if (missing.length > 0) {
@@ -129,7 +130,7 @@ function isEmptyOrWhitespace(str) {
   return !str || typeof str !== 'string' || str.trim().length === 0;
 }
 
-module.exports = {
+export {
   generateId,
   isValidEmail,
   sanitizeString,
@@ -36,7 +36,10 @@ class DeploymentValidator {
         console.log('📋 Validating environment configuration...');
 
         // Check for required environment variables
-        const requiredEnvVars = ['GEMINI_API_KEY'];
+        // Only the Gemini provider (the default) needs an API key
+        const provider = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+        const requiredEnvVars = provider === 'gemini' ? ['GEMINI_API_KEY'] : [];
+        console.log(`✅ Model provider: ${provider}`);
         
         for (const envVar of requiredEnvVars) {
             if (!process.env[envVar]) {
@@ -69,6 +72,7 @@ class DeploymentValidator {
             'api/knowledge/[id].js',
             'api/knowledge/search.js',
             'lib/geminiService.js',
+            'lib/llm/index.js',
             'lib/knowledgeBase.js',
             'lib/utils.js',
             'js/chat.js',
@@ -1,36 +1,112 @@
 import React, { useState, useEffect } from 'react';
-import { Search, Plus, Edit2, Trash2, Save, X } from 'lucide-react';
+import { Search, Plus, Edit2, Trash2, Save, X, History, Archive, BookOpen, ChevronLeft, ChevronRight, MessageSquareText, Headset, Contact } from 'lucide-react';
+import { RevisionHistory } from './RevisionHistory';
+import { TrashBin } from './TrashBin';
+import { SynonymEditor } from './SynonymEditor';
+import { PromptSettings } from './PromptSettings';
+import { HandoffDesk } from './HandoffDesk';
+import { LeadList } from './LeadList';
 
 interface KnowledgeEntry {
   id: string;
   key: string;
   value: string;
   tags?: string[];
+  revision?: number;
   createdAt: string;
   updatedAt: string;
+  // Present on search results: why the entry matched
+  matchedFields?: string[];
+  highlights?: {
+    key: HighlightedText;
+    value: HighlightedText;
+    tags: string[];
+  };
+}
+
+interface HighlightedText {
+  text: string;
+  matches: [number, number][];
+}
+
+interface FacetCount {
+  value: string;
+  count: number;
 }
 
+interface Facets {
+  tags: FacetCount[];
+  created: FacetCount[];
+  updated: FacetCount[];
+}
+
+const PAGE_SIZE = 25;
+// Tag chips shown before "more"
+const VISIBLE_TAG_CHIPS = 12;
+
+const formatMonth = (month: string) => new Date(`${month}-01T00:00:00Z`)
+  .toLocaleDateString(undefined, { year: 'numeric', month: 'short', timeZone: 'UTC' });
+
 export function AdminPanel() {
   const [entries, setEntries] = useState<KnowledgeEntry[]>([]);
   const [searchQuery, setSearchQuery] = useState('');
+  // Query the list is currently showing results for (searchQuery is the input box)
+  const [activeQuery, setActiveQuery] = useState('');
+  const [searchError, setSearchError] = useState('');
+  const [selectedTags, setSelectedTags] = useState<string[]>([]);
+  const [updatedMonth, setUpdatedMonth] = useState('');
+  const [sort, setSort] = useState('');
+  const [offset, setOffset] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [facets, setFacets] = useState<Facets>({ tags: [], created: [], updated: [] });
+  const [showAllTags, setShowAllTags] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [editingEntry, setEditingEntry] = useState<KnowledgeEntry | null>(null);
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [newEntry, setNewEntry] = useState({ key: '', value: '', tags: '' });
+  const [historyEntry, setHistoryEntry] = useState<KnowledgeEntry | null>(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showSynonyms, setShowSynonyms] = useState(false);
+  const [showPrompt, setShowPrompt] = useState(false);
+  const [showHandoffs, setShowHandoffs] = useState(false);
+  const [showLeads, setShowLeads] = useState(false);
+  // Name recorded in the revision history for changes made from this browser
+  const [author, setAuthor] = useState(() => localStorage.getItem('adminAuthor') || '');
+
+  useEffect(() => {
+    localStorage.setItem('adminAuthor', author);
+  }, [author]);
+  // Token of the admin-only endpoints; kept for this browser tab only
+  const [adminToken, setAdminToken] = useState(() => sessionStorage.getItem('adminToken') || '');
 
-  // Load entries on component mount
+  useEffect(() => {
+    sessionStorage.setItem('adminToken', adminToken);
+  }, [adminToken]);
+
+  // Reload whenever the query, filters, order or page change
   useEffect(() => {
     loadEntries();
-  }, []);
+  }, [activeQuery, selectedTags, updatedMonth, sort, offset]);
 
   const loadEntries = async () => {
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE), offset: String(offset) });
+    if (activeQuery) params.set('q', activeQuery);
+    if (selectedTags.length > 0) params.set('tags', selectedTags.join(','));
+    if (updatedMonth) params.set('updated', updatedMonth);
+    if (sort) params.set('sort', sort);
+
     setIsLoading(true);
     try {
-      const response = await fetch('/api/knowledge');
+      const response = await fetch(`/api/knowledge?${params}`);
       const data = await response.json();
       
       if (response.ok) {
         setEntries(data.entries || []);
+        setTotal(data.total || 0);
+        setFacets(data.facets || { tags: [], created: [], updated: [] });
+        setSearchError('');
+      } else if (data.code === 'INVALID_QUERY') {
+        setSearchError(data.message);
       } else {
         console.error('Failed to load entries:', data.message);
       }
@@ -41,27 +117,31 @@ export function AdminPanel() {
     }
   };
 
-  const searchEntries = async (query: string) => {
-    if (!query.trim()) {
-      loadEntries();
-      return;
-    }
+  const searchEntries = (query: string) => {
+    setActiveQuery(query.trim());
+    setOffset(0);
+    // Relevance order only exists for searches
+    if (!query.trim() && sort === 'relevance') setSort('');
+  };
 
-    setIsLoading(true);
-    try {
-      const response = await fetch(`/api/knowledge/search?q=${encodeURIComponent(query)}`);
-      const data = await response.json();
-      
-      if (response.ok) {
-        setEntries(data.results || []);
-      } else {
-        console.error('Search failed:', data.message);
-      }
-    } catch (error) {
-      console.error('Error searching entries:', error);
-    } finally {
-      setIsLoading(false);
-    }
+  const toggleTag = (tag: string) => {
+    setSelectedTags(prev => prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]);
+    setOffset(0);
+  };
+
+  const selectUpdatedMonth = (month: string) => {
+    setUpdatedMonth(prev => prev === month ? '' : month);
+    setOffset(0);
+  };
+
+  const clearFilters = () => {
+    setSearchQuery('');
+    setActiveQuery('');
+    setSearchError('');
+    setSelectedTags([]);
+    setUpdatedMonth('');
+    setOffset(0);
+    if (sort === 'relevance') setSort('');
   };
 
   const createEntry = async () => {
@@ -79,14 +159,15 @@ export function AdminPanel() {
         body: JSON.stringify({
           key: newEntry.key.trim(),
           value: newEntry.value.trim(),
-          tags: newEntry.tags.split(',').map(tag => tag.trim()).filter(tag => tag)
+          tags: newEntry.tags.split(',').map(tag => tag.trim()).filter(tag => tag),
+          author: author.trim() || undefined
         }),
       });
 
       const data = await response.json();
 
       if (response.ok) {
-        setEntries(prev => [data.entry, ...prev]);
+        loadEntries();
         setNewEntry({ key: '', value: '', tags: '' });
         setShowCreateForm(false);
       } else {
@@ -99,13 +180,17 @@ export function AdminPanel() {
   };
 
   const updateEntry = async (id: string, updates: Partial<KnowledgeEntry>) => {
+    const currentEntry = entries.find(entry => entry.id === id);
+
     try {
       const response = await fetch(`/api/knowledge/${id}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
+          // Reject the save if someone else changed the entry since we loaded it
+          'If-Match': `"${currentEntry?.revision || 1}"`,
         },
-        body: JSON.stringify(updates),
+        body: JSON.stringify({ ...updates, author: author.trim() || undefined }),
       });
 
       const data = await response.json();
@@ -115,6 +200,12 @@ export function AdminPanel() {
           entry.id === id ? data.entry : entry
         ));
         setEditingEntry(null);
+      } else if (response.status === 409 && data.entry) {
+        setEntries(prev => prev.map(entry =>
+          entry.id === id ? data.entry : entry
+        ));
+        setEditingEntry(null);
+        alert('This entry was changed by someone else while you were editing. The latest version has been loaded; please apply your changes again.');
       } else {
         alert('Failed to update entry: ' + data.message);
       }
@@ -125,17 +216,18 @@ export function AdminPanel() {
   };
 
   const deleteEntry = async (id: string) => {
-    if (!confirm('Are you sure you want to delete this entry?')) {
+    if (!confirm('Move this entry to the trash? It can be restored from there.')) {
       return;
     }
 
     try {
-      const response = await fetch(`/api/knowledge/${id}`, {
+      const query = author.trim() ? `?author=${encodeURIComponent(author.trim())}` : '';
+      const response = await fetch(`/api/knowledge/${id}${query}`, {
         method: 'DELETE',
       });
 
       if (response.ok) {
-        setEntries(prev => prev.filter(entry => entry.id !== id));
+        loadEntries();
       } else {
         const data = await response.json();
         alert('Failed to delete entry: ' + data.message);
@@ -146,6 +238,17 @@ export function AdminPanel() {
     }
   };
 
+  const handleReverted = (entry: KnowledgeEntry) => {
+    setEntries(prev => prev.map(existing =>
+      existing.id === entry.id ? entry : existing
+    ));
+    setHistoryEntry(null);
+  };
+
+  const handleRestored = () => {
+    loadEntries();
+  };
+
   const handleSearch = (e: React.FormEvent) => {
     e.preventDefault();
     searchEntries(searchQuery);
@@ -155,9 +258,34 @@ export function AdminPanel() {
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
       <div className="bg-white shadow-sm border-b">
-        <div className="max-w-7xl mx-auto px-4 py-6">
-          <h1 className="text-2xl font-bold text-gray-900">Knowledge Base Admin</h1>
-          <p className="text-gray-600 mt-1">Manage your AI chatbot's knowledge entries</p>
+        <div className="max-w-7xl mx-auto px-4 py-6 flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Knowledge Base Admin</h1>
+            <p className="text-gray-600 mt-1">Manage your AI chatbot's knowledge entries</p>
+          </div>
+          <div className="flex gap-4">
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">Editing as</label>
+              <input
+                type="text"
+                value={author}
+                onChange={(e) => setAuthor(e.target.value)}
+                placeholder="Your name"
+                className="px-3 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">Admin token</label>
+              <input
+                type="password"
+                value={adminToken}
+                onChange={(e) => setAdminToken(e.target.value)}
+                placeholder="ADMIN_API_TOKEN"
+                autoComplete="off"
+                className="px-3 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+          </div>
         </div>
       </div>
 
@@ -172,19 +300,115 @@ export function AdminPanel() {
                   type="text"
                   value={searchQuery}
                   onChange={(e) => setSearchQuery(e.target.value)}
-                  placeholder="Search knowledge entries..."
+                  placeholder='Search, e.g. tag:pricing "commercial project" -residential'
                   className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 />
               </div>
+              {searchError && (
+                <p className="text-sm text-red-600 mt-2">{searchError}</p>
+              )}
             </form>
-            <button
-              onClick={() => setShowCreateForm(true)}
-              className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
-            >
-              <Plus className="w-4 h-4" />
-              Add Entry
-            </button>
+            <div className="flex gap-2">
+              <select
+                value={sort}
+                onChange={(e) => {
+                  setSort(e.target.value);
+                  setOffset(0);
+                }}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">{activeQuery ? 'Best match' : 'Recently updated'}</option>
+                {activeQuery && <option value="updatedAt">Recently updated</option>}
+                <option value="createdAt">Recently created</option>
+                <option value="key">Key (A-Z)</option>
+              </select>
+              <button
+                onClick={() => setShowLeads(true)}
+                className="flex items-center gap-2 bg-white text-gray-700 border border-gray-300 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                <Contact className="w-4 h-4" />
+                Leads
+              </button>
+              <button
+                onClick={() => setShowHandoffs(true)}
+                className="flex items-center gap-2 bg-white text-gray-700 border border-gray-300 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                <Headset className="w-4 h-4" />
+                Handoffs
+              </button>
+              <button
+                onClick={() => setShowPrompt(true)}
+                className="flex items-center gap-2 bg-white text-gray-700 border border-gray-300 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                <MessageSquareText className="w-4 h-4" />
+                Prompt
+              </button>
+              <button
+                onClick={() => setShowSynonyms(true)}
+                className="flex items-center gap-2 bg-white text-gray-700 border border-gray-300 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                <BookOpen className="w-4 h-4" />
+                Synonyms
+              </button>
+              <button
+                onClick={() => setShowTrash(true)}
+                className="flex items-center gap-2 bg-white text-gray-700 border border-gray-300 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                <Archive className="w-4 h-4" />
+                Trash
+              </button>
+              <button
+                onClick={() => setShowCreateForm(true)}
+                className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                <Plus className="w-4 h-4" />
+                Add Entry
+              </button>
+            </div>
           </div>
+
+          {(facets.tags.length > 0 || facets.updated.length > 1 || selectedTags.length > 0 || updatedMonth) && (
+            <div className="mt-4 space-y-2">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-xs font-medium text-gray-500 w-16">Tags</span>
+                {(showAllTags ? facets.tags : facets.tags.slice(0, VISIBLE_TAG_CHIPS)).map(({ value, count }) => (
+                  <FilterChip
+                    key={value}
+                    label={value}
+                    count={count}
+                    selected={selectedTags.includes(value)}
+                    onClick={() => toggleTag(value)}
+                  />
+                ))}
+                {/* Keep selected tags visible even when no current result carries them */}
+                {selectedTags
+                  .filter(tag => !facets.tags.some(facet => facet.value === tag))
+                  .map(tag => (
+                    <FilterChip key={tag} label={tag} count={0} selected onClick={() => toggleTag(tag)} />
+                  ))}
+                {facets.tags.length > VISIBLE_TAG_CHIPS && (
+                  <button
+                    onClick={() => setShowAllTags(prev => !prev)}
+                    className="text-xs text-blue-600 hover:text-blue-700"
+                  >
+                    {showAllTags ? 'Fewer' : `${facets.tags.length - VISIBLE_TAG_CHIPS} more`}
+                  </button>
+                )}
+              </div>
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-xs font-medium text-gray-500 w-16">Updated</span>
+                {facets.updated.map(({ value, count }) => (
+                  <FilterChip
+                    key={value}
+                    label={formatMonth(value)}
+                    count={count}
+                    selected={updatedMonth === value}
+                    onClick={() => selectUpdatedMonth(value)}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Create Form */}
@@ -255,15 +479,12 @@ export function AdminPanel() {
           ) : entries.length === 0 ? (
             <div className="p-8 text-center text-gray-500">
               <p>No knowledge entries found.</p>
-              {searchQuery && (
+              {(activeQuery || selectedTags.length > 0 || updatedMonth) && (
                 <button
-                  onClick={() => {
-                    setSearchQuery('');
-                    loadEntries();
-                  }}
+                  onClick={clearFilters}
                   className="text-blue-600 hover:text-blue-700 mt-2"
                 >
-                  Clear search
+                  Clear search and filters
                 </button>
               )}
             </div>
@@ -278,16 +499,107 @@ export function AdminPanel() {
                   onSave={(updates) => updateEntry(entry.id, updates)}
                   onCancel={() => setEditingEntry(null)}
                   onDelete={() => deleteEntry(entry.id)}
+                  onShowHistory={() => setHistoryEntry(entry)}
                 />
               ))}
             </div>
           )}
+
+          {total > 0 && (
+            <div className="flex items-center justify-between px-6 py-3 border-t text-sm text-gray-600">
+              <span>
+                Showing {offset + 1}-{Math.min(offset + PAGE_SIZE, total)} of {total}
+              </span>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+                  disabled={offset === 0 || isLoading}
+                  className="flex items-center gap-1 px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                >
+                  <ChevronLeft className="w-4 h-4" />
+                  Previous
+                </button>
+                <button
+                  onClick={() => setOffset(offset + PAGE_SIZE)}
+                  disabled={offset + PAGE_SIZE >= total || isLoading}
+                  className="flex items-center gap-1 px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                >
+                  Next
+                  <ChevronRight className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          )}
         </div>
       </div>
+
+      {historyEntry && (
+        <RevisionHistory
+          entryId={historyEntry.id}
+          currentRevision={historyEntry.revision || 1}
+          author={author.trim()}
+          onClose={() => setHistoryEntry(null)}
+          onReverted={handleReverted}
+        />
+      )}
+
+      {showTrash && (
+        <TrashBin
+          onClose={() => setShowTrash(false)}
+          onRestored={handleRestored}
+        />
+      )}
+
+      {showSynonyms && (
+        <SynonymEditor onClose={() => setShowSynonyms(false)} />
+      )}
+
+      {showPrompt && (
+        <PromptSettings
+          author={author.trim()}
+          adminToken={adminToken.trim()}
+          onClose={() => setShowPrompt(false)}
+        />
+      )}
+
+      {showHandoffs && (
+        <HandoffDesk
+          author={author.trim()}
+          adminToken={adminToken.trim()}
+          onClose={() => setShowHandoffs(false)}
+        />
+      )}
+
+      {showLeads && (
+        <LeadList adminToken={adminToken.trim()} onClose={() => setShowLeads(false)} />
+      )}
     </div>
   );
 }
 
+interface FilterChipProps {
+  label: string;
+  count: number;
+  selected: boolean;
+  onClick: () => void;
+}
+
+function FilterChip({ label, count, selected, onClick }: FilterChipProps) {
+  return (
+    <button
+      onClick={onClick}
+      className={`inline-flex items-center gap-1 px-3 py-1 rounded-full text-xs border transition-colors ${
+        selected
+          ? 'bg-blue-600 text-white border-blue-600 hover:bg-blue-700'
+          : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+      }`}
+    >
+      {label}
+      <span className={selected ? 'text-blue-100' : 'text-gray-400'}>{count}</span>
+    </button>
+  );
+}
+
 interface EntryItemProps {
   entry: KnowledgeEntry;
   isEditing: boolean;
@@ -295,9 +607,26 @@ interface EntryItemProps {
   onSave: (updates: Partial<KnowledgeEntry>) => void;
   onCancel: () => void;
   onDelete: () => void;
+  onShowHistory: () => void;
 }
 
-function EntryItem({ entry, isEditing, onEdit, onSave, onCancel, onDelete }: EntryItemProps) {
+// Text with the matched ranges marked
+function Highlight({ text, matches }: HighlightedText) {
+  const parts: React.ReactNode[] = [];
+  let position = 0;
+
+  matches.forEach(([start, end], index) => {
+    parts.push(text.slice(position, start));
+    parts.push(<mark key={index} className="bg-yellow-200 rounded px-0.5">{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(text.slice(position));
+
+  return <>{parts}</>;
+}
+
+function EntryItem({ entry, isEditing, onEdit, onSave, onCancel, onDelete, onShowHistory }: EntryItemProps) {
+  const { highlights } = entry;
   const [editData, setEditData] = useState({
     key: entry.key,
     value: entry.value,
@@ -368,20 +697,31 @@ function EntryItem({ entry, isEditing, onEdit, onSave, onCancel, onDelete }: Ent
     <div className="p-6">
       <div className="flex justify-between items-start">
         <div className="flex-1">
-          <h3 className="font-semibold text-gray-900 mb-2">{entry.key}</h3>
-          <p className="text-gray-700 mb-3 whitespace-pre-wrap">{entry.value}</p>
+          <h3 className="font-semibold text-gray-900 mb-2">
+            {highlights ? <Highlight {...highlights.key} /> : entry.key}
+          </h3>
+          <p className="text-gray-700 mb-3 whitespace-pre-wrap">
+            {highlights ? <Highlight {...highlights.value} /> : entry.value}
+          </p>
           {entry.tags && entry.tags.length > 0 && (
             <div className="flex flex-wrap gap-1 mb-3">
               {entry.tags.map((tag, index) => (
                 <span
                   key={index}
-                  className="inline-block bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded-full"
+                  className={`inline-block text-xs px-2 py-1 rounded-full ${
+                    highlights?.tags.includes(tag) ? 'bg-yellow-200 text-yellow-900' : 'bg-blue-100 text-blue-800'
+                  }`}
                 >
                   {tag}
                 </span>
               ))}
             </div>
           )}
+          {entry.matchedFields && entry.matchedFields.length > 0 && (
+            <div className="text-xs text-gray-500 mb-1">
+              Matched in: {entry.matchedFields.join(', ')}
+            </div>
+          )}
           <div className="text-xs text-gray-500">
             Created: {new Date(entry.createdAt).toLocaleString()}
             {entry.updatedAt !== entry.createdAt && (
@@ -392,6 +732,13 @@ function EntryItem({ entry, isEditing, onEdit, onSave, onCancel, onDelete }: Ent
           </div>
         </div>
         <div className="flex gap-2 ml-4">
+          <button
+            onClick={onShowHistory}
+            title="Revision history"
+            className="p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+          >
+            <History className="w-4 h-4" />
+          </button>
           <button
             onClick={onEdit}
             className="p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
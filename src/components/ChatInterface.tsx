@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { MessageBubble } from './MessageBubble';
+import { MessageBubble, MessageSource } from './MessageBubble';
 import { MessageInput } from './MessageInput';
 import { LoadingIndicator } from './LoadingIndicator';
 
@@ -9,12 +9,56 @@ interface Message {
   type: 'user' | 'ai';
   timestamp: Date;
   isError?: boolean;
+  sources?: MessageSource[];
+  author?: string;
+}
+
+// Set while the chat is handed off to the support team
+interface Handoff {
+  ticketId: string;
+  status: 'open' | 'active' | 'closed';
+}
+
+// How often agent replies are fetched during a handoff
+const HANDOFF_POLL_INTERVAL_MS = 5000;
+
+// Read a text/event-stream response, calling onEvent with each event's name and parsed JSON data
+async function readEventStream(response: Response, onEvent: (event: string, data: any) => void) {
+  const reader = response.body!.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      const data: string[] = [];
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      }
+
+      if (data.length > 0) {
+        onEvent(event, JSON.parse(data.join('\n')));
+      }
+    }
+  }
 }
 
 export function ChatInterface() {
   const [messages, setMessages] = useState<Message[]>([]);
   const [isLoading, setIsLoading] = useState(false);
+  // ID of the AI message being streamed in, if any
+  const [streamingId, setStreamingId] = useState<string | null>(null);
   const [sessionId, setSessionId] = useState<string>('');
+  const [handoff, setHandoff] = useState<Handoff | null>(null);
   const messagesEndRef = useRef<HTMLDivElement>(null);
 
   const scrollToBottom = () => {
@@ -29,6 +73,7 @@ export function ChatInterface() {
   useEffect(() => {
     const savedMessages = localStorage.getItem('chatHistory');
     const savedSessionId = localStorage.getItem('sessionId');
+    const savedHandoff = localStorage.getItem('handoff');
     
     if (savedMessages) {
       try {
@@ -42,6 +87,14 @@ export function ChatInterface() {
       }
     }
     
+    if (savedHandoff) {
+      try {
+        setHandoff(JSON.parse(savedHandoff));
+      } catch (error) {
+        console.error('Error loading handoff:', error);
+      }
+    }
+    
     if (savedSessionId) {
       setSessionId(savedSessionId);
     } else {
@@ -58,6 +111,69 @@ export function ChatInterface() {
     }
   }, [messages]);
 
+  useEffect(() => {
+    if (handoff) {
+      localStorage.setItem('handoff', JSON.stringify(handoff));
+    } else {
+      localStorage.removeItem('handoff');
+    }
+  }, [handoff]);
+
+  // While handed off, fetch the agent's replies until the ticket is closed
+  useEffect(() => {
+    if (!handoff || !sessionId) return;
+
+    const pollHandoff = async () => {
+      try {
+        const params = new URLSearchParams({ sessionId, ticketId: handoff.ticketId });
+        const response = await fetch(`/api/handoff/session?${params}`);
+
+        if (response.status === 404) {
+          setHandoff(null);
+          return;
+        }
+        if (!response.ok) return;
+
+        const data = await response.json();
+        const closed = data.handoff.status === 'closed';
+        const incoming: Message[] = data.messages.map((message: any) => ({
+          id: message.id,
+          content: message.text,
+          type: 'ai',
+          timestamp: new Date(message.createdAt),
+          author: message.author,
+        }));
+        if (closed) {
+          incoming.push({
+            id: `${handoff.ticketId}-closed`,
+            content: 'Our support team has closed this conversation. The assistant will answer your next message.',
+            type: 'ai',
+            timestamp: new Date(data.timestamp),
+          });
+        }
+
+        // Every poll returns all agent replies; only show the new ones
+        setMessages(prev => {
+          const shown = new Set(prev.map(message => message.id));
+          const added = incoming.filter(message => !shown.has(message.id));
+          return added.length > 0 ? [...prev, ...added] : prev;
+        });
+
+        if (closed) {
+          setHandoff(null);
+        } else if (data.handoff.status !== handoff.status) {
+          setHandoff(data.handoff);
+        }
+      } catch (error) {
+        console.error('Error polling handoff:', error);
+      }
+    };
+
+    pollHandoff();
+    const timer = setInterval(pollHandoff, HANDOFF_POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [handoff, sessionId]);
+
   const callChatAPI = async (userMessage: string) => {
     setIsLoading(true);
     
@@ -69,7 +185,8 @@ export function ChatInterface() {
         },
         body: JSON.stringify({
           message: userMessage,
-          sessionId: sessionId
+          sessionId: sessionId,
+          stream: true
         }),
       });
 
@@ -83,13 +200,29 @@ export function ChatInterface() {
         throw new Error(data.message || `Server error: ${response.status}`);
       }
 
+      if (response.headers.get('Content-Type')?.includes('text/event-stream')) {
+        await readStreamedReply(response);
+        return;
+      }
+
       const data = await response.json();
 
+      // Messages of a handed-off chat go to the agent, who replies through polling
+      if (data.forwarded) {
+        setHandoff(data.handoff);
+        return;
+      }
+
+      if (data.handoff) {
+        setHandoff(data.handoff);
+      }
+
       const aiMessage: Message = {
         id: Date.now().toString() + '-ai',
         content: data.response,
         type: 'ai',
         timestamp: new Date(data.timestamp),
+        sources: data.sources,
       };
       
       setMessages(prev => [...prev, aiMessage]);
@@ -115,9 +248,45 @@ export function ChatInterface() {
       setMessages(prev => [...prev, errorMessage]);
     } finally {
       setIsLoading(false);
+      setStreamingId(null);
     }
   };
 
+  // Show the reply as it streams in: the message appears with the first token and grows
+  const readStreamedReply = async (response: Response) => {
+    const messageId = Date.now().toString() + '-ai';
+    let content = '';
+    let started = false;
+
+    await readEventStream(response, (event, data) => {
+      if (event === 'token') {
+        content += data.text;
+        const text = content;
+
+        if (!started) {
+          started = true;
+          setStreamingId(messageId);
+          setMessages(prev => [...prev, { id: messageId, content: text, type: 'ai', timestamp: new Date() }]);
+        } else {
+          setMessages(prev => prev.map(message =>
+            message.id === messageId ? { ...message, content: text } : message
+          ));
+        }
+      } else if (event === 'done') {
+        setMessages(prev => prev.map(message =>
+          message.id === messageId
+            ? { ...message, timestamp: new Date(data.timestamp), sources: data.sources }
+            : message
+        ));
+        if (data.handoff) {
+          setHandoff(data.handoff);
+        }
+      } else if (event === 'error') {
+        throw new Error(data.message || 'The reply was interrupted. Please try again.');
+      }
+    });
+  };
+
   const handleSendMessage = async (content: string) => {
     const userMessage: Message = {
       id: Date.now().toString(),
@@ -140,6 +309,14 @@ export function ChatInterface() {
         <p className="text-xs md:text-sm text-gray-600 mt-1">We're here to help you with any questions</p>
       </div>
 
+      {handoff && (
+        <div className="bg-blue-50 border-b border-blue-100 px-4 py-2 md:px-6 text-xs md:text-sm text-blue-800">
+          {handoff.status === 'active'
+            ? "You're chatting with our support team."
+            : 'Waiting for an agent from our support team to join…'}
+        </div>
+      )}
+
       {/* Messages Container */}
       <div className="flex-1 overflow-y-auto px-4 py-3 md:px-6 md:py-4">
         {messages.length === 0 ? (
@@ -159,7 +336,7 @@ export function ChatInterface() {
             {messages.map((message) => (
               <MessageBubble key={message.id} message={message} />
             ))}
-            {isLoading && <LoadingIndicator />}
+            {isLoading && !streamingId && <LoadingIndicator />}
           </div>
         )}
         <div ref={messagesEndRef} />
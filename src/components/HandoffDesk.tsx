@@ -0,0 +1,321 @@
+import React, { useState, useEffect } from 'react';
+import { X, Send, CheckCircle, RotateCcw } from 'lucide-react';
+
+type TicketStatus = 'open' | 'active' | 'closed';
+
+interface TicketMessage {
+  id: string;
+  from: 'customer' | 'agent';
+  author: string | null;
+  text: string;
+  createdAt: string;
+}
+
+interface TicketSummary {
+  id: string;
+  sessionId: string;
+  status: TicketStatus;
+  reason: 'customer_request' | 'repeated_failures';
+  agent: string | null;
+  createdAt: string;
+  updatedAt: string;
+  messageCount: number;
+  lastMessage: { from: string; text: string; createdAt: string } | null;
+}
+
+interface Ticket extends TicketSummary {
+  summary: string | null;
+  transcript: { role: 'user' | 'assistant'; content: string }[];
+  messages: TicketMessage[];
+}
+
+interface HandoffDeskProps {
+  author: string;
+  adminToken: string;
+  onClose: () => void;
+}
+
+// Agents see new customer messages without reloading
+const POLL_INTERVAL_MS = 10000;
+
+const FILTERS: { value: string; label: string }[] = [
+  { value: 'open,active', label: 'Waiting and active' },
+  { value: 'open', label: 'Waiting' },
+  { value: 'closed', label: 'Closed' },
+  { value: '', label: 'All' },
+];
+
+const REASONS = {
+  customer_request: 'Asked for a person',
+  repeated_failures: 'Assistant could not answer',
+};
+
+const STATUS_STYLES: Record<TicketStatus, string> = {
+  open: 'bg-yellow-100 text-yellow-800',
+  active: 'bg-blue-100 text-blue-800',
+  closed: 'bg-gray-100 text-gray-600',
+};
+
+export function HandoffDesk({ author, adminToken, onClose }: HandoffDeskProps) {
+  const [tickets, setTickets] = useState<TicketSummary[]>([]);
+  const [filter, setFilter] = useState(FILTERS[0].value);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [ticket, setTicket] = useState<Ticket | null>(null);
+  const [reply, setReply] = useState('');
+  const [error, setError] = useState('');
+  const [loadError, setLoadError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    setIsLoading(true);
+    loadTickets().finally(() => setIsLoading(false));
+    const timer = setInterval(loadTickets, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [filter, adminToken]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setTicket(null);
+      return;
+    }
+    loadTicket(selectedId);
+    const timer = setInterval(() => loadTicket(selectedId), POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [selectedId]);
+
+  // The ticket endpoints require the admin token
+  const authHeaders = { Authorization: `Bearer ${adminToken}` };
+
+  const loadTickets = async () => {
+    try {
+      const query = filter ? `?status=${filter}` : '';
+      const response = await fetch(`/api/handoff${query}`, { headers: authHeaders });
+      const data = await response.json();
+
+      if (response.ok) {
+        setTickets(data.tickets);
+        setLoadError('');
+      } else {
+        setLoadError(data.message);
+      }
+    } catch (error) {
+      console.error('Error loading handoff tickets:', error);
+    }
+  };
+
+  const loadTicket = async (id: string) => {
+    try {
+      const response = await fetch(`/api/handoff/${id}`, { headers: authHeaders });
+      const data = await response.json();
+
+      if (response.ok) {
+        setTicket(data.ticket);
+      } else {
+        console.error('Failed to load handoff ticket:', data.message);
+      }
+    } catch (error) {
+      console.error('Error loading handoff ticket:', error);
+    }
+  };
+
+  const request = async (url: string, method: string, body: object) => {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        ...authHeaders,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message);
+    }
+    return data;
+  };
+
+  const run = async (action: () => Promise<void>) => {
+    setIsSaving(true);
+    setError('');
+    try {
+      await action();
+      await loadTickets();
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Request failed');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const sendReply = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!ticket || !reply.trim()) return;
+    run(async () => {
+      const data = await request(`/api/handoff/${ticket.id}/reply`, 'POST', {
+        text: reply.trim(),
+        author: author || undefined,
+      });
+      setTicket(data.ticket);
+      setReply('');
+    });
+  };
+
+  const setStatus = (status: 'open' | 'closed') => run(async () => {
+    if (!ticket) return;
+    if (status === 'closed' && !confirm('Close this ticket? The customer will be handed back to the assistant.')) return;
+    const data = await request(`/api/handoff/${ticket.id}`, 'PUT', { status });
+    setTicket(data.ticket);
+  });
+
+  const formatTime = (value: string) => new Date(value).toLocaleString();
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-6xl h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center px-6 py-4 border-b">
+          <div>
+            <h3 className="text-lg font-semibold">Handoffs</h3>
+            <p className="text-xs text-gray-500">Chats escalated to the support team</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 min-h-0 grid grid-cols-1 md:grid-cols-3">
+          <div className="border-r flex flex-col min-h-0">
+            <div className="p-4 border-b">
+              <select
+                value={filter}
+                onChange={(e) => setFilter(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {FILTERS.map(({ value, label }) => (
+                  <option key={label} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            {isLoading ? (
+              <div className="p-8 text-center">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+                <p className="text-gray-600 mt-2">Loading...</p>
+              </div>
+            ) : tickets.length === 0 ? (
+              <p className={`p-4 text-sm ${loadError ? 'text-red-600' : 'text-gray-500'}`}>{loadError || 'No tickets.'}</p>
+            ) : (
+              <ul className="flex-1 overflow-y-auto divide-y divide-gray-200">
+                {tickets.map(item => (
+                  <li key={item.id}>
+                    <button
+                      onClick={() => setSelectedId(item.id)}
+                      className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${item.id === selectedId ? 'bg-blue-50' : ''}`}
+                    >
+                      <div className="flex justify-between items-center gap-2">
+                        <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[item.status]}`}>{item.status}</span>
+                        <span className="text-xs text-gray-400">{formatTime(item.updatedAt)}</span>
+                      </div>
+                      <div className="text-xs text-gray-500 mt-1">{REASONS[item.reason]}</div>
+                      {item.lastMessage && (
+                        <div className="text-sm text-gray-800 mt-1 truncate">
+                          {item.lastMessage.from === 'agent' ? 'You: ' : ''}{item.lastMessage.text}
+                        </div>
+                      )}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="md:col-span-2 flex flex-col min-h-0">
+            {!ticket ? (
+              <p className="p-6 text-sm text-gray-500">Select a ticket to see the conversation.</p>
+            ) : (
+              <>
+                <div className="px-6 py-3 border-b flex justify-between items-center gap-4">
+                  <div className="text-xs text-gray-500">
+                    Session {ticket.sessionId} · {REASONS[ticket.reason]} · opened {formatTime(ticket.createdAt)}
+                    {ticket.agent && ` · last reply by ${ticket.agent}`}
+                  </div>
+                  {ticket.status === 'closed' ? (
+                    <button
+                      onClick={() => setStatus('open')}
+                      disabled={isSaving}
+                      className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                    >
+                      <RotateCcw className="w-4 h-4" />
+                      Reopen
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => setStatus('closed')}
+                      disabled={isSaving}
+                      className="flex items-center gap-1 text-sm text-green-700 hover:text-green-800 disabled:opacity-50"
+                    >
+                      <CheckCircle className="w-4 h-4" />
+                      Close
+                    </button>
+                  )}
+                </div>
+
+                <div className="flex-1 overflow-y-auto px-6 py-4 space-y-2">
+                  {ticket.summary && (
+                    <div className="text-xs text-gray-600 bg-gray-50 border rounded-lg px-3 py-2">
+                      <span className="font-medium">Earlier conversation: </span>{ticket.summary}
+                    </div>
+                  )}
+                  {ticket.transcript.map((turn, index) => (
+                    <div key={index} className={`flex ${turn.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+                      <div className="max-w-[80%] rounded-lg px-3 py-2 text-sm whitespace-pre-wrap bg-gray-100 text-gray-700">
+                        <div className="text-xs text-gray-400 mb-1">{turn.role === 'user' ? 'Customer' : 'Assistant'}</div>
+                        {turn.content}
+                      </div>
+                    </div>
+                  ))}
+                  <div className="text-center text-xs text-gray-400 py-2">Handed off to the support team</div>
+                  {ticket.messages.map(message => (
+                    <div key={message.id} className={`flex ${message.from === 'customer' ? 'justify-end' : 'justify-start'}`}>
+                      <div className={`max-w-[80%] rounded-lg px-3 py-2 text-sm whitespace-pre-wrap ${
+                        message.from === 'customer' ? 'bg-blue-600 text-white' : 'bg-green-100 text-gray-900'
+                      }`}>
+                        <div className={`text-xs mb-1 ${message.from === 'customer' ? 'text-blue-100' : 'text-gray-500'}`}>
+                          {message.from === 'customer' ? 'Customer' : message.author} · {formatTime(message.createdAt)}
+                        </div>
+                        {message.text}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                {error && <p className="px-6 text-sm text-red-600">{error}</p>}
+
+                <form onSubmit={sendReply} className="px-6 py-4 border-t flex gap-2">
+                  <textarea
+                    value={reply}
+                    onChange={(e) => setReply(e.target.value)}
+                    rows={2}
+                    disabled={ticket.status === 'closed'}
+                    placeholder={ticket.status === 'closed' ? 'Reopen the ticket to reply' : `Reply as ${author || 'Support'}`}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-50"
+                  />
+                  <button
+                    type="submit"
+                    disabled={isSaving || ticket.status === 'closed' || !reply.trim()}
+                    className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+                  >
+                    <Send className="w-4 h-4" />
+                    Send
+                  </button>
+                </form>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react';
+import { X, Download } from 'lucide-react';
+
+interface Lead {
+  id: string;
+  sessionId: string;
+  name: string;
+  email: string;
+  phone: string | null;
+  projectType: string;
+  request: string;
+  createdAt: string;
+  transcript?: { role: 'user' | 'assistant'; content: string }[];
+}
+
+interface LeadListProps {
+  adminToken: string;
+  onClose: () => void;
+}
+
+export function LeadList({ adminToken, onClose }: LeadListProps) {
+  const [leads, setLeads] = useState<Lead[]>([]);
+  const [selected, setSelected] = useState<Lead | null>(null);
+  const [loadError, setLoadError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    loadLeads();
+  }, [adminToken]);
+
+  // The lead endpoints require the admin token
+  const authHeaders = { Authorization: `Bearer ${adminToken}` };
+
+  const loadLeads = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/leads', { headers: authHeaders });
+      const data = await response.json();
+
+      if (response.ok) {
+        setLeads(data.leads);
+        setLoadError('');
+      } else {
+        setLeads([]);
+        setLoadError(data.message);
+      }
+    } catch (error) {
+      console.error('Error loading leads:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // The transcript is only fetched for the lead being viewed
+  const selectLead = async (lead: Lead) => {
+    if (selected?.id === lead.id) {
+      setSelected(null);
+      return;
+    }
+    setSelected(lead);
+    try {
+      const response = await fetch(`/api/leads/${lead.id}`, { headers: authHeaders });
+      const data = await response.json();
+
+      if (response.ok) {
+        setSelected(data.lead);
+      } else {
+        console.error('Failed to load lead:', data.message);
+      }
+    } catch (error) {
+      console.error('Error loading lead:', error);
+    }
+  };
+
+  // A plain download link cannot send the token, so the file is fetched first
+  const exportCsv = async () => {
+    try {
+      const response = await fetch('/api/leads?format=csv', { headers: authHeaders });
+
+      if (!response.ok) {
+        const data = await response.json();
+        console.error('Failed to export leads:', data.message);
+        return;
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'leads.csv';
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting leads:', error);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-5xl max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center px-6 py-4 border-b">
+          <div>
+            <h3 className="text-lg font-semibold">Leads</h3>
+            <p className="text-xs text-gray-500">Quote and consultation requests captured in chat</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={exportCsv}
+              className="flex items-center gap-2 bg-white text-gray-700 border border-gray-300 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors text-sm"
+            >
+              <Download className="w-4 h-4" />
+              Export CSV
+            </button>
+            <button
+              onClick={onClose}
+              className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {isLoading ? (
+            <div className="p-8 text-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+              <p className="text-gray-600 mt-2">Loading...</p>
+            </div>
+          ) : leads.length === 0 ? (
+            <p className={`p-6 text-sm ${loadError ? 'text-red-600' : 'text-gray-500'}`}>
+              {loadError || 'No leads yet. They appear here when a customer asks the chat for a quote or consultation.'}
+            </p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase">
+                <tr>
+                  <th className="px-6 py-3">Received</th>
+                  <th className="px-6 py-3">Name</th>
+                  <th className="px-6 py-3">Email</th>
+                  <th className="px-6 py-3">Phone</th>
+                  <th className="px-6 py-3">Project</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {leads.map(lead => (
+                  <React.Fragment key={lead.id}>
+                    <tr
+                      onClick={() => selectLead(lead)}
+                      className={`cursor-pointer hover:bg-gray-50 ${selected?.id === lead.id ? 'bg-blue-50' : ''}`}
+                    >
+                      <td className="px-6 py-3 text-gray-500 whitespace-nowrap">{new Date(lead.createdAt).toLocaleString()}</td>
+                      <td className="px-6 py-3 text-gray-900">{lead.name}</td>
+                      <td className="px-6 py-3">
+                        <a href={`mailto:${lead.email}`} onClick={(e) => e.stopPropagation()} className="text-blue-600 hover:underline">
+                          {lead.email}
+                        </a>
+                      </td>
+                      <td className="px-6 py-3 text-gray-700 whitespace-nowrap">{lead.phone || '—'}</td>
+                      <td className="px-6 py-3 text-gray-700">{lead.projectType}</td>
+                    </tr>
+                    {selected?.id === lead.id && (
+                      <tr>
+                        <td colSpan={5} className="px-6 py-4 bg-gray-50">
+                          <p className="text-xs text-gray-500 mb-2">
+                            Request: <span className="text-gray-800">{lead.request}</span> · session {lead.sessionId}
+                          </p>
+                          {!selected.transcript ? (
+                            <p className="text-xs text-gray-500">Loading transcript...</p>
+                          ) : (
+                            <div className="space-y-2 max-h-72 overflow-y-auto">
+                              {selected.transcript.map((turn, index) => (
+                                <div key={index} className={`flex ${turn.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+                                  <div className="max-w-[80%] rounded-lg px-3 py-2 text-sm whitespace-pre-wrap bg-white border text-gray-700">
+                                    <div className="text-xs text-gray-400 mb-1">{turn.role === 'user' ? 'Customer' : 'Assistant'}</div>
+                                    {turn.content}
+                                  </div>
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,14 @@
-import React from 'react';
+import React, { useState } from 'react';
+
+// Knowledge base entry an AI reply was based on
+export interface MessageSource {
+  ref: number;
+  id: string;
+  key: string;
+  score: number;
+  excerpt: string;
+  cited: boolean;
+}
 
 interface MessageBubbleProps {
   message: {
@@ -7,10 +17,15 @@ interface MessageBubbleProps {
     type: 'user' | 'ai';
     timestamp: Date;
     isError?: boolean;
+    sources?: MessageSource[];
+    // Name of the support agent who wrote the message, after a handoff
+    author?: string;
   };
 }
 
 export function MessageBubble({ message }: MessageBubbleProps) {
+  const [openSource, setOpenSource] = useState<number | null>(null);
+
   const formatTime = (date: Date) => {
     return date.toLocaleTimeString('en-US', { 
       hour: '2-digit', 
@@ -24,6 +39,9 @@ export function MessageBubble({ message }: MessageBubbleProps) {
   return (
     <div className={`flex w-full ${isUser ? 'justify-end' : 'justify-start'} mb-3 md:mb-4`}>
       <div className={`max-w-[85%] md:max-w-[80%] ${isUser ? 'order-1' : 'order-2'}`}>
+        {message.author && (
+          <div className="text-xs text-gray-500 mb-1">{message.author} · Support team</div>
+        )}
         <div 
           className={`
             rounded-2xl px-3 py-2 md:px-4 md:py-3 break-words
@@ -36,6 +54,38 @@ export function MessageBubble({ message }: MessageBubbleProps) {
         >
           <div className="whitespace-pre-wrap text-sm md:text-base">{message.content}</div>
         </div>
+        {message.sources && message.sources.length > 0 && (
+          <div className="mt-2">
+            <div className="flex flex-wrap gap-1">
+              {message.sources.map(source => (
+                <button
+                  key={source.id}
+                  onClick={() => setOpenSource(openSource === source.ref ? null : source.ref)}
+                  title={`Relevance ${source.score}${source.cited ? '' : ' · not cited in the answer'}`}
+                  className={`
+                    text-xs px-2 py-1 rounded-full border transition-colors
+                    ${openSource === source.ref
+                      ? 'bg-gray-800 text-white border-gray-800'
+                      : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'
+                    }
+                    ${source.cited ? '' : 'opacity-60'}
+                  `}
+                >
+                  [{source.ref}] {source.key}
+                </button>
+              ))}
+            </div>
+            {message.sources
+              .filter(source => source.ref === openSource)
+              .map(source => (
+                <div key={source.id} className="mt-1 text-xs text-gray-600 bg-white border border-gray-200 rounded-lg px-3 py-2">
+                  <div className="font-medium text-gray-800">{source.key}</div>
+                  <div className="mt-1 whitespace-pre-wrap">{source.excerpt}</div>
+                  <div className="mt-1 text-gray-400">Entry {source.id} · relevance {source.score}</div>
+                </div>
+              ))}
+          </div>
+        )}
         <div className={`text-xs text-gray-500 mt-1 ${isUser ? 'text-right' : 'text-left'}`}>
           {formatTime(message.timestamp)}
         </div>
@@ -0,0 +1,391 @@
+import React, { useState, useEffect } from 'react';
+import { X, Save, Eye, Send, RotateCcw, Trash2 } from 'lucide-react';
+
+interface PromptConfig {
+  personaName: string;
+  companyName: string;
+  tone: string;
+  escalation: string;
+  rules: string[];
+  variables: Record<string, string>;
+  fallbackMessage: string;
+  template: string;
+}
+
+interface PromptVersion {
+  version: number;
+  publishedAt: string | null;
+  publishedBy: string | null;
+  note: string | null;
+}
+
+interface PromptDraft {
+  config: PromptConfig;
+  updatedAt: string;
+  updatedBy: string | null;
+}
+
+interface PromptPreview {
+  systemPrompt: string;
+  prompt?: string;
+}
+
+interface PromptSettingsProps {
+  author: string;
+  adminToken: string;
+  onClose: () => void;
+}
+
+// Form state: rules one per line, variables as "name = value" lines
+interface PromptForm {
+  personaName: string;
+  companyName: string;
+  tone: string;
+  escalation: string;
+  rules: string;
+  variables: string;
+  fallbackMessage: string;
+  template: string;
+}
+
+const toForm = (config: PromptConfig): PromptForm => ({
+  personaName: config.personaName,
+  companyName: config.companyName,
+  tone: config.tone,
+  escalation: config.escalation,
+  rules: config.rules.join('\n'),
+  variables: Object.entries(config.variables).map(([name, value]) => `${name} = ${value}`).join('\n'),
+  fallbackMessage: config.fallbackMessage,
+  template: config.template,
+});
+
+const fromForm = (form: PromptForm): PromptConfig => ({
+  personaName: form.personaName,
+  companyName: form.companyName,
+  tone: form.tone,
+  escalation: form.escalation,
+  rules: form.rules.split('\n').map(rule => rule.trim()).filter(rule => rule),
+  variables: Object.fromEntries(
+    form.variables
+      .split('\n')
+      .filter(line => line.includes('='))
+      .map(line => {
+        const separator = line.indexOf('=');
+        return [line.slice(0, separator).trim(), line.slice(separator + 1).trim()];
+      })
+  ),
+  fallbackMessage: form.fallbackMessage,
+  template: form.template,
+});
+
+const TEXT_FIELDS: { name: keyof PromptForm; label: string }[] = [
+  { name: 'personaName', label: 'Persona name' },
+  { name: 'companyName', label: 'Company name' },
+  { name: 'tone', label: 'Tone' },
+  { name: 'escalation', label: 'Escalation wording' },
+];
+
+export function PromptSettings({ author, adminToken, onClose }: PromptSettingsProps) {
+  const [form, setForm] = useState<PromptForm | null>(null);
+  const [published, setPublished] = useState<PromptVersion | null>(null);
+  const [draft, setDraft] = useState<PromptDraft | null>(null);
+  const [versions, setVersions] = useState<PromptVersion[]>([]);
+  const [sampleMessage, setSampleMessage] = useState('');
+  const [preview, setPreview] = useState<PromptPreview | null>(null);
+  const [error, setError] = useState('');
+  const [loadError, setLoadError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    loadPromptConfig();
+  }, [adminToken]);
+
+  // The prompt endpoints require the admin token
+  const authHeaders = { Authorization: `Bearer ${adminToken}` };
+
+  const loadPromptConfig = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/prompt', { headers: authHeaders });
+      const data = await response.json();
+
+      if (response.ok) {
+        setPublished(data.published);
+        setDraft(data.draft);
+        setVersions(data.versions || []);
+        // Continue editing the draft if there is one
+        setForm(toForm(data.draft ? data.draft.config : data.published.config));
+        setPreview(null);
+        setLoadError('');
+      } else {
+        setLoadError(data.message);
+      }
+    } catch (error) {
+      console.error('Error loading prompt settings:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const request = async (url: string, method: string, body?: object) => {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message);
+    }
+    return data;
+  };
+
+  const run = async (action: () => Promise<void>) => {
+    setIsSaving(true);
+    setError('');
+    try {
+      await action();
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Request failed');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const previewPrompt = () => run(async () => {
+    if (!form) return;
+    const data = await request('/api/prompt/preview', 'POST', {
+      config: fromForm(form),
+      message: sampleMessage.trim() || undefined,
+    });
+    setPreview(data);
+  });
+
+  const saveDraft = () => run(async () => {
+    if (!form) return;
+    const data = await request('/api/prompt', 'PUT', { config: fromForm(form), author: author || undefined });
+    setDraft(data.draft);
+  });
+
+  const publish = () => run(async () => {
+    if (!form) return;
+    if (!confirm('Publish this prompt? The chatbot will use it for new messages right away.')) return;
+    await request('/api/prompt', 'PUT', { config: fromForm(form), author: author || undefined });
+    await request('/api/prompt/publish', 'POST', { author: author || undefined });
+    await loadPromptConfig();
+  });
+
+  const discardDraft = () => run(async () => {
+    if (!confirm('Discard the draft and go back to the published prompt?')) return;
+    await request('/api/prompt', 'DELETE');
+    await loadPromptConfig();
+  });
+
+  const restoreVersion = (version: number) => run(async () => {
+    if (!confirm(`Publish a copy of version ${version}? The chatbot will use it right away.`)) return;
+    await request('/api/prompt/publish', 'POST', { version, author: author || undefined });
+    await loadPromptConfig();
+  });
+
+  const renderVersionLabel = (version: PromptVersion) => (
+    `v${version.version}${version.publishedBy ? ` by ${version.publishedBy}` : ''}` +
+    (version.publishedAt ? ` · ${new Date(version.publishedAt).toLocaleString()}` : ' · built-in default')
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-5xl max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center px-6 py-4 border-b">
+          <div>
+            <h3 className="text-lg font-semibold">Chatbot Prompt</h3>
+            {published && (
+              <p className="text-xs text-gray-500">
+                Live: {renderVersionLabel(published)}
+                {draft && ` · Unpublished draft saved ${new Date(draft.updatedAt).toLocaleString()}`}
+              </p>
+            )}
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        {loadError && !form ? (
+          <p className="p-6 text-sm text-red-600">{loadError}</p>
+        ) : isLoading || !form ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+            <p className="text-gray-600 mt-2">Loading...</p>
+          </div>
+        ) : (
+          <div className="flex-1 overflow-y-auto p-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {TEXT_FIELDS.map(({ name, label }) => (
+                  <div key={name}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                    <input
+                      type="text"
+                      value={form[name]}
+                      onChange={(e) => setForm({ ...form, [name]: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                ))}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Answer rules (one per line)</label>
+                <textarea
+                  value={form.rules}
+                  onChange={(e) => setForm({ ...form, rules: e.target.value })}
+                  rows={4}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Variables (name = value per line)</label>
+                <textarea
+                  value={form.variables}
+                  onChange={(e) => setForm({ ...form, variables: e.target.value })}
+                  rows={3}
+                  placeholder="officeHours = Monday to Friday, 9am to 5pm"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Fallback message</label>
+                <textarea
+                  value={form.fallbackMessage}
+                  onChange={(e) => setForm({ ...form, fallbackMessage: e.target.value })}
+                  rows={2}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Sent instead of a model reply when strict grounding finds no relevant knowledge. Variables work here too.
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Template</label>
+                <textarea
+                  value={form.template}
+                  onChange={(e) => setForm({ ...form, template: e.target.value })}
+                  rows={10}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Use {'{{personaName}}'}, {'{{companyName}}'}, {'{{tone}}'}, {'{{escalation}}'}, {'{{rules}}'} and your own variables.
+                </p>
+              </div>
+
+              {error && <p className="text-sm text-red-600">{error}</p>}
+
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={saveDraft}
+                  disabled={isSaving}
+                  className="flex items-center gap-2 bg-white text-gray-700 border border-gray-300 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                >
+                  <Save className="w-4 h-4" />
+                  Save Draft
+                </button>
+                <button
+                  onClick={publish}
+                  disabled={isSaving}
+                  className="flex items-center gap-2 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+                >
+                  <Send className="w-4 h-4" />
+                  Publish
+                </button>
+                {draft && (
+                  <button
+                    onClick={discardDraft}
+                    disabled={isSaving}
+                    className="flex items-center gap-2 text-red-600 px-4 py-2 rounded-lg hover:bg-red-50 transition-colors disabled:opacity-50"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                    Discard Draft
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Preview with a sample question (optional)</label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={sampleMessage}
+                    onChange={(e) => setSampleMessage(e.target.value)}
+                    placeholder="What are your office hours?"
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <button
+                    onClick={previewPrompt}
+                    disabled={isSaving}
+                    className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+                  >
+                    <Eye className="w-4 h-4" />
+                    Preview
+                  </button>
+                </div>
+              </div>
+
+              {preview && (
+                <div className="space-y-2">
+                  <h4 className="text-sm font-medium text-gray-700">System instruction</h4>
+                  <pre className="bg-gray-50 border rounded-lg p-4 text-xs text-gray-800 whitespace-pre-wrap max-h-72 overflow-y-auto">
+                    {preview.systemPrompt}
+                  </pre>
+                  {preview.prompt && (
+                    <>
+                      <h4 className="text-sm font-medium text-gray-700">Customer turn</h4>
+                      <pre className="bg-gray-50 border rounded-lg p-4 text-xs text-gray-800 whitespace-pre-wrap max-h-72 overflow-y-auto">
+                        {preview.prompt}
+                      </pre>
+                    </>
+                  )}
+                </div>
+              )}
+
+              <div>
+                <h4 className="text-sm font-medium text-gray-700 mb-2">Published versions</h4>
+                {versions.length === 0 ? (
+                  <p className="text-sm text-gray-500">Nothing published yet; the built-in default prompt is live.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200 border rounded-lg">
+                    {versions.map(version => (
+                      <li key={version.version} className="px-4 py-2 text-sm flex justify-between items-center gap-2">
+                        <span>
+                          {renderVersionLabel(version)}
+                          {version.note && <span className="text-gray-500"> · {version.note}</span>}
+                        </span>
+                        {version.version !== published?.version && (
+                          <button
+                            onClick={() => restoreVersion(version.version)}
+                            disabled={isSaving}
+                            className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                          >
+                            <RotateCcw className="w-3 h-3" />
+                            Restore
+                          </button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,266 @@
+import React, { useState, useEffect } from 'react';
+import { X, RotateCcw } from 'lucide-react';
+
+interface RevisionSnapshot {
+  key: string;
+  value: string;
+  tags: string[];
+}
+
+interface Revision {
+  revision: number;
+  action: 'create' | 'update' | 'revert' | 'import';
+  author: string | null;
+  timestamp: string;
+  changedFields: string[];
+  revertedFrom?: number;
+  snapshot: RevisionSnapshot;
+}
+
+interface DiffOp {
+  type: 'equal' | 'delete' | 'insert';
+  text: string;
+}
+
+interface RevisionDiff {
+  from: Revision;
+  to: Revision;
+  changes: {
+    key: DiffOp[];
+    value: DiffOp[];
+    tags: { added: string[]; removed: string[]; unchanged: string[] };
+  };
+}
+
+interface RevisionHistoryProps {
+  entryId: string;
+  currentRevision: number;
+  author: string;
+  onClose: () => void;
+  onReverted: (entry: any) => void;
+}
+
+const actionLabels: Record<Revision['action'], string> = {
+  create: 'Created',
+  update: 'Edited',
+  revert: 'Reverted',
+  import: 'Original',
+};
+
+export function RevisionHistory({ entryId, currentRevision, author, onClose, onReverted }: RevisionHistoryProps) {
+  const [revisions, setRevisions] = useState<Revision[]>([]);
+  const [fromRevision, setFromRevision] = useState<number | null>(null);
+  const [toRevision, setToRevision] = useState<number | null>(null);
+  const [diff, setDiff] = useState<RevisionDiff | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isReverting, setIsReverting] = useState(false);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [entryId]);
+
+  useEffect(() => {
+    if (fromRevision !== null && toRevision !== null) {
+      loadDiff(fromRevision, toRevision);
+    }
+  }, [fromRevision, toRevision]);
+
+  const loadRevisions = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/knowledge/${entryId}/revisions`);
+      const data = await response.json();
+
+      if (response.ok) {
+        const history: Revision[] = data.revisions || [];
+        setRevisions(history);
+        // Default to comparing the latest revision with the one before it
+        setToRevision(history[0]?.revision ?? null);
+        setFromRevision(history[1]?.revision ?? history[0]?.revision ?? null);
+      } else {
+        console.error('Failed to load revisions:', data.message);
+      }
+    } catch (error) {
+      console.error('Error loading revisions:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadDiff = async (from: number, to: number) => {
+    try {
+      const response = await fetch(`/api/knowledge/${entryId}/revisions?from=${from}&to=${to}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setDiff(data.diff);
+      } else {
+        console.error('Failed to compare revisions:', data.message);
+      }
+    } catch (error) {
+      console.error('Error comparing revisions:', error);
+    }
+  };
+
+  const revertTo = async (revision: number) => {
+    if (!confirm(`Restore revision ${revision}? The current content will be kept in the history.`)) {
+      return;
+    }
+
+    setIsReverting(true);
+    try {
+      const response = await fetch(`/api/knowledge/${entryId}/revert`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'If-Match': `"${currentRevision}"`,
+        },
+        body: JSON.stringify({ revision, author }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        onReverted(data.entry);
+      } else if (response.status === 409 && data.entry) {
+        onReverted(data.entry);
+        alert('This entry was changed by someone else. The latest version has been loaded; review the history and try again.');
+      } else {
+        alert('Failed to restore revision: ' + data.message);
+      }
+    } catch (error) {
+      console.error('Error restoring revision:', error);
+      alert('Error restoring revision');
+    } finally {
+      setIsReverting(false);
+    }
+  };
+
+  const renderOps = (ops: DiffOp[], side: 'from' | 'to') => (
+    ops
+      .filter(op => op.type === 'equal' || op.type === (side === 'from' ? 'delete' : 'insert'))
+      .map((op, index) => (
+        <span
+          key={index}
+          className={
+            op.type === 'delete' ? 'bg-red-100 text-red-800 line-through' :
+            op.type === 'insert' ? 'bg-green-100 text-green-800' : ''
+          }
+        >
+          {op.text}
+        </span>
+      ))
+  );
+
+  const renderTags = (side: 'from' | 'to') => {
+    if (!diff) return null;
+    const changed = side === 'from' ? diff.changes.tags.removed : diff.changes.tags.added;
+    const changedClass = side === 'from' ? 'bg-red-100 text-red-800 line-through' : 'bg-green-100 text-green-800';
+
+    return (
+      <div className="flex flex-wrap gap-1">
+        {diff.changes.tags.unchanged.map(tag => (
+          <span key={tag} className="inline-block bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded-full">{tag}</span>
+        ))}
+        {changed.map(tag => (
+          <span key={tag} className={`inline-block text-xs px-2 py-1 rounded-full ${changedClass}`}>{tag}</span>
+        ))}
+      </div>
+    );
+  };
+
+  const renderRevisionLabel = (revision: Revision) => (
+    `#${revision.revision} · ${actionLabels[revision.action]}${revision.author ? ` by ${revision.author}` : ''} · ${new Date(revision.timestamp).toLocaleString()}`
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-5xl max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center px-6 py-4 border-b">
+          <h3 className="text-lg font-semibold">Revision History</h3>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        {isLoading ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+            <p className="text-gray-600 mt-2">Loading...</p>
+          </div>
+        ) : (
+          <div className="flex-1 overflow-y-auto p-6 space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {(['from', 'to'] as const).map(side => (
+                <div key={side}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {side === 'from' ? 'Compare' : 'With'}
+                  </label>
+                  <select
+                    value={(side === 'from' ? fromRevision : toRevision) ?? ''}
+                    onChange={(e) => (side === 'from' ? setFromRevision : setToRevision)(parseInt(e.target.value))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {revisions.map(revision => (
+                      <option key={revision.revision} value={revision.revision}>
+                        {renderRevisionLabel(revision)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+
+            {diff && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {(['from', 'to'] as const).map(side => {
+                  const revision = diff[side];
+                  return (
+                    <div key={side} className="border rounded-lg p-4">
+                      <div className="flex justify-between items-start mb-3">
+                        <div className="text-xs text-gray-500">
+                          Revision {revision.revision}
+                          {revision.revertedFrom && ` (restored from #${revision.revertedFrom})`}
+                        </div>
+                        {revision.revision !== currentRevision && (
+                          <button
+                            onClick={() => revertTo(revision.revision)}
+                            disabled={isReverting}
+                            className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                          >
+                            <RotateCcw className="w-3 h-3" />
+                            Restore
+                          </button>
+                        )}
+                      </div>
+                      <h4 className="font-semibold text-gray-900 mb-2">{renderOps(diff.changes.key, side)}</h4>
+                      <p className="text-gray-700 mb-3 whitespace-pre-wrap">{renderOps(diff.changes.value, side)}</p>
+                      {renderTags(side)}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+
+            <div>
+              <h4 className="text-sm font-medium text-gray-700 mb-2">All revisions</h4>
+              <ul className="divide-y divide-gray-200 border rounded-lg">
+                {revisions.map(revision => (
+                  <li key={revision.revision} className="px-4 py-2 text-sm flex justify-between">
+                    <span>{renderRevisionLabel(revision)}</span>
+                    <span className="text-gray-500">
+                      {revision.changedFields.length > 0 ? revision.changedFields.join(', ') : 'no changes'}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
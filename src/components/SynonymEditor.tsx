@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { X, Save } from 'lucide-react';
+
+interface SynonymEditorProps {
+  onClose: () => void;
+}
+
+// One group per line, words separated by commas
+const toText = (groups: string[][]) => groups.map(group => group.join(', ')).join('\n');
+
+const fromText = (text: string) => text
+  .split('\n')
+  .map(line => line.split(',').map(word => word.trim()).filter(word => word))
+  .filter(group => group.length > 0);
+
+export function SynonymEditor({ onClose }: SynonymEditorProps) {
+  const [text, setText] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    loadSynonyms();
+  }, []);
+
+  const loadSynonyms = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/knowledge/synonyms');
+      const data = await response.json();
+
+      if (response.ok) {
+        setText(toText(data.synonyms || []));
+      } else {
+        console.error('Failed to load synonyms:', data.message);
+      }
+    } catch (error) {
+      console.error('Error loading synonyms:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const saveSynonyms = async () => {
+    setIsSaving(true);
+    try {
+      const response = await fetch('/api/knowledge/synonyms', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ synonyms: fromText(text) }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        onClose();
+      } else {
+        alert('Failed to save synonyms: ' + data.message);
+      }
+    } catch (error) {
+      console.error('Error saving synonyms:', error);
+      alert('Error saving synonyms');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-2xl max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center px-6 py-4 border-b">
+          <h3 className="text-lg font-semibold">Search Synonyms</h3>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        {isLoading ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+            <p className="text-gray-600 mt-2">Loading...</p>
+          </div>
+        ) : (
+          <div className="flex-1 overflow-y-auto p-6 space-y-4">
+            <p className="text-sm text-gray-600">
+              One group per line, words separated by commas. A search for any word in a group also finds entries using the others.
+            </p>
+            <textarea
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              rows={12}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              placeholder={'cost, price, pricing, rates\nrenovation, remodel'}
+            />
+            <div className="flex gap-2">
+              <button
+                onClick={saveSynonyms}
+                disabled={isSaving}
+                className="flex items-center gap-2 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+              >
+                <Save className="w-4 h-4" />
+                Save
+              </button>
+              <button
+                onClick={onClose}
+                className="flex items-center gap-2 bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 transition-colors"
+              >
+                <X className="w-4 h-4" />
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from 'react';
+import { X, RotateCcw, Trash2 } from 'lucide-react';
+
+interface TrashedEntry {
+  id: string;
+  key: string;
+  value: string;
+  tags?: string[];
+  revision?: number;
+  createdAt: string;
+  updatedAt: string;
+  deletedAt: string;
+  deletedBy: string | null;
+  purgeAt: string;
+}
+
+interface TrashBinProps {
+  onClose: () => void;
+  onRestored: (entry: any) => void;
+}
+
+export function TrashBin({ onClose, onRestored }: TrashBinProps) {
+  const [entries, setEntries] = useState<TrashedEntry[]>([]);
+  const [retentionDays, setRetentionDays] = useState<number | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    loadTrash();
+  }, []);
+
+  const loadTrash = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/knowledge/trash');
+      const data = await response.json();
+
+      if (response.ok) {
+        setEntries(data.entries || []);
+        setRetentionDays(data.retentionDays ?? null);
+      } else {
+        console.error('Failed to load trash:', data.message);
+      }
+    } catch (error) {
+      console.error('Error loading trash:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const restoreEntry = async (id: string) => {
+    setIsWorking(true);
+    try {
+      const response = await fetch(`/api/knowledge/${id}/restore`, {
+        method: 'POST',
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setEntries(prev => prev.filter(entry => entry.id !== id));
+        onRestored(data.entry);
+      } else {
+        alert('Failed to restore entry: ' + data.message);
+      }
+    } catch (error) {
+      console.error('Error restoring entry:', error);
+      alert('Error restoring entry');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const purgeEntry = async (id: string) => {
+    if (!confirm('Permanently delete this entry? This cannot be undone.')) {
+      return;
+    }
+
+    setIsWorking(true);
+    try {
+      const response = await fetch(`/api/knowledge/trash?id=${encodeURIComponent(id)}`, {
+        method: 'DELETE',
+      });
+
+      if (response.ok) {
+        setEntries(prev => prev.filter(entry => entry.id !== id));
+      } else {
+        const data = await response.json();
+        alert('Failed to delete entry: ' + data.message);
+      }
+    } catch (error) {
+      console.error('Error deleting entry:', error);
+      alert('Error deleting entry');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const emptyTrash = async () => {
+    if (!confirm(`Permanently delete all ${entries.length} entries in the trash? This cannot be undone.`)) {
+      return;
+    }
+
+    setIsWorking(true);
+    try {
+      const response = await fetch('/api/knowledge/trash', {
+        method: 'DELETE',
+      });
+
+      if (response.ok) {
+        setEntries([]);
+      } else {
+        const data = await response.json();
+        alert('Failed to empty trash: ' + data.message);
+      }
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      alert('Error emptying trash');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-3xl max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center px-6 py-4 border-b">
+          <div>
+            <h3 className="text-lg font-semibold">Trash</h3>
+            {retentionDays !== null && (
+              <p className="text-xs text-gray-500">Deleted entries are kept for {retentionDays} days</p>
+            )}
+          </div>
+          <div className="flex gap-2">
+            {entries.length > 0 && (
+              <button
+                onClick={emptyTrash}
+                disabled={isWorking}
+                className="flex items-center gap-2 text-sm text-red-600 hover:bg-red-50 px-3 py-2 rounded-lg transition-colors disabled:opacity-50"
+              >
+                <Trash2 className="w-4 h-4" />
+                Empty trash
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+            <p className="text-gray-600 mt-2">Loading...</p>
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            <p>The trash is empty.</p>
+          </div>
+        ) : (
+          <ul className="flex-1 overflow-y-auto divide-y divide-gray-200">
+            {entries.map(entry => (
+              <li key={entry.id} className="px-6 py-4 flex justify-between items-start">
+                <div className="flex-1">
+                  <h4 className="font-semibold text-gray-900 mb-1">{entry.key}</h4>
+                  <p className="text-gray-700 text-sm mb-2 line-clamp-2">{entry.value}</p>
+                  <div className="text-xs text-gray-500">
+                    Deleted {new Date(entry.deletedAt).toLocaleString()}
+                    {entry.deletedBy && ` by ${entry.deletedBy}`}
+                    <span className="ml-4">
+                      Purged after {new Date(entry.purgeAt).toLocaleDateString()}
+                    </span>
+                  </div>
+                </div>
+                <div className="flex gap-2 ml-4">
+                  <button
+                    onClick={() => restoreEntry(entry.id)}
+                    disabled={isWorking}
+                    title="Restore"
+                    className="p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors disabled:opacity-50"
+                  >
+                    <RotateCcw className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => purgeEntry(entry.id)}
+                    disabled={isWorking}
+                    title="Delete permanently"
+                    className="p-2 text-gray-600 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+/**
+ * Tests for BM25 ranking and typo tolerance (lib/search/bm25Index.js)
+ */
+
+import assert from 'node:assert/strict';
+import { Bm25Index } from './lib/search/bm25Index.js';
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+  }
+}
+
+function createIndex(documents, options) {
+  const index = new Bm25Index(options);
+  documents.forEach(document => index.add(document));
+  return index;
+}
+
+const ids = results => results.map(result => result.document.id);
+
+console.log('🧪 Testing BM25 index...\n');
+
+console.log('1. Ranking');
+check('a match in the key outranks the same match in the value', () => {
+  const index = createIndex([
+    { id: 'value', key: 'Company history', tags: [], value: 'We have handled renovation work since 1990.' },
+    { id: 'key', key: 'Renovation services', tags: [], value: 'We have worked on many homes since 1990.' }
+  ]);
+  assert.deepEqual(ids(index.search('renovation')), ['key', 'value']);
+});
+
+check('a rare term counts for more than a common one', () => {
+  const index = createIndex([
+    { id: 'common', key: 'Project', tags: [], value: 'project project' },
+    { id: 'both', key: 'Project', tags: [], value: 'project timeline' },
+    { id: 'other', key: 'Project', tags: [], value: 'project budget' }
+  ]);
+  assert.equal(ids(index.search('project timeline'))[0], 'both');
+});
+
+check('a shorter document ranks above a longer one with the same matches', () => {
+  const filler = ' and more words about the company'.repeat(20);
+  const index = createIndex([
+    { id: 'long', key: 'Overview', tags: [], value: `Warranty details${filler}` },
+    { id: 'short', key: 'Overview', tags: [], value: 'Warranty details' }
+  ]);
+  assert.deepEqual(ids(index.search('warranty')), ['short', 'long']);
+});
+
+check('documents without a query term are left out', () => {
+  const index = createIndex([
+    { id: 'match', key: 'Pricing', tags: [], value: 'Our rates' },
+    { id: 'other', key: 'Contact', tags: [], value: 'Call us' }
+  ]);
+  assert.deepEqual(ids(index.search('pricing')), ['match']);
+});
+
+check('removed documents are no longer found', () => {
+  const index = createIndex([
+    { id: 'a', key: 'Pricing', tags: [], value: 'Our rates' },
+    { id: 'b', key: 'Pricing policy', tags: [], value: 'How we quote' }
+  ]);
+  index.remove('a');
+  assert.deepEqual(ids(index.search('pricing')), ['b']);
+});
+
+check('results are limited', () => {
+  const index = createIndex(
+    Array.from({ length: 5 }, (_, i) => ({ id: `d${i}`, key: 'Kitchen', tags: [], value: 'kitchen' }))
+  );
+  assert.equal(index.search('kitchen', 3).length, 3);
+});
+console.log();
+
+console.log('2. Typo tolerance');
+const documents = [
+  { id: 'renovation', key: 'Renovation', tags: [], value: 'Kitchen and bathroom renovation' },
+  { id: 'car', key: 'Parking', tags: [], value: 'Visitors can leave a car outside' }
+];
+
+check('one typo in a medium-length word still matches', () => {
+  assert.deepEqual(ids(createIndex(documents).search('kitchn')), ['renovation']);
+});
+
+check('two typos in a long word still match', () => {
+  assert.deepEqual(ids(createIndex(documents).search('renovtaoin')), ['renovation']);
+});
+
+check('short words must match exactly', () => {
+  assert.deepEqual(ids(createIndex(documents).search('cat')), []);
+});
+
+check('an exact match outranks a typo match', () => {
+  const index = createIndex([
+    { id: 'typo', key: 'Replacement', tags: [], value: 'widow' },
+    { id: 'exact', key: 'Replacement', tags: [], value: 'window' }
+  ]);
+  assert.deepEqual(ids(index.search('window')), ['exact', 'typo']);
+});
+
+check('typo matching can be turned off', () => {
+  assert.deepEqual(ids(createIndex(documents, { fuzzy: false }).search('kitchn')), []);
+});
+console.log();
+
+if (failures > 0) {
+  console.log(`❌ ${failures} BM25 index test(s) failed`);
+  process.exit(1);
+}
+console.log('🎉 All BM25 index tests passed!');
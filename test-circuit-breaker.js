@@ -0,0 +1,166 @@
+/**
+ * Tests for the model circuit breaker (lib/llm/circuitBreaker.js):
+ * closed -> open -> half-open -> closed/open transitions
+ */
+
+import assert from 'node:assert/strict';
+import { CircuitBreaker, getRetryAfterMs } from './lib/llm/circuitBreaker.js';
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+  }
+}
+
+// A breaker on a clock the test moves by hand
+function createBreaker(options = {}) {
+  const clock = { time: 1000000 };
+  const breaker = new CircuitBreaker({
+    cooldownMs: 60000,
+    windowMs: 60000,
+    failureRateThreshold: 0.5,
+    minimumRequests: 4,
+    ...options,
+    now: () => clock.time
+  });
+  return { breaker, clock };
+}
+
+const failure = new Error('503 Service Unavailable');
+
+console.log('🧪 Testing circuit breaker...\n');
+
+console.log('1. Closed');
+check('a new circuit is closed and lets requests through', () => {
+  const { breaker } = createBreaker();
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.allowRequest(), true);
+  assert.equal(breaker.allowRequest(), true);
+});
+
+check('failures below the minimum request count do not open it', () => {
+  const { breaker } = createBreaker();
+  for (let i = 0; i < 3; i++) breaker.recordFailure(failure);
+  assert.equal(breaker.state, 'closed');
+});
+
+check('a failure rate below the threshold does not open it', () => {
+  const { breaker } = createBreaker();
+  breaker.recordSuccess(100);
+  breaker.recordSuccess(100);
+  breaker.recordSuccess(100);
+  breaker.recordFailure(failure);
+  assert.equal(breaker.state, 'closed');
+});
+
+check('outcomes older than the window are forgotten', () => {
+  const { breaker, clock } = createBreaker();
+  for (let i = 0; i < 3; i++) breaker.recordFailure(failure);
+  clock.time += 60001;
+  breaker.recordFailure(failure);
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.getStatus().requests, 1);
+});
+console.log();
+
+console.log('2. Opening');
+check('reaching the failure rate threshold opens it', () => {
+  const { breaker } = createBreaker();
+  breaker.recordSuccess(100);
+  breaker.recordSuccess(100);
+  breaker.recordFailure(failure);
+  breaker.recordFailure(failure);
+  assert.equal(breaker.state, 'open');
+  assert.equal(breaker.allowRequest(), false);
+  assert.equal(breaker.isAvailable(), false);
+});
+
+check('trip opens it straight away', () => {
+  const { breaker } = createBreaker();
+  breaker.recordFailure(new Error('quota exceeded'), { trip: true });
+  assert.equal(breaker.state, 'open');
+});
+
+check('a Retry-After hint opens it for that long instead of the cooldown', () => {
+  const { breaker, clock } = createBreaker();
+  breaker.recordFailure(failure, { retryAfterMs: 5000 });
+  assert.equal(breaker.state, 'open');
+  clock.time += 4999;
+  assert.equal(breaker.allowRequest(), false);
+  clock.time += 1;
+  assert.equal(breaker.allowRequest(), true);
+});
+console.log();
+
+console.log('3. Half-open');
+function openBreaker() {
+  const setup = createBreaker();
+  setup.breaker.recordFailure(failure, { trip: true });
+  setup.clock.time += 60000;
+  return setup;
+}
+
+check('after the cooldown exactly one probe is let through', () => {
+  const { breaker } = openBreaker();
+  assert.equal(breaker.getStatus().state, 'half-open');
+  assert.equal(breaker.isAvailable(), true);
+  assert.equal(breaker.allowRequest(), true);
+  assert.equal(breaker.state, 'half-open');
+  assert.equal(breaker.allowRequest(), false);
+  assert.equal(breaker.isAvailable(), false);
+});
+
+check('a successful probe closes it and clears the window', () => {
+  const { breaker } = openBreaker();
+  breaker.allowRequest();
+  breaker.recordSuccess(100);
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.getStatus().requests, 0);
+  assert.equal(breaker.allowRequest(), true);
+});
+
+check('a failed probe opens it again for another cooldown', () => {
+  const { breaker, clock } = openBreaker();
+  breaker.allowRequest();
+  breaker.recordFailure(failure);
+  assert.equal(breaker.state, 'open');
+  clock.time += 59999;
+  assert.equal(breaker.allowRequest(), false);
+  clock.time += 1;
+  assert.equal(breaker.allowRequest(), true);
+});
+console.log();
+
+console.log('4. Status and retry hints');
+check('status reports the error rate and last error', () => {
+  const { breaker } = createBreaker();
+  breaker.recordSuccess(100);
+  breaker.recordSuccess(300);
+  breaker.recordFailure(failure);
+  const status = breaker.getStatus();
+  assert.equal(status.state, 'closed');
+  assert.equal(status.errorRate, 0.33);
+  assert.equal(status.averageLatencyMs, 200);
+  assert.equal(status.lastError, failure.message);
+});
+
+check('retry hints are read from the error', () => {
+  assert.equal(getRetryAfterMs({ retryAfterMs: 1500 }), 1500);
+  assert.equal(getRetryAfterMs({ errorDetails: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '12.5s' }] }), 12500);
+  assert.equal(getRetryAfterMs({ message: 'Quota exceeded, retry in 3s' }), 3000);
+  assert.equal(getRetryAfterMs({ message: 'Internal error' }), null);
+});
+console.log();
+
+if (failures > 0) {
+  console.log(`❌ ${failures} circuit breaker test(s) failed`);
+  process.exit(1);
+}
+console.log('🎉 All circuit breaker tests passed!');
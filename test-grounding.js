@@ -0,0 +1,103 @@
+/**
+ * Tests for grounding of chat replies (lib/llm/grounding.js): when retrieval
+ * is confident enough to answer, and which facts of a reply the knowledge
+ * base does not support
+ */
+
+import assert from 'node:assert/strict';
+import { findUnsupportedFacts, isConfident, loadGroundingPolicy } from './lib/llm/grounding.js';
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+  }
+}
+
+const policy = loadGroundingPolicy({});
+
+console.log('🧪 Testing grounding...\n');
+
+console.log('1. Policy');
+check('defaults to flag with a BM25 score of 1 and a similarity of 0.5', () => {
+  assert.deepEqual(policy, { mode: 'flag', minScore: 1, minSimilarity: 0.5 });
+});
+
+check('invalid settings are configuration errors', () => {
+  for (const env of [
+    { CHAT_GROUNDING: 'loose' },
+    { CHAT_GROUNDING_MIN_SCORE: '-1' },
+    { CHAT_GROUNDING_MIN_SIMILARITY: '1.5' },
+    { CHAT_GROUNDING_MIN_SIMILARITY: 'high' }
+  ]) {
+    assert.throws(() => loadGroundingPolicy(env), { code: 'CONFIGURATION_ERROR' }, JSON.stringify(env));
+  }
+});
+console.log();
+
+console.log('2. Confidence');
+check('BM25 sources are compared with the minimum score', () => {
+  assert.equal(isConfident([{ score: 0.4 }, { score: 1.7 }], policy), true);
+  assert.equal(isConfident([{ score: 0.99 }], policy), false);
+  assert.equal(isConfident([], policy), false);
+});
+
+check('blended semantic scores below 1 are not compared with the BM25 minimum', () => {
+  // A question the knowledge base answers: the blend is capped at 1
+  assert.equal(isConfident([{ score: 0.72, lexicalScore: 1.9, semanticScore: 0.31 }], policy), true);
+});
+
+check('a close paraphrase without shared words is confident by similarity', () => {
+  assert.equal(isConfident([{ score: 0.28, lexicalScore: 0, semanticScore: 0.7 }], policy), true);
+});
+
+check('a weak lexical and semantic match is not confident', () => {
+  // The best lexical match alone blends to at least 0.6
+  assert.equal(isConfident([{ score: 0.68, lexicalScore: 0.3, semanticScore: 0.2 }], policy), false);
+});
+console.log();
+
+console.log('3. Unsupported facts');
+const context = '[1] Contact: Call +1 (555) 123-4567 or email Info@Studio.example. Fees start at $1,500.';
+
+check('facts found in the context are supported', () => {
+  assert.deepEqual(findUnsupportedFacts('Fees start at $1500 [1]. Email info@studio.example.', context), []);
+});
+
+check('phone numbers match with or without a country code', () => {
+  assert.deepEqual(findUnsupportedFacts('Call 555-123-4567.', context), []);
+  assert.deepEqual(findUnsupportedFacts('Call 555.123.4567 or +44 555 123 4567.', '555 123 4567'), []);
+});
+
+check('invented numbers, emails and phone numbers are reported once each', () => {
+  assert.deepEqual(
+    findUnsupportedFacts('We charge $2,000, or $2,000 for rush jobs. Email sales@studio.example or call 555-987-6543.', context),
+    [
+      { type: 'email', value: 'sales@studio.example' },
+      { type: 'phone', value: '555-987-6543' },
+      { type: 'number', value: '2000' }
+    ]
+  );
+});
+
+check('citations and single digits used for list numbering are ignored', () => {
+  assert.deepEqual(findUnsupportedFacts('1. Book a call [2]\n2. Visit the studio [3]', ''), []);
+});
+
+check("numbers from the customer's own messages count as supported", () => {
+  const groundingText = `${context}\n\nI have a budget of 80,000 for 12 rooms`;
+  assert.deepEqual(findUnsupportedFacts('A budget of 80000 covers 12 rooms.', groundingText), []);
+});
+console.log();
+
+if (failures > 0) {
+  console.log(`❌ ${failures} grounding test(s) failed`);
+  process.exit(1);
+}
+console.log('🎉 All grounding tests passed!');
@@ -0,0 +1,112 @@
+/**
+ * Tests for handing chats off to the support team (lib/handoff/escalation.js
+ * and /api/chat): customer requests, repeated fallback replies and repeated
+ * model errors open a ticket
+ */
+
+import assert from 'node:assert/strict';
+import { getEscalationReason } from './lib/handoff/escalation.js';
+
+// Everything in memory, and a model server that refuses connections
+Object.assign(process.env, {
+  LLM_PROVIDER: 'openai',
+  OPENAI_BASE_URL: 'http://127.0.0.1:9/v1',
+  KB_STORAGE: 'memory',
+  PROMPT_STORE: 'memory',
+  CHAT_SESSION_STORE: 'memory',
+  HANDOFF_STORE: 'memory',
+  LEAD_STORE: 'memory',
+  HANDOFF_FAILURE_THRESHOLD: '3'
+});
+const { default: chat } = await import('./api/chat.js');
+
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+  }
+}
+
+async function send(sessionId, message) {
+  const result = await chat({
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ message, sessionId })
+  });
+  return { statusCode: result.statusCode, body: JSON.parse(result.body) };
+}
+
+const policy = { failureThreshold: 2 };
+
+console.log('🧪 Testing handoff escalation...\n');
+
+console.log('1. Escalation rules');
+await check('asking for a person escalates straight away', () => {
+  assert.equal(getEscalationReason({ message: 'Can I talk to a human?', failures: 0, failing: false }, policy), 'customer_request');
+});
+
+await check('a fallback reply that would reach the threshold escalates', () => {
+  assert.equal(getEscalationReason({ message: 'Hi', failures: 0, failing: true }, policy), null);
+  assert.equal(getEscalationReason({ message: 'Hi', failures: 1, failing: true }, policy), 'repeated_failures');
+});
+
+await check('failures already at the threshold escalate without another attempt', () => {
+  assert.equal(getEscalationReason({ message: 'Hi', failures: 1, failing: false }, policy), null);
+  assert.equal(getEscalationReason({ message: 'Hi', failures: 2, failing: false }, policy), 'repeated_failures');
+});
+
+await check('a threshold of 0 only escalates on request', () => {
+  assert.equal(getEscalationReason({ message: 'Hi', failures: 10, failing: true }, { failureThreshold: 0 }), null);
+});
+console.log();
+
+console.log('2. Model errors in /api/chat');
+// The provider logs every failed attempt
+const consoleError = console.error;
+console.error = () => {};
+
+try {
+  await check('three model errors in a row open a ticket on the next message', async () => {
+    const sessionId = 'escalation-model-errors';
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const { statusCode, body } = await send(sessionId, `What are your opening hours? (${attempt})`);
+      assert.equal(statusCode, 503, `attempt ${attempt} answered ${statusCode}`);
+      assert.equal(body.code, 'SERVICE_UNAVAILABLE');
+    }
+
+    const { statusCode, body } = await send(sessionId, 'Hello?');
+    assert.equal(statusCode, 200);
+    assert.equal(body.handoff.status, 'open');
+    assert.ok(body.handoff.ticketId);
+  });
+
+  await check('messages of a handed-off session are forwarded to the ticket', async () => {
+    const { statusCode, body } = await send('escalation-model-errors', 'Still there?');
+    assert.equal(statusCode, 200);
+    assert.equal(body.forwarded, true);
+    assert.equal(body.response, undefined);
+  });
+
+  await check('fewer model errors than the threshold do not open a ticket', async () => {
+    const sessionId = 'escalation-below-threshold';
+    await send(sessionId, 'What are your opening hours?');
+    const { statusCode, body } = await send(sessionId, 'Hello?');
+    assert.equal(statusCode, 503);
+    assert.equal(body.handoff, undefined);
+  });
+} finally {
+  console.error = consoleError;
+}
+console.log();
+
+if (failures > 0) {
+  console.log(`❌ ${failures} handoff escalation test(s) failed`);
+  process.exit(1);
+}
+console.log('🎉 All handoff escalation tests passed!');
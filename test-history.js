@@ -0,0 +1,214 @@
+/**
+ * Tests for conversation history (lib/llm/history.js): when turns are counted
+ * exactly, where the token budget cuts the history and when the oldest
+ * exchanges are folded into the rolling summary
+ */
+
+import assert from 'node:assert/strict';
+import { HistoryManager, createConversation, estimateTokens } from './lib/llm/history.js';
+
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+  }
+}
+
+// Run fn with console.error silenced, for failures the code under test logs
+async function quietly(fn) {
+  const error = console.error;
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.error = error;
+  }
+}
+
+/**
+ * A provider that records what it is asked to count and summarize
+ */
+function createProvider({ countTokens, summary = 'Jane wants a kitchen quote.' } = {}) {
+  const provider = {
+    counted: [],
+    prompts: [],
+    async generateSummary(prompt) {
+      provider.prompts.push(prompt);
+      if (summary instanceof Error) {
+        throw summary;
+      }
+      return summary;
+    }
+  };
+  if (countTokens) {
+    provider.countTokens = async text => {
+      provider.counted.push(text);
+      return countTokens(text);
+    };
+  }
+  return provider;
+}
+
+// Alternating user/assistant turns with the given token counts
+function createTurns(...tokens) {
+  return tokens.map((count, index) => ({
+    role: index % 2 === 0 ? 'user' : 'assistant',
+    content: `turn ${index}`,
+    tokens: count
+  }));
+}
+
+function contents(turns) {
+  return turns.map(turn => turn.content);
+}
+
+console.log('🧪 Testing conversation history...\n');
+
+console.log('1. Token estimates');
+await check('about four characters count as one token', async () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens(undefined), 0);
+  assert.equal(estimateTokens('abcd'), 1);
+  assert.equal(estimateTokens('abcde'), 2);
+});
+
+await check('user turns are estimated with their knowledge base context', async () => {
+  const history = new HistoryManager({ provider: createProvider(), maxTokens: 1000 });
+  const [user, assistant] = history.estimateTurns([
+    { role: 'user', content: 'Hi', context: 'x'.repeat(400) },
+    { role: 'assistant', content: 'abcdefgh' }
+  ]);
+  assert.ok(user.tokens > 100, `${user.tokens} tokens`);
+  assert.equal(user.tokensEstimated, true);
+  assert.equal(assistant.tokens, 2);
+});
+
+await check('turns that already have a count are not estimated again', async () => {
+  const history = new HistoryManager({ provider: createProvider(), maxTokens: 1000 });
+  const [turn] = history.estimateTurns([{ role: 'assistant', content: 'abcdefgh', tokens: 7 }]);
+  assert.deepEqual(turn, { role: 'assistant', content: 'abcdefgh', tokens: 7 });
+});
+console.log();
+
+console.log('2. Exact counts');
+await check('below 80% of the budget nothing is counted or summarized', async () => {
+  const provider = createProvider({ countTokens: () => 1 });
+  const history = new HistoryManager({ provider, maxTokens: 100, keepTurns: 1 });
+  const turns = createTurns(40, 40).map(turn => ({ ...turn, tokensEstimated: true }));
+  const result = await history.compact({ turns, summary: null });
+  assert.deepEqual(result.turns, turns);
+  assert.equal(result.summary, null);
+  assert.deepEqual(provider.counted, []);
+  assert.deepEqual(provider.prompts, []);
+});
+
+await check('near the budget estimated turns are counted exactly', async () => {
+  const provider = createProvider({ countTokens: () => 20 });
+  const history = new HistoryManager({ provider, maxTokens: 100, keepTurns: 1 });
+  const turns = createTurns(45, 45, 30, 30).map((turn, index) => index < 2 ? { ...turn, tokensEstimated: true } : turn);
+  const result = await history.compact({ turns, summary: null });
+  assert.equal(provider.counted.length, 2);
+  assert.deepEqual(result.turns.map(turn => turn.tokens), [20, 20, 30, 30]);
+  assert.ok(result.turns.every(turn => turn.tokensEstimated === undefined));
+  // 100 tokens once counted fit the budget exactly
+  assert.deepEqual(provider.prompts, []);
+});
+
+await check('estimates are kept when the provider cannot count', async () => {
+  const history = new HistoryManager({ provider: createProvider(), maxTokens: 100, keepTurns: 4 });
+  const turns = createTurns(45, 45).map(turn => ({ ...turn, tokensEstimated: true }));
+  const result = await history.compact({ turns, summary: null });
+  assert.deepEqual(result.turns, turns);
+});
+
+await check('estimates are kept when counting fails', async () => {
+  const provider = createProvider({ countTokens: () => { throw new Error('quota exceeded'); } });
+  const history = new HistoryManager({ provider, maxTokens: 100, keepTurns: 4 });
+  const turns = createTurns(45, 45).map(turn => ({ ...turn, tokensEstimated: true }));
+  const result = await quietly(() => history.compact({ turns, summary: null }));
+  assert.deepEqual(result.turns, turns);
+});
+console.log();
+
+console.log('3. Budget cut-off and summary');
+await check('within the budget no summary is written', async () => {
+  const provider = createProvider();
+  const history = new HistoryManager({ provider, maxTokens: 100, keepTurns: 1 });
+  const result = await history.compact({ turns: createTurns(25, 25, 25, 25), summary: null });
+  assert.equal(result.turns.length, 4);
+  assert.equal(result.summary, null);
+  assert.deepEqual(provider.prompts, []);
+});
+
+await check('over the budget all but the last keepTurns exchanges are summarized', async () => {
+  const provider = createProvider();
+  const history = new HistoryManager({ provider, maxTokens: 100, keepTurns: 2 });
+  const result = await history.compact({ turns: createTurns(10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10), summary: null });
+  assert.deepEqual(contents(result.turns), ['turn 8', 'turn 9', 'turn 10', 'turn 11']);
+  assert.equal(result.summary, 'Jane wants a kitchen quote.');
+  assert.equal(provider.prompts.length, 1);
+  assert.match(provider.prompts[0], /Customer: turn 0\nAssistant: turn 1\n[\s\S]*Assistant: turn 7$/);
+  assert.doesNotMatch(provider.prompts[0], /turn 8/);
+});
+
+await check('more exchanges are folded while the kept ones exceed the budget', async () => {
+  const history = new HistoryManager({ provider: createProvider(), maxTokens: 100, keepTurns: 2 });
+  const result = await history.compact({ turns: createTurns(10, 10, 50, 50, 30, 30), summary: null });
+  assert.deepEqual(contents(result.turns), ['turn 4', 'turn 5']);
+});
+
+await check('the last exchange is kept even when it alone exceeds the budget', async () => {
+  const provider = createProvider();
+  const history = new HistoryManager({ provider, maxTokens: 100, keepTurns: 2 });
+  const turns = createTurns(10, 10, 60, 60);
+  let result = await history.compact({ turns, summary: null });
+  assert.deepEqual(contents(result.turns), ['turn 2', 'turn 3']);
+
+  result = await history.compact({ turns: createTurns(60, 60), summary: null });
+  assert.equal(result.turns.length, 2);
+  assert.equal(result.summary, null);
+  assert.equal(provider.prompts.length, 1);
+});
+
+await check('the previous summary is folded into the new one', async () => {
+  const provider = createProvider({ summary: '  Jane wants a quote and a site visit.\n' });
+  const history = new HistoryManager({ provider, maxTokens: 30, keepTurns: 1 });
+  const result = await history.compact({ turns: createTurns(10, 10, 10, 10), summary: 'Jane wants a quote.' });
+  assert.equal(result.summary, 'Jane wants a quote and a site visit.');
+  assert.match(provider.prompts[0], /before this part:\nJane wants a quote\.\n/);
+});
+
+await check('when no summary can be written the old one is kept and the turns are dropped', async () => {
+  for (const summary of [new Error('model unavailable'), '   ']) {
+    const history = new HistoryManager({ provider: createProvider({ summary }), maxTokens: 30, keepTurns: 1 });
+    const result = await quietly(() => history.compact({ turns: createTurns(10, 10, 10, 10), summary: 'Jane wants a quote.' }));
+    assert.deepEqual(contents(result.turns), ['turn 2', 'turn 3']);
+    assert.equal(result.summary, 'Jane wants a quote.');
+  }
+});
+
+await check('the conversation passed in is not changed', async () => {
+  const history = new HistoryManager({ provider: createProvider(), maxTokens: 30, keepTurns: 1 });
+  const conversation = { turns: createTurns(10, 10, 10, 10), summary: null };
+  const copy = structuredClone(conversation);
+  await history.compact(conversation);
+  assert.deepEqual(conversation, copy);
+});
+
+await check('a new conversation is empty', async () => {
+  const history = new HistoryManager({ provider: createProvider(), maxTokens: 30 });
+  assert.deepEqual(await history.compact(), createConversation());
+});
+console.log();
+
+if (failures > 0) {
+  console.log(`❌ ${failures} conversation history test(s) failed`);
+  process.exit(1);
+}
+console.log('🎉 All conversation history tests passed!');
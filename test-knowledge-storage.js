@@ -0,0 +1,310 @@
+/**
+ * Tests for knowledge base storage (lib/storage) and the features built on
+ * it in lib/knowledgeBase.js: revision history and revert, If-Match
+ * conflicts and the trash. Runs against the memory adapter and an in-memory
+ * SQLite database; the API check uses a database file in a temporary directory
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import KnowledgeBase from './lib/knowledgeBase.js';
+import { MemoryAdapter, SqliteAdapter } from './lib/storage/index.js';
+
+// The API handlers each open the knowledge base, so they share a database file
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'knowledge-storage-'));
+process.env.KB_STORAGE = 'sqlite';
+process.env.KB_SQLITE_PATH = path.join(tempDir, 'knowledge-base.sqlite');
+const { default: entriesHandler } = await import('./api/knowledge/index.js');
+const { default: entryHandler } = await import('./api/knowledge/[id].js');
+
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+  }
+}
+
+const adapters = {
+  memory: (options = {}) => new MemoryAdapter(options),
+  sqlite: (options = {}) => new SqliteAdapter({ filePath: ':memory:', seedFile: null, ...options })
+};
+
+const entry = (id, value = 'Monday to Friday, 9am to 5pm') => ({
+  id,
+  key: 'Opening hours',
+  value,
+  tags: ['hours'],
+  revision: 1,
+  createdAt: '2024-01-15T10:30:00.000Z',
+  updatedAt: '2024-01-15T10:30:00.000Z'
+});
+
+const record = revision => ({
+  revision,
+  action: 'update',
+  author: null,
+  timestamp: '2024-01-15T10:30:00.000Z',
+  changedFields: ['value'],
+  snapshot: { key: 'Opening hours', value: `v${revision}`, tags: [] }
+});
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+console.log('🧪 Testing knowledge base storage...\n');
+
+for (const [type, createAdapter] of Object.entries(adapters)) {
+  console.log(`${type} adapter`);
+
+  await check('saveEntry inserts, then replaces an entry', async () => {
+    const storage = createAdapter();
+    await storage.saveEntry(entry('a'));
+    await storage.saveEntry({ ...entry('a', 'Closed on Sundays'), revision: 2 });
+
+    const entries = await storage.getAllEntries();
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].value, 'Closed on Sundays');
+    assert.equal((await storage.getEntry('a')).revision, 2);
+    assert.equal(await storage.getEntry('missing'), null);
+  });
+
+  await check('saveEntry appends revisions in order and keeps the newest maxRevisions', async () => {
+    const storage = createAdapter({ maxRevisions: 3 });
+    await storage.saveEntry(entry('a'), [record(1), record(2)]);
+    await storage.saveEntry(entry('a'), [record(3), record(4)]);
+
+    const revisions = await storage.getRevisions('a');
+    assert.deepEqual(revisions.map(item => item.revision), [2, 3, 4]);
+    assert.deepEqual(revisions[2], record(4));
+  });
+
+  await check('a maxRevisions of 0 keeps every revision', async () => {
+    const storage = createAdapter({ maxRevisions: 0 });
+    for (let revision = 1; revision <= 60; revision++) {
+      await storage.saveEntry(entry('a'), [record(revision)]);
+    }
+    assert.equal((await storage.getRevisions('a')).length, 60);
+  });
+
+  await check('updateEntry only changes existing entries', async () => {
+    const storage = createAdapter();
+    assert.equal(await storage.updateEntry(entry('a')), null);
+    assert.equal(await storage.getEntry('a'), null);
+
+    await storage.saveEntry(entry('a'));
+    await storage.updateEntry({ ...entry('a'), deletedAt: '2024-02-01T00:00:00.000Z' });
+    assert.equal((await storage.getEntry('a')).deletedAt, '2024-02-01T00:00:00.000Z');
+  });
+
+  await check('deleteEntry and deleteRevisions remove an entry and its history', async () => {
+    const storage = createAdapter();
+    await storage.saveEntry(entry('a'), [record(1)]);
+    await storage.saveEntry(entry('b'), [record(1)]);
+
+    assert.equal((await storage.deleteEntry('a')).id, 'a');
+    await storage.deleteRevisions('a');
+    assert.equal(await storage.deleteEntry('a'), null);
+    assert.equal(await storage.getEntry('a'), null);
+    assert.deepEqual(await storage.getRevisions('a'), []);
+    assert.equal((await storage.getRevisions('b')).length, 1);
+  });
+
+  await check('writes move lastUpdated forward', async () => {
+    const storage = createAdapter();
+    await storage.saveEntry(entry('a'));
+    const before = (await storage.getMetadata()).lastUpdated;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await storage.saveEntry(entry('b'));
+    assert.ok((await storage.getMetadata()).lastUpdated > before);
+  });
+
+  await check('returned entries are copies', async () => {
+    const storage = createAdapter();
+    await storage.saveEntry(entry('a'));
+    const loaded = await storage.getEntry('a');
+    loaded.tags.push('changed');
+    assert.deepEqual((await storage.getEntry('a')).tags, ['hours']);
+  });
+
+  await check('creating and updating entries records their revisions', async () => {
+    const knowledgeBase = new KnowledgeBase({ storage: createAdapter() });
+    const created = await knowledgeBase.createEntry('Opening hours', '9am to 5pm', ['hours'], { author: 'Jane' });
+    const updated = await knowledgeBase.updateEntry(created.id, { value: '8am to 6pm' }, { author: 'Sam' });
+
+    assert.equal(updated.revision, 2);
+    const [latest, first] = await knowledgeBase.getRevisions(created.id);
+    assert.equal(latest.action, 'update');
+    assert.equal(latest.author, 'Sam');
+    assert.deepEqual(latest.changedFields, ['value']);
+    assert.equal(latest.snapshot.value, '8am to 6pm');
+    assert.equal(first.action, 'create');
+    assert.equal(first.author, 'Jane');
+  });
+
+  await check('an entry stored without history gets its earlier state recorded on update', async () => {
+    const storage = createAdapter();
+    await storage.saveEntry(entry('a'));
+    const knowledgeBase = new KnowledgeBase({ storage });
+    await knowledgeBase.updateEntry('a', { value: 'Closed on Sundays' });
+
+    const history = await knowledgeBase.getRevisions('a');
+    assert.deepEqual(history.map(item => item.action), ['update', 'import']);
+    assert.equal(history[1].snapshot.value, 'Monday to Friday, 9am to 5pm');
+  });
+
+  await check('a stale If-Match is a REVISION_CONFLICT and changes nothing', async () => {
+    const knowledgeBase = new KnowledgeBase({ storage: createAdapter() });
+    const created = await knowledgeBase.createEntry('Opening hours', '9am to 5pm');
+    await knowledgeBase.updateEntry(created.id, { value: '8am to 6pm' }, { ifMatch: '"1"' });
+
+    await assert.rejects(
+      knowledgeBase.updateEntry(created.id, { value: '10am to 4pm' }, { ifMatch: '"1"' }),
+      error => error.code === 'REVISION_CONFLICT' && error.currentEntry.revision === 2
+    );
+    assert.equal((await knowledgeBase.getEntryById(created.id)).value, '8am to 6pm');
+
+    // Weak and listed ETags and * match
+    await knowledgeBase.updateEntry(created.id, { value: '7am' }, { ifMatch: 'W/"2"' });
+    await knowledgeBase.updateEntry(created.id, { value: '6am' }, { ifMatch: '"1", "3"' });
+    await knowledgeBase.updateEntry(created.id, { value: '5am' }, { ifMatch: '*' });
+    assert.equal((await knowledgeBase.getEntryById(created.id)).revision, 5);
+  });
+
+  await check('reverting restores an earlier revision as a new one', async () => {
+    const knowledgeBase = new KnowledgeBase({ storage: createAdapter() });
+    const created = await knowledgeBase.createEntry('Opening hours', '9am to 5pm', ['hours']);
+    await knowledgeBase.updateEntry(created.id, { value: '8am to 6pm', tags: [] });
+
+    const reverted = await knowledgeBase.revertEntry(created.id, 1, { author: 'Jane' });
+    assert.equal(reverted.revision, 3);
+    assert.equal(reverted.value, '9am to 5pm');
+    assert.deepEqual(reverted.tags, ['hours']);
+
+    const [latest] = await knowledgeBase.getRevisions(created.id);
+    assert.equal(latest.action, 'revert');
+    assert.equal(latest.revertedFrom, 1);
+    assert.deepEqual(latest.changedFields, ['value', 'tags']);
+
+    const { changes } = await knowledgeBase.diffRevisions(created.id, 2, 3);
+    assert.deepEqual(changes.tags, { added: ['hours'], removed: [], unchanged: [] });
+  });
+
+  await check('reverting to a missing revision or with a stale If-Match fails', async () => {
+    const knowledgeBase = new KnowledgeBase({ storage: createAdapter() });
+    const created = await knowledgeBase.createEntry('Opening hours', '9am to 5pm');
+    await knowledgeBase.updateEntry(created.id, { value: '8am to 6pm' });
+
+    await assert.rejects(knowledgeBase.revertEntry(created.id, 7), /Revision 7 of entry .* not found/);
+    await assert.rejects(knowledgeBase.revertEntry(created.id, 1, { ifMatch: '"1"' }), { code: 'REVISION_CONFLICT' });
+    assert.equal((await knowledgeBase.getEntryById(created.id)).revision, 2);
+  });
+
+  await check('a trashed entry is hidden until restored', async () => {
+    const knowledgeBase = new KnowledgeBase({ storage: createAdapter() });
+    const created = await knowledgeBase.createEntry('Opening hours', '9am to 5pm');
+    await knowledgeBase.deleteEntry(created.id, { author: 'Jane' });
+
+    assert.equal(await knowledgeBase.getEntryById(created.id), undefined);
+    assert.deepEqual(await knowledgeBase.searchEntries('opening hours'), []);
+    const [trashed] = await knowledgeBase.getTrashedEntries();
+    assert.equal(trashed.deletedBy, 'Jane');
+    assert.ok(trashed.purgeAt > trashed.deletedAt);
+
+    const restored = await knowledgeBase.restoreEntry(created.id);
+    assert.equal(restored.deletedAt, undefined);
+    assert.equal((await knowledgeBase.getEntryById(created.id)).value, '9am to 5pm');
+    assert.equal((await knowledgeBase.searchEntries('opening hours'))[0].id, created.id);
+    assert.deepEqual(await knowledgeBase.getTrashedEntries(), []);
+  });
+
+  await check('only trashed entries can be restored or purged', async () => {
+    const knowledgeBase = new KnowledgeBase({ storage: createAdapter() });
+    const created = await knowledgeBase.createEntry('Opening hours', '9am to 5pm');
+    await assert.rejects(knowledgeBase.restoreEntry(created.id), /not found in trash/);
+    await assert.rejects(knowledgeBase.purgeEntry(created.id), /not found in trash/);
+    assert.ok(await knowledgeBase.getEntryById(created.id));
+  });
+
+  await check('purging removes an entry and its revision history', async () => {
+    const storage = createAdapter();
+    const knowledgeBase = new KnowledgeBase({ storage });
+    const created = await knowledgeBase.createEntry('Opening hours', '9am to 5pm');
+    await knowledgeBase.deleteEntry(created.id);
+    await knowledgeBase.purgeEntry(created.id);
+
+    assert.equal(await storage.getEntry(created.id), null);
+    assert.deepEqual(await storage.getRevisions(created.id), []);
+  });
+
+  await check('entries past the retention period are purged, newer ones kept', async () => {
+    const storage = createAdapter();
+    const knowledgeBase = new KnowledgeBase({ storage, trashRetentionDays: 30 });
+    await storage.saveEntry({ ...entry('old'), deletedAt: daysAgo(31) }, [record(1)]);
+    await storage.saveEntry({ ...entry('recent'), deletedAt: daysAgo(29) });
+    await storage.saveEntry(entry('live'));
+
+    assert.deepEqual((await knowledgeBase.getTrashedEntries()).map(item => item.id), ['recent']);
+    assert.equal(await storage.getEntry('old'), null);
+    assert.deepEqual(await storage.getRevisions('old'), []);
+
+    assert.equal(await knowledgeBase.emptyTrash(), 1);
+    assert.deepEqual((await storage.getAllEntries()).map(item => item.id), ['live']);
+  });
+  console.log();
+}
+
+console.log('If-Match on PUT /api/knowledge/[id]');
+const created = await entriesHandler({
+  method: 'POST',
+  httpMethod: 'POST',
+  headers: {},
+  body: JSON.stringify({ key: 'Opening hours', value: '9am to 5pm' })
+});
+const { id } = JSON.parse(created.body).entry;
+
+function update(value, ifMatch) {
+  return entryHandler({
+    method: 'PUT',
+    httpMethod: 'PUT',
+    headers: ifMatch ? { 'if-match': ifMatch } : {},
+    queryStringParameters: { id },
+    body: JSON.stringify({ value })
+  });
+}
+
+await check('a matching If-Match saves and returns the next ETag', async () => {
+  const response = await update('8am to 6pm', '"1"');
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.headers.ETag, '"2"');
+});
+
+await check('a stale If-Match is rejected with 409 and the current entry', async () => {
+  const response = await update('10am to 4pm', '"1"');
+  const body = JSON.parse(response.body);
+  assert.equal(response.statusCode, 409);
+  assert.equal(response.headers.ETag, '"2"');
+  assert.equal(body.code, 'REVISION_CONFLICT');
+  assert.equal(body.entry.value, '8am to 6pm');
+});
+
+await check('without If-Match the update is applied', async () => {
+  const response = await update('10am to 4pm');
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.headers.ETag, '"3"');
+});
+console.log();
+
+await fs.rm(tempDir, { recursive: true, force: true });
+
+if (failures > 0) {
+  console.log(`❌ ${failures} knowledge base storage test(s) failed`);
+  process.exit(1);
+}
+console.log('🎉 All knowledge base storage tests passed!');
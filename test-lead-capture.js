@@ -0,0 +1,202 @@
+/**
+ * Tests for lead capture (lib/leads): which messages start the flow, how
+ * each answer is validated and how leads are exported as CSV
+ */
+
+import assert from 'node:assert/strict';
+import { advanceLeadCapture, detectLeadIntent, startLeadCapture } from './lib/leads/capture.js';
+import { CSV_COLUMNS, leadsToCsv } from './lib/leads/leads.js';
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+  }
+}
+
+// The flow state while the given slot is being asked for
+function askingFor(slot, values = {}) {
+  return { ...startLeadCapture('I would like a quote').state, slot, values };
+}
+
+function answer(slot, text) {
+  return advanceLeadCapture(askingFor(slot), text);
+}
+
+function assertRejected(slot, text) {
+  const result = answer(slot, text);
+  assert.equal(result.status, 'collecting', `"${text}" ended the flow`);
+  assert.equal(result.slot, slot, `"${text}" was accepted as the ${slot}`);
+  assert.equal(result.state.values[slot], undefined);
+}
+
+console.log('🧪 Testing lead capture...\n');
+
+console.log('1. Lead intent');
+check('requests for a quote or consultation start the flow', () => {
+  for (const message of [
+    "I'd like a quote",
+    'Can I get an estimate for a loft conversion?',
+    'Book a consultation',
+    'I would like to book a consultation for next week',
+    'Could you send me a quote?',
+    'We need a rough estimate for an extension',
+    'Please schedule a site visit',
+    'Could you schedule a call with an architect?',
+    "I'd like to book a meeting"
+  ]) {
+    assert.equal(detectLeadIntent(message), true, message);
+  }
+});
+
+check('questions about quotes and consultations do not', () => {
+  for (const message of [
+    'Do you offer free consultations?',
+    'what goes in a proposal',
+    'How long does a quote take?',
+    'Are estimates free?',
+    'Can you explain what a consultation includes?',
+    'Do you book consultations on weekends?',
+    'I want to call you',
+    'Can I call your office?',
+    'I need a call back about my invoice'
+  ]) {
+    assert.equal(detectLeadIntent(message), false, message);
+  }
+});
+console.log();
+
+console.log('2. Name');
+check('a name is taken without greetings and introductions', () => {
+  assert.equal(answer('name', 'Jane Doe').state.values.name, 'Jane Doe');
+  assert.equal(answer('name', "Hi, I'm Jane.").state.values.name, 'Jane');
+  assert.equal(answer('name', 'My name is Jane van der Berg').state.values.name, 'Jane van der Berg');
+});
+
+check('a question is not taken as a name', () => {
+  assertRejected('name', 'How much does a renovation cost?');
+  assertRejected('name', 'Jane?');
+});
+
+check('a sentence is not taken as a name', () => {
+  assertRejected('name', 'I want to know about your pricing for kitchens');
+});
+
+check('answers without letters or with digits are rejected', () => {
+  assertRejected('name', '...');
+  assertRejected('name', 'jane@example.com');
+  assertRejected('name', 'Jane 2');
+});
+
+check('a rejected answer asks for the same slot again', () => {
+  const result = answer('name', 'What is your address?');
+  assert.match(result.reply, /Could I have your name\?$/);
+});
+console.log();
+
+console.log('3. Email, phone and project type');
+check('an email address is found inside a sentence', () => {
+  assert.equal(answer('email', "It's Jane@Example.com.").state.values.email, 'jane@example.com');
+  assertRejected('email', 'jane at example dot com');
+});
+
+check('a phone number needs 7 to 15 digits', () => {
+  assert.equal(answer('phone', 'Call me on +44 20 7946 0958').state.values.phone, '+44 20 7946 0958');
+  assertRejected('phone', '12345');
+  assertRejected('phone', '1234567890123456');
+});
+
+check('the phone number can be skipped', () => {
+  const result = answer('phone', 'skip');
+  assert.equal(result.slot, 'projectType');
+  assert.equal(result.state.values.phone, null);
+});
+
+check('"no thanks" to the phone question skips it and keeps the details so far', () => {
+  const values = { name: 'Jane', email: 'jane@example.com' };
+  for (const text of ['No thanks', 'no thank you', 'No']) {
+    const result = advanceLeadCapture(askingFor('phone', values), text);
+    assert.equal(result.status, 'collecting', `"${text}" ended the flow`);
+    assert.equal(result.slot, 'projectType');
+    assert.deepEqual(result.state.values, { ...values, phone: null });
+  }
+});
+
+check('the project type completes the lead', () => {
+  const values = { name: 'Jane', email: 'jane@example.com', phone: null };
+  const result = advanceLeadCapture(askingFor('projectType', values), 'A kitchen renovation.');
+  assert.equal(result.status, 'completed');
+  assert.equal(result.state, null);
+  assert.deepEqual(result.values, { ...values, projectType: 'A kitchen renovation' });
+});
+
+check('an empty or overlong project type is rejected', () => {
+  assertRejected('projectType', 'x');
+  assertRejected('projectType', 'x'.repeat(201));
+});
+
+check('"cancel" stops the flow at any slot', () => {
+  for (const slot of ['name', 'email', 'phone', 'projectType']) {
+    const result = answer(slot, 'Cancel');
+    assert.equal(result.status, 'cancelled');
+    assert.equal(result.state, null);
+  }
+});
+console.log();
+
+console.log('4. CSV export');
+const lead = {
+  id: 'lead-1',
+  sessionId: 'session-1',
+  name: 'Doe, Jane',
+  email: 'jane@example.com',
+  phone: null,
+  projectType: 'The "big" one\nwith two lines',
+  request: '=HYPERLINK("http://example.com")',
+  createdAt: '2024-01-15T10:30:00.000Z'
+};
+const [header, row, ...rest] = leadsToCsv([lead]).split('\r\n');
+
+check('a header row lists the columns', () => {
+  assert.equal(header, CSV_COLUMNS.join(','));
+});
+
+check('fields with commas, quotes or newlines are quoted', () => {
+  assert.ok(row.includes('"Doe, Jane"'));
+  assert.ok(row.includes('"The ""big"" one\nwith two lines"'));
+});
+
+check('formulas are prefixed with an apostrophe', () => {
+  assert.ok(row.includes('"\'=HYPERLINK(""http://example.com"")"'));
+  for (const value of ['+1', '-1', '@SUM(A1)']) {
+    const csv = leadsToCsv([{ ...lead, request: value }]);
+    assert.ok(csv.includes(`,'${value},`), value);
+  }
+});
+
+check('missing values are empty and rows end with CRLF', () => {
+  assert.equal(row, [
+    '2024-01-15T10:30:00.000Z',
+    '"Doe, Jane"',
+    'jane@example.com',
+    '',
+    '"The ""big"" one\nwith two lines"',
+    '"\'=HYPERLINK(""http://example.com"")"',
+    'session-1',
+    'lead-1'
+  ].join(','));
+  assert.deepEqual(rest, ['']);
+});
+console.log();
+
+if (failures > 0) {
+  console.log(`❌ ${failures} lead capture test(s) failed`);
+  process.exit(1);
+}
+console.log('🎉 All lead capture tests passed!');
@@ -0,0 +1,181 @@
+/**
+ * Tests for model call retries (lib/llm/retry.js): jittered backoff, its cap,
+ * server retry hints, timeouts (of Gemini and OpenAI-compatible requests),
+ * and the time budget all attempts share
+ */
+
+import assert from 'node:assert/strict';
+import { createTimeout, getBackoffDelay } from './lib/llm/retry.js';
+import { loadModelTiers } from './lib/llm/modelTiers.js';
+import GeminiService from './lib/geminiService.js';
+import OpenAiCompatibleProvider from './lib/llm/openAiProvider.js';
+import http from 'http';
+
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+  }
+}
+
+// Run fn with Math.random returning a fixed value
+function withRandom(value, fn) {
+  const random = Math.random;
+  Math.random = () => value;
+  try {
+    return fn();
+  } finally {
+    Math.random = random;
+  }
+}
+
+const policy = { baseDelayMs: 500, maxDelayMs: 4000 };
+
+console.log('🧪 Testing retry backoff...\n');
+
+console.log('1. Backoff delay');
+await check('the delay doubles with each retry', () => {
+  const delays = [1, 2, 3].map(attempt => withRandom(1, () => getBackoffDelay(attempt, policy)));
+  assert.deepEqual(delays, [500, 1000, 2000]);
+});
+
+await check('jitter keeps the delay between half and all of the step', () => {
+  assert.equal(withRandom(0, () => getBackoffDelay(3, policy)), 1000);
+  assert.equal(withRandom(0.5, () => getBackoffDelay(3, policy)), 1500);
+  for (let i = 0; i < 100; i++) {
+    const delay = getBackoffDelay(2, policy);
+    assert.ok(delay >= 500 && delay <= 1000, `delay ${delay} out of range`);
+  }
+});
+
+await check('the delay is capped at maxDelayMs', () => {
+  assert.equal(withRandom(1, () => getBackoffDelay(10, policy)), 4000);
+  assert.equal(withRandom(0, () => getBackoffDelay(10, policy)), 2000);
+});
+
+await check('a longer server retry hint wins over the backoff', () => {
+  assert.equal(withRandom(1, () => getBackoffDelay(1, policy, 3000)), 3000);
+  assert.equal(withRandom(1, () => getBackoffDelay(2, policy, 200)), 1000);
+});
+
+await check('the default policy fits its worst-case retries in the budget', () => {
+  const { retry } = loadModelTiers({});
+  let worstCase = 0;
+  for (let attempt = 1; attempt < retry.maxAttempts; attempt++) {
+    worstCase += withRandom(1, () => getBackoffDelay(attempt, retry));
+  }
+  assert.ok(worstCase < retry.budgetMs, `${worstCase}ms of backoff exceeds the ${retry.budgetMs}ms budget`);
+});
+console.log();
+
+console.log('2. Timeouts');
+await check('a timeout aborts its signal', async () => {
+  const timeout = createTimeout(20);
+  await new Promise(resolve => timeout.signal.addEventListener('abort', resolve));
+  assert.equal(timeout.timedOut, true);
+});
+
+await check('a cleared timeout never fires', async () => {
+  const timeout = createTimeout(20);
+  timeout.clear();
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.equal(timeout.timedOut, false);
+  assert.equal(timeout.signal.aborted, false);
+});
+console.log();
+
+console.log('3. Time budget');
+
+// A Gemini service whose models always answer with the given error
+function createFailingService(error, retry) {
+  process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'test-key';
+  const service = new GeminiService();
+  service.retryPolicy = { ...service.retryPolicy, ...retry };
+  service.calls = [];
+  service.getModel = () => ({
+    startChat: () => ({
+      sendMessage: async () => {
+        service.calls.push(Date.now());
+        throw error;
+      }
+    })
+  });
+  return service;
+}
+
+function overloaded() {
+  const error = new Error('[503 Service Unavailable] The model is overloaded');
+  error.status = 503;
+  return error;
+}
+
+await check('transient errors are retried up to maxAttempts per tier', async () => {
+  const service = createFailingService(overloaded(), { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 1, budgetMs: 5000 });
+  service.modelTiers = service.modelTiers.slice(0, 1);
+  service.breakers = service.breakers.slice(0, 1);
+  await assert.rejects(service.generateChatResponse('Hello', []));
+  assert.equal(service.calls.length, 3);
+});
+
+await check('retries stop once the next backoff would pass the budget', async () => {
+  const service = createFailingService(overloaded(), { maxAttempts: 10, baseDelayMs: 100, maxDelayMs: 100, budgetMs: 250 });
+  const startedAt = Date.now();
+  await assert.rejects(service.generateChatResponse('Hello', []));
+  const elapsed = Date.now() - startedAt;
+  assert.ok(elapsed < 250, `took ${elapsed}ms with a 250ms budget`);
+  // Backoff of 50-100ms fits two or more retries in the budget, but not ten
+  assert.ok(service.calls.length >= 3 && service.calls.length < 10, `${service.calls.length} calls`);
+});
+console.log();
+
+console.log('4. OpenAI-compatible timeouts');
+// A server that accepts requests and never answers, or stops after the first token
+const server = http.createServer((req, res) => {
+  if (req.url.startsWith('/slow-stream')) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Hello' } }] })}\n\n`);
+    setTimeout(() => res.end('data: [DONE]\n\n'), 300);
+  }
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const serverUrl = `http://127.0.0.1:${server.address().port}`;
+
+const hangingProvider = path => new OpenAiCompatibleProvider({ baseUrl: `${serverUrl}${path}`, model: 'test', timeoutMs: 100 });
+
+try {
+  for (const [name, call] of [
+    ['a reply', provider => provider.generateChatResponse('Hello', [])],
+    ['a streamed reply', provider => provider.streamChatResponse('Hello', [], '', () => {})],
+    ['a summary', provider => provider.generateSummary('Summarize')]
+  ]) {
+    await check(`a hung server fails ${name} with MODEL_UNAVAILABLE after timeoutMs`, async () => {
+      const startedAt = Date.now();
+      await assert.rejects(call(hangingProvider('/hang')), { code: 'MODEL_UNAVAILABLE', message: /did not answer within 100ms/ });
+      const elapsed = Date.now() - startedAt;
+      assert.ok(elapsed < 1000, `took ${elapsed}ms`);
+    });
+  }
+
+  await check('a streamed reply that has started is not cut off', async () => {
+    const tokens = [];
+    const result = await hangingProvider('/slow-stream').streamChatResponse('Hello', [], '', token => tokens.push(token));
+    assert.equal(result.response, 'Hello');
+    assert.deepEqual(tokens, ['Hello']);
+  });
+} finally {
+  server.closeAllConnections();
+  server.close();
+}
+console.log();
+
+if (failures > 0) {
+  console.log(`❌ ${failures} retry test(s) failed`);
+  process.exit(1);
+}
+console.log('🎉 All retry tests passed!');
@@ -0,0 +1,119 @@
+/**
+ * Tests for admin search query parsing (lib/search/query.js):
+ * parse errors and operator precedence
+ */
+
+import assert from 'node:assert/strict';
+import { parseQuery, QueryMatcher } from './lib/search/query.js';
+import { Analyzer } from './lib/search/analyzer.js';
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+  }
+}
+
+// Render a parsed tree compactly, e.g. or(a, and(b, c))
+function show(node) {
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      return `${node.type}(${node.children.map(show).join(', ')})`;
+    case 'not':
+      return `not(${show(node.child)})`;
+    case 'phrase':
+      return `"${node.text}"`;
+    case 'tag':
+      return `tag:${node.value}`;
+    case 'date':
+      return `${node.field}${node.operator}${node.start.slice(0, 10)}`;
+    default:
+      return node.field ? `${node.field}:${node.text}` : node.text;
+  }
+}
+
+const parse = query => show(parseQuery(query).tree);
+
+console.log('🧪 Testing search query parsing...\n');
+
+console.log('1. Operator precedence');
+check('AND binds tighter than OR', () => {
+  assert.equal(parse('a OR b c'), 'or(a, and(b, c))');
+  assert.equal(parse('a b OR c'), 'or(and(a, b), c)');
+});
+
+check('explicit AND is the same as a space', () => {
+  assert.equal(parse('a AND b OR c'), parse('a b OR c'));
+});
+
+check('NOT applies to the next term only', () => {
+  assert.equal(parse('NOT a b'), 'and(not(a), b)');
+  assert.equal(parse('-a OR b'), 'or(not(a), b)');
+});
+
+check('parentheses override precedence', () => {
+  assert.equal(parse('(a OR b) c'), 'and(or(a, b), c)');
+  assert.equal(parse('c NOT (a OR b)'), 'and(c, not(or(a, b)))');
+});
+
+check('phrases and field filters are single terms', () => {
+  assert.equal(parse('"site visit" OR tag:Pricing key:cost'), 'or("site visit", and(tag:pricing, key:cost))');
+});
+
+check('queries of bare words are flagged as plain', () => {
+  assert.equal(parseQuery('kitchen renovation').plain, true);
+  assert.equal(parseQuery('kitchen OR renovation').plain, false);
+});
+
+check('matching follows the parsed precedence', () => {
+  const matcher = new QueryMatcher(new Analyzer());
+  const entry = { key: 'Kitchens', value: 'We fit kitchens', tags: [] };
+  assert.equal(matcher.matches(parseQuery('bathroom OR kitchen install').tree, entry), false);
+  assert.equal(matcher.matches(parseQuery('bathroom OR kitchen fit').tree, entry), true);
+  assert.equal(matcher.matches(parseQuery('(bathroom OR kitchen) NOT fit').tree, entry), false);
+});
+console.log();
+
+console.log('2. Parse errors');
+const errors = [
+  ['', /Search query is empty/],
+  ['"site visit', /Unterminated quote at position 1/],
+  ['""', /Empty phrase at position 1/],
+  ['a OR', /Expected a search term after OR at position 3/],
+  ['a AND OR b', /Expected a search term after AND at position 3/],
+  ['NOT', /Expected a search term after NOT at position 1/],
+  ['()', /Empty parentheses at position 1/],
+  ['(a OR b', /Missing "\)" for "\(" at position 1/],
+  ['a )', /Unexpected/],
+  ['key:', /Missing value after "key:"/],
+  ['updated:>2024-13-01', /Invalid date "2024-13-01"/],
+  ['-', /has no words to search for/],
+  ['- &', /has no words to search for/],
+  ['-kitchen', /only excludes terms/],
+  ['NOT kitchen -bathroom', /only excludes terms/],
+  ['NOT (kitchen OR bathroom)', /only excludes terms/]
+];
+
+for (const [query, message] of errors) {
+  check(`${JSON.stringify(query)} is rejected`, () => {
+    assert.throws(() => parseQuery(query), message);
+  });
+}
+
+check('date filters parse', () => {
+  assert.equal(parse('updated:>=2024-06'), 'updatedAt>=2024-06-01');
+});
+console.log();
+
+if (failures > 0) {
+  console.log(`❌ ${failures} search query test(s) failed`);
+  process.exit(1);
+}
+console.log('🎉 All search query tests passed!');
@@ -0,0 +1,149 @@
+/**
+ * Tests for chat session expiry and eviction (lib/sessions): every store
+ * drops sessions ttlMs after their last update and evicts the least
+ * recently updated ones beyond maxSessions
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createSessionStore } from './lib/sessions/index.js';
+
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message}`);
+  }
+}
+
+const TTL_MS = 60000;
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'session-stores-'));
+let storeCount = 0;
+
+// A store on a clock the test moves by hand
+function createStore(type, maxSessions = 3) {
+  const clock = { time: 1000000 };
+  storeCount++;
+  const store = createSessionStore({
+    type,
+    filePath: type === 'sqlite' ? ':memory:' : path.join(tempDir, `sessions-${storeCount}.json`),
+    ttlMs: TTL_MS,
+    maxSessions,
+    now: () => clock.time
+  });
+  return { store, clock };
+}
+
+const say = text => () => ({ turns: [{ role: 'user', content: text }], summary: null });
+
+console.log('🧪 Testing chat session stores...\n');
+
+try {
+  for (const type of ['memory', 'file', 'sqlite']) {
+    console.log(`${type} store`);
+
+    await check('a session is kept until its TTL has passed', async () => {
+      const { store, clock } = createStore(type);
+      await store.update('a', say('hello'));
+      clock.time += TTL_MS;
+      assert.equal((await store.get('a')).turns[0].content, 'hello');
+      clock.time += 1;
+      assert.equal(await store.get('a'), null);
+    });
+
+    await check('each update restarts the TTL', async () => {
+      const { store, clock } = createStore(type);
+      await store.update('a', say('first'));
+      clock.time += TTL_MS - 1;
+      await store.update('a', say('second'));
+      clock.time += TTL_MS - 1;
+      assert.equal((await store.get('a')).turns[0].content, 'second');
+    });
+
+    await check('an expired session is updated as a new one', async () => {
+      const { store, clock } = createStore(type);
+      await store.update('a', say('old'));
+      clock.time += TTL_MS + 1;
+      let current;
+      await store.update('a', (session) => {
+        current = session;
+        return say('new')();
+      });
+      assert.equal(current, null);
+    });
+
+    await check('the least recently updated sessions are evicted beyond maxSessions', async () => {
+      const { store, clock } = createStore(type);
+      for (const id of ['a', 'b', 'c']) {
+        await store.update(id, say(id));
+        clock.time += 1;
+      }
+      // Updating a makes b the least recently updated
+      await store.update('a', say('a again'));
+      clock.time += 1;
+      await store.update('d', say('d'));
+
+      assert.equal(await store.get('b'), null);
+      for (const id of ['a', 'c', 'd']) {
+        assert.notEqual(await store.get(id), null, `session ${id} was evicted`);
+      }
+    });
+
+    await check('reading a session does not protect it from eviction', async () => {
+      const { store, clock } = createStore(type);
+      for (const id of ['a', 'b', 'c']) {
+        await store.update(id, say(id));
+        clock.time += 1;
+      }
+      await store.get('a');
+      await store.update('d', say('d'));
+
+      assert.equal(await store.get('a'), null);
+      assert.notEqual(await store.get('b'), null);
+    });
+
+    await check('a session ID of __proto__ is an ordinary session', async () => {
+      const { store } = createStore(type);
+      assert.equal(await store.get('__proto__'), null);
+      await store.update('__proto__', say('hello'));
+      await store.update('other', say('other'));
+      assert.equal((await store.get('__proto__')).turns[0].content, 'hello');
+      assert.equal(await store.delete('__proto__'), true);
+      assert.equal(await store.get('__proto__'), null);
+    });
+
+    await check('expired sessions are removed on the next update', async () => {
+      const { store, clock } = createStore(type);
+      await store.update('a', say('a'));
+      clock.time += TTL_MS + 1;
+      await store.update('b', say('b'));
+      // Visible to the store again only if it was kept
+      clock.time -= TTL_MS + 1;
+      assert.equal(await store.get('a'), null);
+    });
+
+    await check('delete removes a session', async () => {
+      const { store } = createStore(type);
+      await store.update('a', say('a'));
+      assert.equal(await store.delete('a'), true);
+      assert.equal(await store.get('a'), null);
+      assert.equal(await store.delete('a'), false);
+    });
+    console.log();
+  }
+} finally {
+  await fs.rm(tempDir, { recursive: true, force: true });
+}
+
+if (failures > 0) {
+  console.log(`❌ ${failures} session store test(s) failed`);
+  process.exit(1);
+}
+console.log('🎉 All session store tests passed!');